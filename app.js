@@ -1,35 +1,161 @@
 // Main application logic
 const app = {
     privateKey: null,
+    ncryptsec: null,
     publicKey: null,
+    signerType: 'local',
+    bunkerUri: null,
+    nip46ClientKey: null,
+    remoteSigner: null,
     relayUrls: [],
     compareMode: false,
+    diffMode: 'inline',
+    historyFilter: { author: '', from: '', to: '' },
+    // Revision the open editor started from, published as the fork source
+    editingBase: null,
+    draftKey: null,
+    draftTimer: null,
+    previewTimer: null,
+    wikilinkMatches: [],
+    wikilinkIndex: 0,
     articles: {},
     currentSearch: null,
     recentArticles: [],
     categories: new Set(),
+    profiles: {},
+    // Events cited by nostr links in references, by NIP-19 entity; null while being looked up
+    citationEvents: {},
+    // Subscriptions owned by the current view, closed when navigating away
+    viewSubscriptions: [],
+    // Which article version each panel shows: { title, id } with id null for the latest
+    panelVersions: {},
+    currentRoute: null,
+    // Edits not yet OK'd by every configured relay, by event id:
+    // { event, queuedAt, attempts, acceptedBy, rejectedBy }
+    outbox: {},
+    flushingOutbox: false,
+    // A relay opened while a flush was running; flush again once it finishes
+    flushPending: false,
+    outboxMaxAttempts: 10,
+    outboxMaxAge: 7 * 24 * 60 * 60 * 1000,
 
     init() {
         this.loadSettings();
-        this.connectToRelays().then(() => {
-            // Wait a bit more to ensure connections are stable
-            setTimeout(() => {
-                this.loadHomepage();
-            }, 500);
-        });
+        EventStore.open();
+        Nostr.eventStore = EventStore;
+        Nostr.onRelayOpen = () => this.flushOutbox();
+        this.loadOutbox();
+
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('sw.js')
+                .catch(err => console.error('Service worker registration failed:', err));
+        }
+
+        // Subscriptions are queued per relay, so the first view need not wait for sockets
+        this.connectToRelays();
+        this.bindActions();
+        window.addEventListener('hashchange', () => this.onLocationChange());
+        window.addEventListener('popstate', () => this.onLocationChange());
+        // Relays stop retrying after a long outage, so coming back online starts them again
+        window.addEventListener('online', () => this.onOnline());
+        this.route();
         this.updateConnectionStatus();
         
         // Update connection status periodically
         setInterval(() => this.updateConnectionStatus(), 3000);
     },
 
+    // Generated markup names its handler in data-action rather than carrying inline
+    // script, so values taken from events never end up inside JavaScript source
+    bindActions() {
+        document.addEventListener('click', (event) => this.dispatchAction(event));
+        document.addEventListener('change', (event) => this.dispatchAction(event));
+        document.addEventListener('mousedown', (event) => this.dispatchAction(event));
+        document.addEventListener('click', (event) => this.followInPageLink(event));
+    },
+
+    // Links to a heading, footnote or anchor scroll their own article panel and leave the
+    // route in the URL alone; in compare mode both panels carry the same ids
+    followInPageLink(event) {
+        const link = event.target.closest?.('.article-content a[href^="#"]');
+        if (!link || link.getAttribute('href').startsWith('#/')) return;
+        event.preventDefault();
+
+        const id = decodeURIComponent(link.getAttribute('href').slice(1));
+        const target = Array.from(link.closest('.article-content').querySelectorAll('[id]')).find(el => el.id === id);
+        if (target) target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    },
+
+    dispatchAction(event) {
+        const element = event.target.closest?.('[data-action]');
+        if (!element) return;
+        // Form controls act when their value changes, press actions on mousedown so the
+        // editor keeps focus, everything else on click
+        const name = element.dataset.action;
+        const trigger = element.matches('select, input') ? 'change'
+            : this.pressActions.includes(name) ? 'mousedown' : 'click';
+        if (event.type !== trigger) return;
+        if (trigger === 'mousedown') event.preventDefault();
+
+        const action = this.actions[name];
+        if (action) action.call(this, element, event);
+    },
+
+    pressActions: ['insert-wikilink'],
+
+    actions: {
+        createArticle(element) {
+            this.showCreateModal(element.dataset.title);
+        },
+
+        editArticle(element) {
+            this.editArticle(element.dataset.panel);
+        },
+
+        switchVersion(element) {
+            this.switchVersion(element.dataset.title, element.value, element.dataset.panel);
+        },
+
+        setDiffMode(element) {
+            this.setDiffMode(element.dataset.mode);
+        },
+
+        searchCategory(element) {
+            this.searchCategory(element.dataset.category);
+        },
+
+        openArticle(element) {
+            this.searchWikilink(element.dataset.title);
+        },
+
+        restoreVersion(element) {
+            this.restoreVersion(element.dataset.id);
+        },
+
+        setHistoryFilter(element) {
+            this.setHistoryFilter(element.dataset.field, element.value, element.dataset.title);
+        },
+
+        'insert-wikilink'(element) {
+            this.insertWikilink(Number(element.dataset.index));
+        }
+    },
+
     loadSettings() {
         const stored = localStorage.getItem('nostipedia_settings');
         if (stored) {
             try {
                 const settings = JSON.parse(stored);
                 this.privateKey = settings.privateKey;
-                this.publicKey = settings.publicKey;
+                // An encrypted key stays locked until it is first needed
+                this.ncryptsec = settings.ncryptsec || null;
+                // Always derive the pubkey so older 33-byte compressed keys get replaced
+                this.publicKey = settings.privateKey
+                    ? Crypto.getPublicKey(settings.privateKey)
+                    : settings.publicKey;
+                this.signerType = settings.signer || 'local';
+                this.bunkerUri = settings.bunkerUri || null;
+                this.nip46ClientKey = settings.nip46ClientKey || null;
                 this.relayUrls = settings.relays || this.getDefaultRelays();
             } catch (err) {
                 console.error('Failed to load settings:', err);
@@ -58,23 +184,167 @@ const app = {
         }
     },
 
+    async onOnline() {
+        await this.connectToRelays();
+        this.flushOutbox();
+    },
+
     updateConnectionStatus() {
-        const connected = Nostr.getConnectedRelays();
+        const states = Nostr.getRelayStates();
+        const connected = states.filter(r => r.status === 'open').length;
         const indicator = document.getElementById('statusIndicator');
         
-        if (connected.length > 0) {
-            indicator.className = 'status-indicator connected';
-            indicator.textContent = `Connected (${connected.length})`;
-        } else {
+        if (connected === 0) {
             indicator.className = 'status-indicator disconnected';
             indicator.textContent = 'Disconnected';
+        } else if (connected < states.length) {
+            indicator.className = 'status-indicator partial';
+            indicator.textContent = `Connected (${connected}/${states.length})`;
+        } else {
+            indicator.className = 'status-indicator connected';
+            indicator.textContent = `Connected (${connected})`;
+        }
+
+        // Flag relays that served events with a bad id or signature
+        const flagged = Nostr.getFlaggedRelays();
+        if (flagged.length > 0) {
+            indicator.textContent += ' ⚠';
+        }
+        indicator.title = 'Click for relay health';
+
+        this.renderRelayHealth(states, flagged);
+    },
+
+    renderRelayHealth(states, flagged) {
+        const panel = document.getElementById('relayHealth');
+        const describe = (relay) => {
+            switch (relay.status) {
+                case 'open':
+                    return 'Connected';
+                case 'connecting':
+                    return 'Connecting...';
+                case 'backoff': {
+                    const seconds = Math.max(0, Math.round((relay.nextRetry - Date.now()) / 1000));
+                    return `Retrying in ${seconds}s (attempt ${relay.attempts})`;
+                }
+                case 'failed':
+                    return 'Failed, gave up reconnecting';
+                default:
+                    return relay.status;
+            }
+        };
+
+        if (states.length === 0) {
+            panel.innerHTML = '<div class="relay-health-row">No relays configured</div>';
+            return;
+        }
+
+        panel.innerHTML = states.map(relay => {
+            const invalid = flagged.find(f => f.url === relay.url);
+            return `
+                <div class="relay-health-row ${relay.status}">
+                    <span class="relay-health-url">${this.escapeHtml(relay.url)}</span>
+                    <span>${describe(relay)}</span>
+                    ${invalid ? `<span class="relay-health-invalid">⚠ ${invalid.count} invalid event(s) dropped</span>` : ''}
+                </div>
+            `;
+        }).join('');
+    },
+
+    toggleRelayHealth() {
+        document.getElementById('relayHealth').classList.toggle('active');
+    },
+
+    // Routes: #/, #/wiki/<d>, #/wiki/<d>/<event-id>, #/history/<d>, #/category/<t>,
+    // #/user/<npub>, #/compare/<event-id>/<event-id> and #/nostr/<nip19 entity>
+    route() {
+        const path = location.hash.replace(/^#/, '') || '/';
+        this.currentRoute = path;
+
+        const [view, ...params] = path.split('/').filter(Boolean).map(part => {
+            try {
+                return decodeURIComponent(part);
+            } catch (err) {
+                return part;
+            }
+        });
+
+        if (view !== 'compare' && this.compareMode) {
+            this.setCompareMode(false);
+        }
+
+        if (view === 'wiki' && params[0]) {
+            this.loadArticle(params[0], params[1] || null);
+        } else if (view === 'history' && params[0]) {
+            this.loadHistory(params[0]);
+        } else if (view === 'category' && params[0]) {
+            this.loadCategory(params[0]);
+        } else if (view === 'user' && this.parsePubkey(params[0])) {
+            this.loadAuthor(this.parsePubkey(params[0]));
+        } else if (view === 'compare' && params[0] && params[1]) {
+            this.loadCompare(params[0], params[1]);
+        } else if (view === 'nostr' && params[0]) {
+            this.loadNostrEntity(params[0]);
+        } else {
+            if (path !== '/') this.setRoute('/', true);
+            this.loadHome();
+        }
+    },
+
+    onLocationChange() {
+        const path = location.hash.replace(/^#/, '') || '/';
+        // In-page anchors such as footnotes scroll by themselves; keep the route in the URL
+        if (!path.startsWith('/')) {
+            history.replaceState(null, '', '#' + this.currentRoute);
+            return;
+        }
+        if (path !== this.currentRoute) {
+            this.route();
+        }
+    },
+
+    // Record the current view in the URL without rendering it again
+    setRoute(path, replace = false) {
+        this.currentRoute = path;
+        if (location.hash === '#' + path) return;
+
+        if (replace) {
+            history.replaceState(null, '', '#' + path);
+        } else {
+            history.pushState(null, '', '#' + path);
+        }
+    },
+
+    navigate(path, replace = false) {
+        this.setRoute(path, replace);
+        this.route();
+    },
+
+    articleRoute(title, eventId = null) {
+        return '/wiki/' + encodeURIComponent(title) + (eventId ? '/' + eventId : '');
+    },
+
+    parsePubkey(value = '') {
+        if (/^[0-9a-f]{64}$/.test(value)) return value;
+        try {
+            const { type, data } = Bech32.decodeEntity(value);
+            if (type === 'npub') return data;
+            if (type === 'nprofile') return data.pubkey;
+        } catch (err) {
+            console.log('Not a public key:', value);
         }
+        return null;
     },
 
-    async search() {
+    search() {
         const query = document.getElementById('searchInput').value.trim();
         if (!query) return;
+        this.navigate(this.articleRoute(query));
+    },
 
+    async loadArticle(query, versionId = null) {
+        document.getElementById('searchInput').value = query;
+        this.closeViewSubscriptions();
         this.currentSearch = query;
         this.showLoading('article1');
 
@@ -88,21 +358,97 @@ const app = {
             limit: 100
         };
 
-        const subId = Nostr.subscribe(filter, (event) => {
+        const show = () => {
+            // Update display if this is still the current search, keeping the chosen version
+            if (this.currentSearch !== query) return;
+            const selected = this.panelVersions.article1?.id || versionId;
+            this.displayArticle(query, 'article1');
+            if (selected) {
+                this.selectVersion(query, selected, 'article1');
+            }
+        };
+
+        const sub = await this.subscribeCached(filter, (event) => {
             this.processArticle(event);
-            
-            // Update display if this is still the current search
-            if (this.currentSearch === query) {
-                this.displayArticle(query, 'article1');
+            show();
+        });
+        if (!sub) return;
+
+        // A linked version may be older than the revisions relays return for the title
+        if (versionId && !this.articles[query].some(v => v.id === versionId)) {
+            this.subscribeCached({ ids: [versionId] }, (event) => {
+                this.processArticle(event);
+                show();
+            }, { autoClose: true });
+        }
+
+        // Only report "not found" once every relay has answered or timed out
+        sub.done.then(({ pending, cancelled }) => {
+            if (!cancelled && this.currentSearch === query) {
+                show();
+                this.showRelayNotice('article1', pending);
+                EventStore.touch((this.articles[query] || []).map(v => v.id));
             }
         });
+    },
+
+    subscribeView(filter, onEvent, options) {
+        const sub = Nostr.subscribe(filter, onEvent, options);
+        this.viewSubscriptions.push(sub);
+        return sub;
+    },
 
-        // Give relays time to respond
-        setTimeout(() => {
-            if (this.currentSearch === query) {
-                this.displayArticle(query, 'article1');
+    // Replay cached events first, then ask relays only for what is newer than
+    // the last complete sync of the same filter. Resolves to null if the user
+    // navigated away while the cache was being read.
+    async subscribeCached(filter, onEvent, options) {
+        const view = this.currentSearch;
+        const syncKey = JSON.stringify(filter);
+        const [cached, lastSync] = await Promise.all([
+            EventStore.query(filter),
+            EventStore.getSyncTime(syncKey)
+        ]);
+        if (this.currentSearch !== view) return null;
+
+        // Our own unpublished edits show up alongside what the relays gave us
+        const pending = Object.values(this.outbox)
+            .map(entry => entry.event)
+            .filter(event => Nostr.matchesFilters(event, filter));
+
+        // Oldest first so lists built from them end up newest on top
+        cached.concat(pending)
+            .sort((a, b) => a.created_at - b.created_at)
+            .forEach(event => onEvent(event));
+
+        // Allow a minute of clock skew between us and the relays
+        const startedAt = Math.floor(Date.now() / 1000);
+        const relayFilter = lastSync && cached.length > 0
+            ? { ...filter, since: lastSync - 60 }
+            : filter;
+
+        const sub = this.subscribeView(relayFilter, onEvent, options);
+        sub.cached = cached;
+        sub.done.then(({ eose, cancelled }) => {
+            if (!cancelled && eose.length > 0) {
+                EventStore.setSyncTime(syncKey, startedAt);
             }
-        }, 2000);
+        });
+        return sub;
+    },
+
+    closeViewSubscriptions() {
+        this.viewSubscriptions.forEach(sub => sub.close());
+        this.viewSubscriptions = [];
+        this.panelVersions = {};
+    },
+
+    showRelayNotice(panelId, pending) {
+        if (pending.length === 0) return;
+
+        const notice = document.createElement('div');
+        notice.className = 'relay-notice';
+        notice.textContent = `No answer from: ${pending.join(', ')}`;
+        document.getElementById(panelId).prepend(notice);
     },
 
     processArticle(event) {
@@ -144,7 +490,8 @@ const app = {
             publishedAt: publishedAt ? parseInt(publishedAt) : event.created_at,
             tags: event.tags,
             displayTitle: displayTitle,
-            categories: categoryTags
+            categories: categoryTags,
+            format: event.tags.find(t => t[0] === 'format')?.[1] || null
         };
 
         this.articles[title].push(articleData);
@@ -189,23 +536,25 @@ const app = {
                 <div class="empty-state">
                     <h2>Article not found</h2>
                     <p>No versions of "${this.escapeHtml(title)}" found on the relays</p>
-                    <button class="btn" onclick="app.showCreateModal('${this.escapeHtml(title)}')">Create it</button>
+                    <button class="btn" data-action="createArticle" data-title="${this.escapeHtml(title)}">Create it</button>
                 </div>
             `;
             return;
         }
 
         const latest = versions[0];
-        const content = this.parseMarkdown(latest.content);
+        const content = this.renderContent(latest.content, latest.format);
+        this.panelVersions[panelId] = { title, id: null };
 
         let versionSelector = '';
         if (versions.length > 1) {
             versionSelector = `
-                <select class="version-selector" onchange="app.switchVersion('${this.escapeHtml(title)}', this.value, '${panelId}')">
+                <select class="version-selector" data-action="switchVersion" data-title="${this.escapeHtml(title)}" data-panel="${panelId}">
                     ${versions.map((v, i) => `
                         <option value="${i}">
-                            ${this.formatDate(v.created)} by ${v.author.substring(0, 8)}...
+                            ${this.formatDate(v.created)} by ${this.authorName(v.author)}
                             ${v.summary ? '- ' + this.escapeHtml(v.summary.substring(0, 30)) : ''}
+                            ${this.isUnpublished(v.id) ? '(pending)' : ''}
                         </option>
                     `).join('')}
                 </select>
@@ -215,154 +564,274 @@ const app = {
         panel.innerHTML = `
             <div class="article-header">
                 <h1 class="article-title">${this.escapeHtml(title)}</h1>
-                ${versionSelector}
+                <div class="article-actions">
+                    ${versionSelector}
+                    <a href="#/history/${encodeURIComponent(title)}" class="history-link">History</a>
+                    <button class="btn btn-secondary" data-action="editArticle" data-panel="${panelId}">Edit</button>
+                </div>
             </div>
             <div class="article-meta">
+                ${this.pendingBadge(latest.id)}
                 ${this.escapeHtml(latest.summary || 'No summary')} • 
                 ${this.formatDate(latest.created)} • 
-                Author: ${latest.author.substring(0, 8)}...
+                Author: ${this.authorLink(latest.author)}
+                ${this.forkNote(latest)}
+                ${this.citationNote(content)}
             </div>
             <div class="article-content">
                 ${content}
             </div>
         `;
+        this.enrichCitations(panel.querySelector('.article-content'));
+
+        if (this.compareMode) {
+            this.renderDiff();
+        }
     },
 
     switchVersion(title, versionIndex, panelId) {
+        this.renderVersion(title, versionIndex, panelId);
+        this.updateVersionRoute();
+    },
+
+    // Show a version by event id without touching the URL
+    selectVersion(title, eventId, panelId) {
+        const index = (this.articles[title] || []).findIndex(v => v.id === eventId);
+        if (index >= 0) {
+            this.renderVersion(title, index, panelId);
+        }
+    },
+
+    updateVersionRoute() {
+        const first = this.panelVersions.article1;
+        const second = this.panelVersions.article2;
+        const idOf = (p) => p.id || this.articles[p.title][0].id;
+
+        if (this.compareMode && first && second) {
+            this.setRoute(`/compare/${idOf(first)}/${idOf(second)}`);
+        } else if (first) {
+            this.setRoute(this.articleRoute(first.title, first.id));
+        }
+    },
+
+    renderVersion(title, versionIndex, panelId) {
         const panel = document.getElementById(panelId);
         const version = this.articles[title][parseInt(versionIndex)];
-        const content = this.parseMarkdown(version.content);
+        const content = this.renderContent(version.content, version.format);
+        this.panelVersions[panelId] = { title, id: version.id };
+
+        const selector = panel.querySelector('.version-selector');
+        if (selector) selector.value = versionIndex;
 
         const contentDiv = panel.querySelector('.article-content');
         const metaDiv = panel.querySelector('.article-meta');
 
         contentDiv.innerHTML = content;
         metaDiv.innerHTML = `
+            ${this.pendingBadge(version.id)}
             ${this.escapeHtml(version.summary || 'No summary')} • 
             ${this.formatDate(version.created)} • 
-            Author: ${version.author.substring(0, 8)}...
+            Author: ${this.authorLink(version.author)}
+            ${this.forkNote(version)}
+            ${this.citationNote(content)}
         `;
-    },
+        this.enrichCitations(contentDiv);
 
-    parseMarkdown(md) {
-        // Try to detect if it's AsciiDoc (starts with = or has AsciiDoc markers)
-        const isAsciiDoc = md.trim().startsWith('=') || 
-                          md.includes('----') || 
-                          md.match(/^(NOTE|TIP|IMPORTANT|WARNING|CAUTION):/m) ||
-                          md.includes('|===');
-        
-        if (isAsciiDoc) {
-            return AsciiDoc.parse(md);
+        if (this.compareMode) {
+            this.renderDiff();
         }
-        
-        // Parse as Markdown with NIP-54 wikilinks and nostr links
-        let html = md;
-        
-        // Process wikilinks FIRST (before escaping): [[Target Page]] or [[target page|display text]]
-        html = html.replace(/\[\[([^\]|]+)\|([^\]]+)\]\]/g, (match, target, display) => {
-            const normalizedTarget = this.normalizeWikilink(target);
-            return `<wikilink data-target="${normalizedTarget}" data-display="${display}"></wikilink>`;
-        });
-        html = html.replace(/\[\[([^\]]+)\]\]/g, (match, target) => {
-            const normalizedTarget = this.normalizeWikilink(target.trim());
-            return `<wikilink data-target="${normalizedTarget}" data-display="${target.trim()}"></wikilink>`;
-        });
-        
-        // Process nostr links (before escaping)
-        html = html.replace(/nostr:(npub|note|nevent|nprofile|naddr)[a-z0-9]+/gi, (match) => {
-            return `<nostrlink data-uri="${match}"></nostrlink>`;
-        });
-        
-        // Process images (before escaping): ![]() syntax or image:: syntax
-        html = html.replace(/!\[([^\]]*)\]\(([^)]+)\)/g, (match, alt, path) => {
-            return `<imgplaceholder data-src="${path}" data-alt="${alt}"></imgplaceholder>`;
-        });
-        html = html.replace(/image::([^\[]+)\[([^\]]*)\]/g, (match, path, alt) => {
-            return `<imgplaceholder data-src="${path}" data-alt="${alt}"></imgplaceholder>`;
-        });
-        html = html.replace(/image:([^\[]+)\[([^\]]*)\]/g, (match, path, alt) => {
-            return `<imgplaceholder data-src="${path}" data-alt="${alt}" data-inline="true"></imgplaceholder>`;
-        });
-        
-        // Escape HTML
-        html = this.escapeHtml(html);
-        
-        // Headers
-        html = html.replace(/^### (.*$)/gim, '<h3>$1</h3>');
-        html = html.replace(/^## (.*$)/gim, '<h2>$1</h2>');
-        html = html.replace(/^# (.*$)/gim, '<h2>$1</h2>');
-        
-        // Bold
-        html = html.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-        html = html.replace(/__(.*?)__/g, '<strong>$1</strong>');
-        
-        // Italic
-        html = html.replace(/\*(.*?)\*/g, '<em>$1</em>');
-        html = html.replace(/_(.*?)_/g, '<em>$1</em>');
-        
-        // Links
-        html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank">$1</a>');
-        
-        // Line breaks and paragraphs
-        const lines = html.split('\n');
-        const processed = [];
-        let inParagraph = false;
+    },
 
-        for (let line of lines) {
-            line = line.trim();
-            
-            if (line === '') {
-                if (inParagraph) {
-                    processed.push('</p>');
-                    inParagraph = false;
-                }
-            } else if (line.startsWith('<h')) {
-                if (inParagraph) {
-                    processed.push('</p>');
-                    inParagraph = false;
+    // The revision a version was edited from, read from its NIP-54 fork tags
+    forkSource(version) {
+        const eTag = version.tags.find(t => t[0] === 'e' && t[3] === 'fork');
+        if (!eTag || !/^[0-9a-f]{64}$/.test(eTag[1])) return null;
+
+        const aTag = version.tags.find(t => t[0] === 'a' && t[3] === 'fork');
+        const [kind, author, ...rest] = (aTag?.[1] || '').split(':');
+        return {
+            id: eTag[1],
+            author: kind === '30818' && /^[0-9a-f]{64}$/.test(author) ? author : null,
+            title: kind === '30818' ? rest.join(':') : null
+        };
+    },
+
+    forkNote(version) {
+        const source = this.forkSource(version);
+        if (!source) return '';
+
+        const href = source.title
+            ? '#' + this.articleRoute(source.title, source.id)
+            : '#/nostr/' + Bech32.encodeNote(source.id);
+        const by = source.author ? ` by ${this.authorLink(source.author)}` : '';
+        return ` • Based on <a href="${href}" class="author-link">this revision</a>${by}
+            (<a href="#/compare/${source.id}/${version.id}" class="author-link">diff</a>)`;
+    },
+
+    // Claims marked {cn} in the text, counted so editors can see what still needs a source
+    citationNote(html) {
+        const count = (html.match(/class="citation-needed"/g) || []).length;
+        if (count === 0) return '';
+        return ` • <span class="citation-count">${count} citation${count === 1 ? '' : 's'} needed</span>`;
+    },
+
+    // References that link to web pages show the site; those that point at nostr events
+    // show the event's title, author and date once it arrives
+    enrichCitations(container) {
+        const items = container.querySelectorAll('.footnotes li');
+        items.forEach(item => {
+            item.querySelectorAll('a[href^="http"]').forEach(link => {
+                let host;
+                try {
+                    host = new URL(link.href).hostname.replace(/^www\./, '');
+                } catch (err) {
+                    return;
                 }
-                processed.push(line);
-            } else {
-                if (!inParagraph) {
-                    processed.push('<p>');
-                    inParagraph = true;
-                } else {
-                    processed.push('<br>');
+                link.classList.add('citation-web');
+                link.insertAdjacentHTML('afterend', ` <span class="citation-host">${this.escapeHtml(host)}</span>`);
+            });
+
+            item.querySelectorAll('a.nostr-link').forEach(link => {
+                const entity = link.getAttribute('href').replace(/^#\/nostr\//, '');
+                const known = this.citationEvents[entity];
+                if (known) {
+                    this.showCitation(link, known);
+                } else if (known === undefined) {
+                    this.lookupCitation(entity);
                 }
-                processed.push(line);
-            }
+            });
+        });
+    },
+
+    // Articles re-render as versions arrive, so each cited event is fetched once and
+    // every link to it is updated when it comes in
+    async lookupCitation(entity) {
+        const filter = this.citationFilter(entity);
+        if (!filter) return;
+
+        this.citationEvents[entity] = null;
+        const sub = await this.subscribeCached(filter, (event) => {
+            if (this.citationEvents[entity]?.created_at >= event.created_at) return;
+            this.citationEvents[entity] = event;
+            document.querySelectorAll(`.footnotes a.nostr-link[href="#/nostr/${entity}"]`)
+                .forEach(link => this.showCitation(link, event));
+        }, { autoClose: true });
+
+        // Try again on a later view if this one ended before the event turned up
+        const forget = () => {
+            if (this.citationEvents[entity] === null) delete this.citationEvents[entity];
+        };
+        if (!sub) {
+            forget();
+            return;
         }
+        sub.done.then(forget);
+    },
 
-        if (inParagraph) {
-            processed.push('</p>');
+    citationFilter(entity) {
+        try {
+            const { type, data } = Bech32.decodeEntity(entity);
+            if (type === 'note') return { ids: [data], limit: 1 };
+            if (type === 'nevent') return { ids: [data.id], limit: 1 };
+            if (type === 'naddr') return { kinds: [data.kind], authors: [data.pubkey], '#d': [data.identifier], limit: 1 };
+        } catch (err) {
+            console.log('Not a citable nostr link:', entity);
         }
+        return null;
+    },
 
-        html = processed.join('\n');
-        
-        // Convert placeholders back to actual HTML (after escaping)
-        html = html.replace(/&lt;wikilink data-target=&quot;([^&]+)&quot; data-display=&quot;([^&]+)&quot;&gt;&lt;\/wikilink&gt;/g, 
-            (match, target, display) => {
-                return `<a href="#" class="wikilink" data-target="${target}" onclick="app.searchWikilink('${target}'); return false;">${display}</a>`;
-            });
-        
-        html = html.replace(/&lt;nostrlink data-uri=&quot;([^&]+)&quot;&gt;&lt;\/nostrlink&gt;/g,
-            (match, uri) => {
-                return `<a href="#" class="nostr-link" onclick="app.openNostrLink('${uri}'); return false;">${uri}</a>`;
-            });
-        
-        html = html.replace(/&lt;imgplaceholder data-src=&quot;([^&]+)&quot; data-alt=&quot;([^&]*)&quot;(?: data-inline=&quot;true&quot;)?&gt;&lt;\/imgplaceholder&gt;/g,
-            (match, src, alt, inline) => {
-                const style = inline ? 'max-width: 100%; height: auto; display: inline-block;' : 'max-width: 100%; height: auto;';
-                return `<img src="${src}" alt="${alt}" style="${style}">`;
-            });
+    showCitation(link, event) {
+        const tag = (name) => event.tags.find(t => t[0] === name)?.[1];
+        const text = event.content.replace(/\s+/g, ' ').trim();
+        const title = tag('title') || tag('d') || (text.length > 80 ? text.substring(0, 80) + '…' : text) || `Kind ${event.kind} event`;
+        link.classList.add('citation-nostr');
+        link.innerHTML = `<span class="citation-title">${this.escapeHtml(title)}</span>`;
 
-        return html;
+        if (link.nextElementSibling?.classList.contains('citation-meta')) {
+            link.nextElementSibling.remove();
+        }
+        link.insertAdjacentHTML('afterend',
+            `<span class="citation-meta"> — ${this.authorName(event.pubkey)}, ${this.formatDate(event.created_at)}</span>`);
+    },
+
+    getPanelVersion(panelId) {
+        const current = this.panelVersions[panelId];
+        const versions = current && this.articles[current.title];
+        if (!versions || versions.length === 0) return null;
+        return versions.find(v => v.id === current.id) || versions[0];
+    },
+
+    // Diff of the left panel's version (base) against the right panel's (target)
+    renderDiff() {
+        const container = document.getElementById('diffView');
+        const base = this.getPanelVersion('article1');
+        const target = this.getPanelVersion('article2');
+
+        if (!this.compareMode || !base || !target) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        const { added, removed } = Diff.stats(base.content, target.content);
+        const body = this.diffMode === 'inline'
+            ? Diff.renderInline(base.content, target.content)
+            : Diff.renderSideBySide(base.content, target.content);
+
+        container.style.display = '';
+        container.innerHTML = `
+            <div class="diff-header">
+                <div class="diff-summary">
+                    Base: ${this.formatDate(base.created)} by ${this.authorLink(base.author)} →
+                    Target: ${this.formatDate(target.created)} by ${this.authorLink(target.author)}
+                    <span class="diff-stat-added">+${added}</span>
+                    <span class="diff-stat-removed">−${removed}</span>
+                </div>
+                <div class="diff-modes">
+                    <button class="btn ${this.diffMode === 'inline' ? '' : 'btn-secondary'}" data-action="setDiffMode" data-mode="inline">Inline</button>
+                    <button class="btn ${this.diffMode === 'split' ? '' : 'btn-secondary'}" data-action="setDiffMode" data-mode="split">Side by side</button>
+                </div>
+            </div>
+            ${body}
+        `;
+    },
+
+    setDiffMode(mode) {
+        this.diffMode = mode;
+        this.renderDiff();
+    },
+
+    // Events carry a format tag since the editor gained a format switch; older ones are guessed
+    renderContent(content, format) {
+        const html = (format || this.detectFormat(content)) === 'asciidoc'
+            ? AsciiDoc.parse(content)
+            : this.parseMarkdown(content);
+        return Sanitizer.sanitize(html);
+    },
+
+    detectFormat(text) {
+        // Try to detect if it's AsciiDoc (starts with = or has AsciiDoc markers)
+        const isAsciiDoc = text.trim().startsWith('=') || 
+                          text.includes('----') || 
+                          text.match(/^(NOTE|TIP|IMPORTANT|WARNING|CAUTION):/m) ||
+                          text.includes('|===');
+        return isAsciiDoc ? 'asciidoc' : 'markdown';
     },
 
+    parseMarkdown(md) {
+        // CommonMark with GFM extensions, NIP-54 wikilinks and nostr links; raw HTML shows as text.
+        // Articles with four or more sections get a table of contents.
+        return Markdown.parse(md, { linkTarget: '_blank', headingIds: true, toc: 4, math: true });
+    },
+
+    // Also safe inside quoted attribute values
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     },
 
     formatDate(timestamp) {
@@ -375,9 +844,53 @@ const app = {
         return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
     },
 
+    getSigner() {
+        if (this.signerType === 'nip07') {
+            return Signer.nip07();
+        }
+        if (this.signerType === 'nip46') {
+            if (!this.bunkerUri) return null;
+            if (!this.remoteSigner) {
+                this.remoteSigner = Signer.nip46(this.bunkerUri, this.getNip46ClientKey());
+            }
+            return this.remoteSigner;
+        }
+        return this.privateKey ? Signer.local(this.privateKey) : null;
+    },
+
+    getNip46ClientKey() {
+        // Throwaway keypair that identifies this browser to the remote signer
+        if (!this.nip46ClientKey) {
+            this.nip46ClientKey = Crypto.generatePrivateKey();
+        }
+        return this.nip46ClientKey;
+    },
+
+    async unlockPrivateKey() {
+        if (this.privateKey) return true;
+        if (!this.ncryptsec) return false;
+
+        const passphrase = prompt('Enter your passphrase to unlock your private key:');
+        if (passphrase === null) return false;
+
+        try {
+            // Kept in memory only, so this happens once per session
+            this.privateKey = await Nip49.decrypt(this.ncryptsec, passphrase);
+            return true;
+        } catch (err) {
+            alert('Could not unlock private key: ' + err.message);
+            return false;
+        }
+    },
+
     async publishArticle() {
-        if (!this.privateKey) {
-            alert('Please set your private key in settings first');
+        if (this.signerType === 'local' && this.ncryptsec && !await this.unlockPrivateKey()) {
+            return;
+        }
+
+        const signer = this.getSigner();
+        if (!signer) {
+            alert('Please set your private key or choose a signer in settings first');
             this.showSettingsModal();
             return;
         }
@@ -385,6 +898,7 @@ const app = {
         const title = document.getElementById('articleTitleInput').value.trim();
         const content = document.getElementById('articleContentInput').value.trim();
         const summary = document.getElementById('articleSummaryInput').value.trim();
+        const format = document.getElementById('articleFormatSelect').value;
 
         if (!title || !content) {
             alert('Title and content are required');
@@ -401,18 +915,51 @@ const app = {
             if (summary) {
                 tags.push(['summary', summary]);
             }
+            tags.push(['format', format]);
+
+            // NIP-54: point at the revision this edit started from
+            const base = this.editingBase;
+            if (base) {
+                // Hint at the relay the base revision came from
+                const relay = await EventStore.getRelay(base.id);
+                tags.push(['a', `30818:${base.author}:${base.title}`, relay, 'fork']);
+                tags.push(['e', base.id, relay, 'fork']);
+                base.categories.forEach(category => tags.push(['t', category]));
+            }
 
-            const event = await Nostr.createEvent(30818, content, tags, this.privateKey);
-            
-            const results = await Nostr.publish(event);
+            const event = await Nostr.createEvent(30818, content, tags, signer);
+            this.closeCreateModal();
+
+            // Nowhere to publish: keep the signed event until a relay comes back
+            if (Nostr.getConnectedRelays().length === 0) {
+                await this.queueOutbox(this.outboxEntry(event));
+                this.deleteDraft(this.draftKey);
+                alert('You are offline. Your edit was saved and will be published when a relay reconnects.');
+                document.getElementById('searchInput').value = title;
+                this.search();
+                return;
+            }
+
+            const acks = Nostr.publish(event);
+            const results = await this.showPublishReport(acks);
             console.log('Publish results:', results);
 
-            this.closeCreateModal();
-            alert('Article published! Searching for it now...');
+            // Relays that dropped off or went quiet get the edit again when they reconnect
+            const unreachable = results.every(r => r.status === 'timeout' || r.status === 'disconnected');
+            const entry = this.recordResults(this.outboxEntry(event), results);
+            if (!this.outboxSettled(entry)) {
+                await this.queueOutbox(entry);
+                document.getElementById('publishSummary').textContent += unreachable
+                    ? ' Saved to the outbox, it will be retried when relays reconnect.'
+                    : ' It will be retried on the relays that did not answer.';
+            }
 
-            // Search for the article
-            document.getElementById('searchInput').value = title;
-            setTimeout(() => this.search(), 1000);
+            // Search for the article once at least one relay stored it
+            if (unreachable || results.some(r => r.status === 'accepted')) {
+                this.deleteDraft(this.draftKey);
+                document.getElementById('searchInput').value = title;
+                this.search();
+            }
 
         } catch (err) {
             console.error('Failed to publish:', err);
@@ -420,77 +967,250 @@ const app = {
         }
     },
 
-    toggleCompare() {
-        this.compareMode = !this.compareMode;
-        const container = document.getElementById('articlesContainer');
-        const article1 = document.getElementById('article1');
-        const btn = document.getElementById('compareBtn');
-
-        if (this.compareMode) {
-            article1.classList.remove('single');
-            
-            if (!document.getElementById('article2')) {
-                const article2 = document.createElement('div');
-                article2.id = 'article2';
-                article2.className = 'article-panel';
-                article2.innerHTML = `
-                    <div class="empty-state">
-                        <h2>Select a version to compare</h2>
-                        <p>This panel will show a different version</p>
-                    </div>
-                `;
-                container.appendChild(article2);
-            }
+    async loadOutbox() {
+        const queued = await EventStore.getOutbox();
+        queued.forEach(entry => {
+            this.outbox[entry.event.id] = entry;
+            this.processArticle(entry.event);
+        });
+        this.flushOutbox();
+    },
 
-            // If we have a current search, show it in both panels
-            if (this.currentSearch && this.articles[this.currentSearch]?.length > 1) {
-                this.displayArticle(this.currentSearch, 'article2');
-            }
-            
-            btn.textContent = 'Single View';
-        } else {
-            article1.classList.add('single');
-            const article2 = document.getElementById('article2');
-            if (article2) article2.remove();
-            btn.textContent = 'Compare';
-        }
+    outboxEntry(event) {
+        return { event, queuedAt: Date.now(), attempts: 0, acceptedBy: [], rejectedBy: [] };
     },
 
-    showLoading(panelId = 'article1') {
-        const panel = document.getElementById(panelId);
-        panel.innerHTML = '<div class="loading">Loading article...</div>';
+    async queueOutbox(entry) {
+        this.outbox[entry.event.id] = entry;
+        this.processArticle(entry.event);
+        await EventStore.addToOutbox(entry);
     },
 
-    showHome() {
-        const panel = document.getElementById('article1');
-        panel.classList.add('single');
-        
-        if (this.compareMode) {
-            this.toggleCompare();
-        }
+    recordResults(entry, results) {
+        results.forEach(({ url, status }) => {
+            const list = status === 'accepted' ? entry.acceptedBy : status === 'rejected' ? entry.rejectedBy : null;
+            if (list && !list.includes(url)) list.push(url);
+        });
+        return entry;
+    },
 
-        this.currentSearch = null;
-        this.loadHomepage();
+    // Every configured relay has answered with an OK, accepting or rejecting the event
+    outboxSettled(entry) {
+        return this.relayUrls.every(url => entry.acceptedBy.includes(url) || entry.rejectedBy.includes(url));
     },
 
-    loadHomepage() {
-        const panel = document.getElementById('article1');
-        
-        // Subscribe to recent articles with higher limit for more categories
+    // Retry queued events one at a time on the configured relays that have not OK'd them
+    // yet; runs whenever a relay (re)connects. Events are dropped once every relay has
+    // answered or the retry or age limit is reached.
+    async flushOutbox() {
+        if (this.flushingOutbox) {
+            this.flushPending = true;
+            return;
+        }
+        if (Nostr.getConnectedRelays().length === 0) return;
+        const queued = Object.values(this.outbox);
+        if (queued.length === 0) return;
+
+        this.flushingOutbox = true;
+        try {
+            for (const entry of queued) {
+                const { event } = entry;
+                const waiting = this.relayUrls.filter(url =>
+                    !entry.acceptedBy.includes(url) && !entry.rejectedBy.includes(url));
+                const acks = Object.values(Nostr.publish(event, waiting));
+
+                if (acks.length > 0) {
+                    const wasAccepted = entry.acceptedBy.length > 0;
+                    this.recordResults(entry, await Promise.all(acks));
+                    entry.attempts++;
+                    if (!wasAccepted && entry.acceptedBy.length > 0) {
+                        EventStore.add(event, entry.acceptedBy[0]);
+                    }
+                }
+
+                const expired = entry.attempts >= this.outboxMaxAttempts ||
+                    Date.now() - entry.queuedAt > this.outboxMaxAge;
+                if (!this.outboxSettled(entry) && !expired) {
+                    if (acks.length > 0) await EventStore.addToOutbox(entry);
+                    continue;
+                }
+
+                delete this.outbox[event.id];
+                await EventStore.removeFromOutbox(event.id);
+
+                if (entry.acceptedBy.length === 0) {
+                    const title = event.tags.find(t => t[0] === 'd')?.[1];
+                    if (this.articles[title]) {
+                        this.articles[title] = this.articles[title].filter(v => v.id !== event.id);
+                    }
+                    alert(entry.rejectedBy.length > 0
+                        ? `Every relay rejected your queued edit of "${title}".`
+                        : `Your queued edit of "${title}" could not be published and was dropped.`);
+                }
+            }
+        } finally {
+            this.flushingOutbox = false;
+            if (this.flushPending) {
+                // Relays that opened during this pass have not been sent anything yet
+                this.flushPending = false;
+                this.flushOutbox();
+            }
+        }
+
+        const current = this.panelVersions.article1;
+        if (current && this.articles[this.currentSearch]) {
+            this.displayArticle(current.title, 'article1');
+            if (current.id) {
+                this.selectVersion(current.title, current.id, 'article1');
+            }
+        }
+    },
+
+    // Queued and not yet accepted by any relay
+    isUnpublished(id) {
+        return !!this.outbox[id] && this.outbox[id].acceptedBy.length === 0;
+    },
+
+    pendingBadge(id) {
+        const entry = this.outbox[id];
+        if (!entry) return '';
+        if (entry.acceptedBy.length === 0) {
+            return '<span class="pending-badge">Pending: waiting for a relay</span> • ';
+        }
+        return `<span class="pending-badge">Published to ${entry.acceptedBy.length} of ${this.relayUrls.length} relays</span> • `;
+    },
+
+    async showPublishReport(acks) {
+        const modal = document.getElementById('publishModal');
+        const report = document.getElementById('publishReport');
+        const summary = document.getElementById('publishSummary');
+        const urls = Object.keys(acks);
+
+        summary.textContent = urls.length > 0
+            ? `Waiting for ${urls.length} relay(s) to confirm...`
+            : 'Not connected to any relay, nothing was published.';
+
+        report.innerHTML = urls.map((url, i) => `
+            <li class="publish-status pending" id="publishStatus${i}">
+                <span class="publish-relay">${this.escapeHtml(url)}</span>
+                <span class="publish-result">Waiting...</span>
+            </li>
+        `).join('');
+        modal.classList.add('active');
+
+        const labels = {
+            accepted: 'Accepted',
+            rejected: 'Rejected',
+            timeout: 'No response',
+            disconnected: 'Disconnected'
+        };
+
+        // Fill in each row as its relay answers
+        const results = await Promise.all(urls.map((url, i) => acks[url].then(result => {
+            const row = document.getElementById(`publishStatus${i}`);
+            row.className = `publish-status ${result.status}`;
+            const detail = result.message ? ` (${result.message})` : '';
+            row.querySelector('.publish-result').textContent = labels[result.status] + detail;
+            return result;
+        })));
+
+        if (urls.length > 0) {
+            const accepted = results.filter(r => r.status === 'accepted').length;
+            summary.textContent = `Accepted by ${accepted} of ${urls.length} relay(s).`;
+        }
+
+        return results;
+    },
+
+    closePublishModal() {
+        document.getElementById('publishModal').classList.remove('active');
+    },
+
+    toggleCompare() {
+        const current = this.panelVersions.article1;
+        this.setCompareMode(!this.compareMode);
+
+        if (this.compareMode) {
+            // Start from the same article, the right panel's selector picks the other version
+            if (current && this.articles[current.title]?.length > 1) {
+                this.displayArticle(current.title, 'article2');
+                this.updateVersionRoute();
+            }
+        } else if (current) {
+            delete this.panelVersions.article2;
+            this.updateVersionRoute();
+        }
+    },
+
+    setCompareMode(enabled) {
+        this.compareMode = enabled;
+        const container = document.getElementById('articlesContainer');
+        const article1 = document.getElementById('article1');
+        const btn = document.getElementById('compareBtn');
+
+        if (this.compareMode) {
+            article1.classList.remove('single');
+            
+            if (!document.getElementById('article2')) {
+                const article2 = document.createElement('div');
+                article2.id = 'article2';
+                article2.className = 'article-panel';
+                article2.innerHTML = `
+                    <div class="empty-state">
+                        <h2>Select a version to compare</h2>
+                        <p>This panel will show a different version</p>
+                    </div>
+                `;
+                container.appendChild(article2);
+            }
+
+            btn.textContent = 'Single View';
+        } else {
+            article1.classList.add('single');
+            const article2 = document.getElementById('article2');
+            if (article2) article2.remove();
+            btn.textContent = 'Compare';
+        }
+
+        this.renderDiff();
+    },
+
+    showLoading(panelId = 'article1') {
+        const panel = document.getElementById(panelId);
+        panel.innerHTML = '<div class="loading">Loading article...</div>';
+    },
+
+    loadHome() {
+        this.currentSearch = null;
+        document.getElementById('searchInput').value = '';
+        this.loadHomepage();
+    },
+
+    async loadHomepage() {
+        this.closeViewSubscriptions();
+        this.renderHomepage();
+
+        // Subscribe to recent articles with higher limit for more categories
         const filter = {
             kinds: [30818],
             limit: 200
         };
 
-        const subId = Nostr.subscribe(filter, (event) => {
+        const sub = await this.subscribeCached(filter, (event) => {
             this.processArticle(event);
             // Re-render on each new article if we're still on homepage
             if (this.currentSearch === null) {
                 this.renderHomepage();
             }
         });
+        if (!sub) return;
 
-        this.renderHomepage();
+        sub.done.then(({ pending, cancelled }) => {
+            if (!cancelled && this.currentSearch === null) {
+                this.renderHomepage();
+                this.showRelayNotice('article1', pending);
+            }
+        });
     },
 
     renderHomepage() {
@@ -501,7 +1221,7 @@ const app = {
             categoriesHtml = `
                 <div class="categories-grid">
                     ${Array.from(this.categories).sort().map(cat => `
-                        <div class="category-tag" onclick="app.searchCategory('${this.escapeHtml(cat)}')">
+                        <div class="category-tag" data-action="searchCategory" data-category="${this.escapeHtml(cat)}">
                             ${this.escapeHtml(cat)}
                         </div>
                     `).join('')}
@@ -516,7 +1236,7 @@ const app = {
             recentHtml = `
                 <div class="article-list">
                     ${this.recentArticles.slice(0, 20).map(article => `
-                        <div class="article-item" onclick="app.searchWikilink('${article.title}')">
+                        <div class="article-item" data-action="openArticle" data-title="${this.escapeHtml(article.title)}">
                             <div class="article-item-title">${this.escapeHtml(article.displayTitle)}</div>
                             <div class="article-item-meta">
                                 ${this.escapeHtml(article.summary || 'No summary')} • 
@@ -552,13 +1272,18 @@ const app = {
     },
 
     searchWikilink(normalizedTitle) {
-        document.getElementById('searchInput').value = normalizedTitle;
-        this.search();
+        this.navigate(this.articleRoute(normalizedTitle));
     },
 
     searchCategory(category) {
+        this.navigate('/category/' + encodeURIComponent(category));
+    },
+
+    async loadCategory(category) {
         // Search for articles with this category tag
-        this.currentSearch = `category:${category}`;
+        const key = `category:${category}`;
+        this.closeViewSubscriptions();
+        this.currentSearch = key;
         this.showLoading('article1');
 
         const filter = {
@@ -567,14 +1292,27 @@ const app = {
             limit: 100
         };
 
-        Nostr.subscribe(filter, (event) => {
+        const sub = await this.subscribeCached(filter, (event) => {
             this.processArticle(event);
         });
+        if (!sub) return;
 
-        // Display results after delay
-        setTimeout(() => {
+        if (sub.cached.length > 0) {
             this.displayCategoryResults(category);
-        }, 2000);
+        }
+
+        // Show what we have as soon as any relay finishes, then the final list
+        sub.onEose(() => {
+            if (this.currentSearch === key) {
+                this.displayCategoryResults(category);
+            }
+        });
+        sub.done.then(({ pending, cancelled }) => {
+            if (!cancelled && this.currentSearch === key) {
+                this.displayCategoryResults(category);
+                this.showRelayNotice('article1', pending);
+            }
+        });
     },
 
     displayCategoryResults(category) {
@@ -605,7 +1343,7 @@ const app = {
                 <h1 style="margin-bottom: 1rem;">Category: ${this.escapeHtml(category)}</h1>
                 <div class="article-list">
                     ${articlesInCategory.map(article => `
-                        <div class="article-item" onclick="app.searchWikilink('${article.title}')">
+                        <div class="article-item" data-action="openArticle" data-title="${this.escapeHtml(article.title)}">
                             <div class="article-item-title">${this.escapeHtml(article.displayTitle)}</div>
                             <div class="article-item-meta">
                                 ${this.escapeHtml(article.summary || 'No summary')} • 
@@ -619,21 +1357,458 @@ const app = {
         `;
     },
 
-    openNostrLink(nostrUri) {
-        // For now, just log it. In production, this would open a nostr client or profile viewer
-        console.log('Opening nostr link:', nostrUri);
-        alert(`Nostr link: ${nostrUri}\n\nIn a full implementation, this would open the profile or event in your Nostr client.`);
+    async loadNostrEntity(nostrUri) {
+        let entity;
+        try {
+            entity = Bech32.decodeEntity(nostrUri);
+        } catch (err) {
+            console.error('Invalid nostr link:', nostrUri, err);
+            this.showLinkError('Invalid nostr link', err.message);
+            return;
+        }
+
+        const { type, data } = entity;
+        switch (type) {
+            case 'naddr':
+                await this.fetchFromHints(data.relays, {
+                    kinds: [data.kind], authors: [data.pubkey], '#d': [data.identifier]
+                });
+                if (data.kind === 30818) {
+                    this.navigate(this.articleRoute(data.identifier), true);
+                } else {
+                    this.showEvent({ kinds: [data.kind], authors: [data.pubkey], '#d': [data.identifier] });
+                }
+                break;
+
+            case 'nevent':
+                await this.fetchFromHints(data.relays, { ids: [data.id] });
+                this.showEvent({ ids: [data.id] });
+                break;
+
+            case 'note':
+                this.showEvent({ ids: [data] });
+                break;
+
+            case 'nprofile':
+                await this.fetchFromHints(data.relays, { kinds: [0, 30818], authors: [data.pubkey], limit: 100 });
+                this.navigate('/user/' + Bech32.encodePubkey(data.pubkey), true);
+                break;
+
+            case 'npub':
+                this.navigate('/user/' + Bech32.encodePubkey(data), true);
+                break;
+
+            case 'nsec':
+                this.showLinkError('Private key link', 'This link contains a private key (nsec) and will not be opened.');
+                break;
+
+            default:
+                this.showLinkError('Unsupported nostr link', `Links to ${type} entities cannot be opened here.`);
+        }
+    },
+
+    // Replaces whatever view was open, so the page matches the link in the URL
+    showLinkError(heading, message) {
+        this.closeViewSubscriptions();
+        this.currentSearch = null;
+        document.getElementById('article1').innerHTML = `
+            <div class="empty-state">
+                <h2>${heading}</h2>
+                <p>${this.escapeHtml(message)}</p>
+            </div>
+        `;
+    },
+
+    // Relay hints serve this one lookup: what they return lands in the event store for
+    // the view that follows, then they are closed again unless they are configured
+    async fetchFromHints(relays = [], filter) {
+        const connected = Nostr.getConnectedRelays(relays);
+        const hints = relays
+            .filter(url => /^wss?:\/\//.test(url) && !this.relayUrls.includes(url) && !connected.includes(url))
+            .slice(0, 3);
+        if (hints.length === 0) return;
+
+        this.showLoading('article1');
+        await Nostr.connect(hints, { pool: false });
+        const sub = Nostr.subscribe(filter, (event) => {
+            if (event.kind === 30818) this.processArticle(event);
+            if (event.kind === 0) this.processProfile(event);
+        }, { relays: hints, autoClose: true });
+        await sub.done;
+
+        hints
+            .filter(url => !this.relayUrls.includes(url))
+            .forEach(url => Nostr.removeRelay(url));
+    },
+
+    async showEvent(filter) {
+        const key = 'event:' + JSON.stringify(filter);
+        this.closeViewSubscriptions();
+        this.currentSearch = key;
+        this.showLoading('article1');
+
+        let found = false;
+        const sub = await this.subscribeCached({ ...filter, limit: 1 }, (event) => {
+            if (this.currentSearch !== key) return;
+            found = true;
+
+            if (event.kind === 30818) {
+                this.processArticle(event);
+                const title = event.tags.find(t => t[0] === 'd')?.[1];
+                if (title) {
+                    this.navigate(this.articleRoute(title, event.id), true);
+                    return;
+                }
+            }
+            this.displayEvent(event, 'article1');
+        }, { autoClose: true });
+        if (!sub) return;
+        EventStore.touch(sub.cached.map(e => e.id));
+
+        sub.done.then(({ cancelled }) => {
+            if (!cancelled && this.currentSearch === key && !found) {
+                document.getElementById('article1').innerHTML = `
+                    <div class="empty-state">
+                        <h2>Event not found</h2>
+                        <p>None of the connected relays returned this event</p>
+                    </div>
+                `;
+            }
+        });
+    },
+
+    findVersion(eventId) {
+        for (const [title, versions] of Object.entries(this.articles)) {
+            const version = versions.find(v => v.id === eventId);
+            if (version) return { title, version };
+        }
+        return null;
+    },
+
+    async loadHistory(title) {
+        const key = `history:${title}`;
+        this.closeViewSubscriptions();
+        this.currentSearch = key;
+        this.historyFilter = { author: '', from: '', to: '' };
+        this.showLoading('article1');
+
+        const refresh = () => {
+            if (this.currentSearch === key) {
+                this.displayHistory(title);
+            }
+        };
+
+        const sub = await this.subscribeCached({ kinds: [30818], '#d': [title], limit: 500 }, (event) => {
+            this.processArticle(event);
+            refresh();
+        });
+        if (!sub) return;
+
+        const { pending, cancelled } = await sub.done;
+        if (cancelled || this.currentSearch !== key) return;
+        refresh();
+        this.showRelayNotice('article1', pending);
+
+        // Names and pictures for everyone who edited the article
+        const authors = [...new Set((this.articles[title] || []).map(v => v.author))]
+            .filter(pubkey => !this.profiles[pubkey]);
+        if (authors.length > 0) {
+            this.subscribeCached({ kinds: [0], authors }, (event) => {
+                this.processProfile(event);
+                refresh();
+            }, { autoClose: true });
+        }
+    },
+
+    byteSize(text) {
+        return new TextEncoder().encode(text).length;
+    },
+
+    displayHistory(title) {
+        const panel = document.getElementById('article1');
+        const versions = this.articles[title] || [];
+
+        if (versions.length === 0) {
+            panel.innerHTML = `
+                <div class="empty-state">
+                    <h2>No history</h2>
+                    <p>No revisions of "${this.escapeHtml(title)}" found on the relays</p>
+                </div>
+            `;
+            return;
+        }
+
+        // Date inputs give local calendar days, the "to" day is inclusive
+        const filter = this.historyFilter;
+        const from = filter.from ? new Date(filter.from + 'T00:00').getTime() / 1000 : -Infinity;
+        const to = filter.to ? new Date(filter.to + 'T00:00').getTime() / 1000 + 86400 : Infinity;
+
+        // Versions are newest first, so each one's predecessor is the next entry
+        const rows = versions
+            .map((version, i) => ({ version, previous: versions[i + 1] }))
+            .filter(({ version }) =>
+                (!filter.author || version.author === filter.author) &&
+                version.created >= from && version.created < to);
+
+        const authors = [...new Set(versions.map(v => v.author))];
+        const encodedTitle = encodeURIComponent(title);
+
+        const rowsHtml = rows.map(({ version, previous }) => {
+            const size = this.byteSize(version.content);
+            const delta = previous ? size - this.byteSize(previous.content) : size;
+            const deltaClass = delta > 0 ? 'added' : delta < 0 ? 'removed' : '';
+            const deltaText = delta > 0 ? '+' + delta : delta < 0 ? '−' + -delta : '0';
+            const picture = /^https:\/\//.test(this.profiles[version.author]?.picture || '')
+                ? `<img class="history-picture" src="${this.escapeHtml(this.profiles[version.author].picture)}" alt="">`
+                : '';
+
+            return `
+                <li class="history-item">
+                    ${picture}
+                    <div class="history-main">
+                        <a href="#${this.articleRoute(title, version.id)}">${this.formatDate(version.created)}</a> • 
+                        ${this.authorLink(version.author)} • 
+                        ${size} bytes <span class="history-delta ${deltaClass}">(${deltaText})</span>
+                        ${this.isUnpublished(version.id) ? ' • <span class="pending-badge">Pending</span>' : ''}
+                        <div class="history-summary">${this.escapeHtml(version.summary || 'No summary')}</div>
+                    </div>
+                    <div class="history-actions">
+                        ${previous
+                            ? `<a href="#/compare/${previous.id}/${version.id}" class="btn btn-secondary">Diff</a>`
+                            : '<span class="history-first">First revision</span>'}
+                        <button class="btn btn-secondary" data-action="restoreVersion" data-id="${version.id}">Restore</button>
+                    </div>
+                </li>
+            `;
+        }).join('');
+
+        panel.innerHTML = `
+            <div class="article-header">
+                <h1 class="article-title">History: ${this.escapeHtml(versions[0].displayTitle)}</h1>
+                <a href="#/wiki/${encodedTitle}" class="history-link">Read article</a>
+            </div>
+            <div class="history-filters">
+                <select data-action="setHistoryFilter" data-field="author" data-title="${this.escapeHtml(title)}">
+                    <option value="">All authors (${authors.length})</option>
+                    ${authors.map(pubkey => `
+                        <option value="${pubkey}" ${filter.author === pubkey ? 'selected' : ''}>${this.authorName(pubkey)}</option>
+                    `).join('')}
+                </select>
+                <label>From <input type="date" value="${filter.from}" data-action="setHistoryFilter" data-field="from" data-title="${this.escapeHtml(title)}"></label>
+                <label>To <input type="date" value="${filter.to}" data-action="setHistoryFilter" data-field="to" data-title="${this.escapeHtml(title)}"></label>
+            </div>
+            ${rows.length > 0
+                ? `<ul class="history-list">${rowsHtml}</ul>`
+                : '<div class="empty-state"><p>No revisions match these filters</p></div>'}
+        `;
+    },
+
+    setHistoryFilter(field, value, title) {
+        this.historyFilter[field] = value;
+        this.displayHistory(title);
+    },
+
+    // Open the editor with an old revision so it can be published as the newest one; the
+    // edit still forks from the latest revision, which it replaces
+    restoreVersion(eventId) {
+        const found = this.findVersion(eventId);
+        if (!found) return;
+
+        this.openEditor(found.title, found.version, this.articles[found.title][0]);
+        document.getElementById('articleSummaryInput').value =
+            `Restore version from ${this.formatDate(found.version.created)}`;
+    },
+
+    async loadCompare(idA, idB) {
+        const key = `compare:${idA}:${idB}`;
+        this.closeViewSubscriptions();
+        this.currentSearch = key;
+        this.setCompareMode(true);
+        this.showLoading('article1');
+        this.showLoading('article2');
+
+        const titleOf = (id) => this.findVersion(id)?.title;
+
+        const refresh = () => {
+            if (this.currentSearch !== key) return;
+            [[idA, 'article1'], [idB, 'article2']].forEach(([id, panelId]) => {
+                const title = titleOf(id);
+                if (title) {
+                    const selected = this.panelVersions[panelId]?.id || id;
+                    this.displayArticle(title, panelId);
+                    this.selectVersion(title, selected, panelId);
+                }
+            });
+        };
+
+        const onEvent = (event) => {
+            this.processArticle(event);
+            refresh();
+        };
+
+        const sub = await this.subscribeCached({ ids: [idA, idB] }, onEvent, { autoClose: true });
+        if (!sub) return;
+
+        const { cancelled } = await sub.done;
+        if (cancelled || this.currentSearch !== key) return;
+
+        [[idA, 'article1'], [idB, 'article2']].forEach(([id, panelId]) => {
+            if (!titleOf(id)) {
+                document.getElementById(panelId).innerHTML = `
+                    <div class="empty-state">
+                        <h2>Version not found</h2>
+                        <p>None of the connected relays returned this version</p>
+                    </div>
+                `;
+            }
+        });
+
+        // Fill the version selectors with the other revisions of both articles
+        const titles = [...new Set([titleOf(idA), titleOf(idB)].filter(Boolean))];
+        if (titles.length > 0) {
+            this.subscribeCached({ kinds: [30818], '#d': titles, limit: 100 }, onEvent);
+        }
+    },
+
+    displayEvent(event, panelId) {
+        const panel = document.getElementById(panelId);
+        const paragraphs = event.content.split(/\n\s*\n/)
+            .map(p => `<p>${this.escapeHtml(p).replace(/\n/g, '<br>')}</p>`)
+            .join('');
+
+        panel.innerHTML = `
+            <div class="article-header">
+                <h1 class="article-title">Nostr event (kind ${event.kind})</h1>
+            </div>
+            <div class="article-meta">
+                ${this.formatDate(event.created_at)} • 
+                Author: ${this.authorLink(event.pubkey)}
+            </div>
+            <div class="article-content">
+                ${paragraphs}
+            </div>
+        `;
+    },
+
+    async loadAuthor(pubkey) {
+        const key = `author:${pubkey}`;
+        this.closeViewSubscriptions();
+        this.currentSearch = key;
+        this.showLoading('article1');
+
+        const refresh = () => {
+            if (this.currentSearch === key) {
+                this.displayAuthor(pubkey);
+            }
+        };
+
+        const profileSub = await this.subscribeCached({ kinds: [0], authors: [pubkey], limit: 1 }, (event) => {
+            this.processProfile(event);
+            refresh();
+        }, { autoClose: true });
+        if (!profileSub) return;
+
+        const articleSub = await this.subscribeCached({ kinds: [30818], authors: [pubkey], limit: 100 }, (event) => {
+            this.processArticle(event);
+            refresh();
+        });
+        if (!articleSub) return;
+
+        Promise.all([profileSub.done, articleSub.done]).then(refresh);
+    },
+
+    processProfile(event) {
+        const existing = this.profiles[event.pubkey];
+        if (existing && existing.created >= event.created_at) return;
+
+        try {
+            const metadata = JSON.parse(event.content);
+            this.profiles[event.pubkey] = {
+                name: metadata.display_name || metadata.name || '',
+                about: metadata.about || '',
+                picture: metadata.picture || '',
+                created: event.created_at
+            };
+        } catch (err) {
+            console.log('Invalid profile metadata from', event.pubkey);
+        }
+    },
+
+    authorName(pubkey) {
+        const name = this.profiles[pubkey]?.name;
+        return name ? this.escapeHtml(name) : pubkey.substring(0, 8) + '...';
+    },
+
+    authorLink(pubkey) {
+        return `<a href="#/user/${Bech32.encodePubkey(pubkey)}" class="author-link">${this.authorName(pubkey)}</a>`;
+    },
+
+    displayAuthor(pubkey) {
+        const panel = document.getElementById('article1');
+        const profile = this.profiles[pubkey] || {};
+        const npub = Bech32.encodePubkey(pubkey);
+
+        // Latest revision this author made of each article
+        const authored = [];
+        Object.entries(this.articles).forEach(([title, versions]) => {
+            const version = versions.find(v => v.author === pubkey);
+            if (version) {
+                authored.push({ title, ...version });
+            }
+        });
+        authored.sort((a, b) => b.created - a.created);
+
+        const picture = /^https:\/\//.test(profile.picture)
+            ? `<img class="author-picture" src="${this.escapeHtml(profile.picture)}" alt="">`
+            : '';
+
+        const articlesHtml = authored.length > 0 ? `
+            <div class="article-list">
+                ${authored.map(article => `
+                    <div class="article-item" data-action="openArticle" data-title="${this.escapeHtml(article.title)}">
+                        <div class="article-item-title">${this.escapeHtml(article.displayTitle)}</div>
+                        <div class="article-item-meta">
+                            ${this.escapeHtml(article.summary || 'No summary')} • 
+                            ${this.formatDate(article.created)}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        ` : '<p>No articles by this author found yet</p>';
+
+        panel.innerHTML = `
+            <div style="padding: 1.5rem;">
+                <div class="author-header">
+                    ${picture}
+                    <div>
+                        <h1>${this.escapeHtml(profile.name || npub.substring(0, 16) + '...')}</h1>
+                        <div class="author-npub">${npub}</div>
+                    </div>
+                </div>
+                ${profile.about ? `<p style="margin-bottom: 1.5rem;">${this.escapeHtml(profile.about)}</p>` : ''}
+                <div class="home-section">
+                    <h2>Articles</h2>
+                    ${articlesHtml}
+                </div>
+            </div>
+        `;
     },
 
     showSettingsModal() {
         const modal = document.getElementById('settingsModal');
         
-        if (this.privateKey) {
+        document.getElementById('signerSelect').value = this.signerType;
+
+        if (this.ncryptsec) {
+            document.getElementById('privKeyInput').value = this.ncryptsec;
+        } else if (this.privateKey) {
             const nsec = Bech32.encodePrivkey(this.privateKey);
             document.getElementById('privKeyInput').value = nsec;
         } else {
             document.getElementById('privKeyInput').value = '';
         }
+        document.getElementById('encryptKeyCheckbox').checked = !!this.ncryptsec;
+        document.getElementById('passphraseInput').value = '';
 
         if (this.publicKey) {
             const npub = Bech32.encodePubkey(this.publicKey);
@@ -643,9 +1818,58 @@ const app = {
         }
 
         document.getElementById('relayInput').value = this.relayUrls.join('\n');
+        this.updateSignerFields();
+        this.updateCacheStats();
         modal.classList.add('active');
     },
 
+    async updateCacheStats() {
+        const { count, bytes } = await EventStore.stats();
+        document.getElementById('cacheStats').textContent =
+            `${count} events, ${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    },
+
+    async clearCache() {
+        if (!confirm('Remove all cached events from this browser?')) return;
+        await EventStore.clear();
+        this.updateCacheStats();
+    },
+
+    async updateSignerFields() {
+        const type = document.getElementById('signerSelect').value;
+        document.getElementById('localKeyGroup').style.display = type === 'local' ? '' : 'none';
+        document.getElementById('remoteSignerGroup').style.display = type === 'nip46' ? '' : 'none';
+
+        if (type === 'nip46') {
+            document.getElementById('bunkerInput').value = this.bunkerUri || '';
+            document.getElementById('pubKeyDisplay').value = this.signerType === 'nip46' && this.publicKey
+                ? Bech32.encodePubkey(this.publicKey)
+                : 'Not connected';
+        }
+
+        if (type === 'nip07') {
+            const pubKeyDisplay = document.getElementById('pubKeyDisplay');
+            if (!Signer.isNip07Available()) {
+                pubKeyDisplay.value = 'No NIP-07 extension found';
+                return;
+            }
+            try {
+                const pubKey = await Signer.nip07().getPublicKey();
+                pubKeyDisplay.value = Bech32.encodePubkey(pubKey);
+            } catch (err) {
+                pubKeyDisplay.value = 'Extension denied access';
+            }
+        }
+    },
+
+    createNostrConnectURI() {
+        const relays = this.relayUrls.slice(0, 2);
+        document.getElementById('bunkerInput').value =
+            Signer.createNostrConnectURI(this.getNip46ClientKey(), relays);
+        document.getElementById('pubKeyDisplay').value =
+            'Paste this URI into your remote signer, then press Save';
+    },
+
     closeSettingsModal() {
         document.getElementById('settingsModal').classList.remove('active');
     },
@@ -660,46 +1884,154 @@ const app = {
         const nsec = Bech32.encodePrivkey(privKey);
         const npub = Bech32.encodePubkey(pubKey);
 
+        document.getElementById('signerSelect').value = 'local';
+        this.updateSignerFields();
         document.getElementById('privKeyInput').value = nsec;
         document.getElementById('pubKeyDisplay').value = npub;
 
         alert('New key pair generated! Make sure to save your private key (nsec).');
     },
 
-    saveSettings() {
+    async exportNcryptsec() {
+        if (!this.privateKey && !this.ncryptsec) {
+            alert('No private key to export');
+            return;
+        }
+        if (!await this.unlockPrivateKey()) return;
+
+        const passphrase = prompt('Choose a passphrase for the exported key:');
+        if (!passphrase) return;
+
+        const ncryptsec = await Nip49.encrypt(this.privateKey, passphrase);
+        prompt('Your encrypted private key (ncryptsec):', ncryptsec);
+    },
+
+    async saveSettings() {
+        const signerType = document.getElementById('signerSelect').value;
         const privKeyInput = document.getElementById('privKeyInput').value.trim();
         const relayText = document.getElementById('relayInput').value;
         
-        if (privKeyInput) {
+        if (signerType === 'nip07') {
             try {
-                // Decode if it's bech32
-                if (privKeyInput.startsWith('nsec1')) {
-                    this.privateKey = Bech32.decodePrivkey(privKeyInput);
-                } else {
-                    this.privateKey = privKeyInput;
+                this.publicKey = await Signer.nip07().getPublicKey();
+            } catch (err) {
+                alert('Could not get a public key from the browser extension: ' + err.message);
+                return;
+            }
+            // The extension holds the key, so never keep one in the page
+            this.privateKey = null;
+            this.ncryptsec = null;
+        } else if (signerType === 'nip46') {
+            const uri = document.getElementById('bunkerInput').value.trim();
+            const pubKeyDisplay = document.getElementById('pubKeyDisplay');
+
+            if (uri !== this.bunkerUri || !this.remoteSigner) {
+                let signer = null;
+                try {
+                    if (this.remoteSigner) this.remoteSigner.close();
+                    signer = Signer.nip46(uri, this.getNip46ClientKey());
+                    pubKeyDisplay.value = 'Waiting for remote signer...';
+                    this.publicKey = await signer.getPublicKey();
+                    this.remoteSigner = signer;
+                    this.bunkerUri = signer.getBunkerURI();
+                } catch (err) {
+                    if (signer) signer.close();
+                    this.remoteSigner = null;
+                    pubKeyDisplay.value = 'Not connected';
+                    alert('Could not connect to the remote signer: ' + err.message);
+                    return;
+                }
+            }
+            pubKeyDisplay.value = Bech32.encodePubkey(this.publicKey);
+            this.privateKey = null;
+            this.ncryptsec = null;
+        } else {
+            if (Nip49.isNcryptsec(privKeyInput)) {
+                // Importing a different encrypted key: unlock it right away
+                if (privKeyInput !== this.ncryptsec) {
+                    const passphrase = prompt('Enter the passphrase for this ncryptsec key:');
+                    if (passphrase === null) return;
+                    try {
+                        this.privateKey = await Nip49.decrypt(privKeyInput, passphrase);
+                        this.ncryptsec = privKeyInput;
+                    } catch (err) {
+                        alert('Could not import encrypted key: ' + err.message);
+                        return;
+                    }
+                }
+            } else if (privKeyInput) {
+                try {
+                    // Decode if it's bech32
+                    if (privKeyInput.startsWith('nsec1')) {
+                        this.privateKey = Bech32.decodePrivkey(privKeyInput);
+                    } else {
+                        this.privateKey = privKeyInput;
+                    }
+                    // A plain key was entered, so any stored ncryptsec is stale
+                    this.ncryptsec = null;
+                } catch (err) {
+                    alert('Invalid private key format');
+                    return;
+                }
+            }
+
+            try {
+                if (this.privateKey) {
+                    this.publicKey = Crypto.getPublicKey(this.privateKey);
                 }
-                
-                this.publicKey = Crypto.getPublicKey(this.privateKey);
-                
-                const npub = Bech32.encodePubkey(this.publicKey);
-                document.getElementById('pubKeyDisplay').value = npub;
             } catch (err) {
                 alert('Invalid private key format');
                 return;
             }
+            if (this.publicKey) {
+                document.getElementById('pubKeyDisplay').value = Bech32.encodePubkey(this.publicKey);
+            }
+
+            const encrypt = document.getElementById('encryptKeyCheckbox').checked;
+            const passphrase = document.getElementById('passphraseInput').value;
+            if (encrypt && passphrase && !this.privateKey && this.ncryptsec) {
+                // Re-encrypting needs the key, which stays locked until it is first used
+                alert('Unlock your private key (publish once or export it) before changing its passphrase');
+                return;
+            }
+            if (encrypt && this.privateKey && (passphrase || !this.ncryptsec)) {
+                if (!passphrase) {
+                    alert('Please enter a passphrase to encrypt your private key');
+                    return;
+                }
+                this.ncryptsec = await Nip49.encrypt(this.privateKey, passphrase);
+            } else if (!encrypt && this.ncryptsec) {
+                if (!await this.unlockPrivateKey()) return;
+                this.ncryptsec = null;
+            }
         }
 
-        this.relayUrls = relayText.split('\n')
+        const relayUrls = relayText.split('\n')
             .map(r => r.trim())
             .filter(r => r.startsWith('wss://') || r.startsWith('ws://'));
 
-        if (this.relayUrls.length === 0) {
+        if (relayUrls.length === 0) {
             alert('Please add at least one relay URL');
             return;
         }
 
+        const removedRelays = this.relayUrls.filter(url => !relayUrls.includes(url));
+        this.relayUrls = relayUrls;
+
+        this.signerType = signerType;
+        // A remote signer no longer in use would keep its relay subscription open
+        if (signerType !== 'nip46' && this.remoteSigner) {
+            this.remoteSigner.close();
+            this.remoteSigner = null;
+        }
+
         const settings = {
-            privateKey: this.privateKey,
+            signer: this.signerType,
+            bunkerUri: this.bunkerUri,
+            nip46ClientKey: this.nip46ClientKey,
+            // Never store the plaintext key when an encrypted copy exists
+            privateKey: this.ncryptsec ? null : this.privateKey,
+            ncryptsec: this.ncryptsec,
             publicKey: this.publicKey,
             relays: this.relayUrls
         };
@@ -708,22 +2040,261 @@ const app = {
         
         this.closeSettingsModal();
         
-        // Reconnect to relays
-        Nostr.disconnect();
+        // Drop removed relays; new ones pick up every live subscription once they open
+        removedRelays.forEach(url => Nostr.removeRelay(url));
         this.connectToRelays();
         
         alert('Settings saved!');
     },
 
     showCreateModal(title = '') {
-        const modal = document.getElementById('createModal');
+        this.prepareEditor(title, null);
+    },
+
+    editArticle(panelId) {
+        const current = this.panelVersions[panelId];
+        const version = this.getPanelVersion(panelId);
+        if (current && version) {
+            this.openEditor(current.title, version);
+        }
+    },
+
+    // Editor pre-filled with a revision; publishing it records base (by default that same
+    // revision) as the fork source
+    openEditor(title, version, base = version) {
+        this.prepareEditor(title, version, base);
+    },
+
+    prepareEditor(title, version, base = version) {
+        this.editingBase = base ? {
+            id: base.id,
+            author: base.author,
+            title,
+            categories: version.categories
+        } : null;
+
+        const content = version ? version.content : '';
+        this.fillEditor({
+            title,
+            content,
+            summary: '',
+            format: version ? version.format || this.detectFormat(content) : 'markdown'
+        });
+
+        // Unsaved work on the same article wins if the user wants it back
+        this.draftKey = title;
+        const draft = this.loadDrafts()[title];
+        if (draft) {
+            if (confirm(`Restore your unsaved draft from ${this.formatDate(draft.savedAt)}?`)) {
+                this.editingBase = draft.editingBase;
+                this.fillEditor(draft);
+            } else {
+                this.deleteDraft(title);
+            }
+        }
+
+        document.getElementById('draftStatus').textContent = '';
+        document.getElementById('createModal').classList.add('active');
+    },
+
+    fillEditor({ title, content, summary, format }) {
+        document.getElementById('createModalTitle').textContent = this.editingBase ? 'Edit Article' : 'Create Article';
         document.getElementById('articleTitleInput').value = title;
-        document.getElementById('articleContentInput').value = '';
-        document.getElementById('articleSummaryInput').value = '';
-        modal.classList.add('active');
+        document.getElementById('articleContentInput').value = content;
+        document.getElementById('articleSummaryInput').value = summary;
+        document.getElementById('articleFormatSelect').value = format;
+        this.hideWikilinkSuggestions();
+        this.updatePreview();
+    },
+
+    onEditorInput() {
+        clearTimeout(this.previewTimer);
+        this.previewTimer = setTimeout(() => this.updatePreview(), 200);
+        this.scheduleDraftSave();
+        this.updateWikilinkSuggestions();
+    },
+
+    updatePreview() {
+        const content = document.getElementById('articleContentInput').value;
+        const format = document.getElementById('articleFormatSelect').value;
+        document.getElementById('articlePreview').innerHTML = content.trim()
+            ? this.renderContent(content, format)
+            : '<p class="empty-state">Preview</p>';
+    },
+
+    applyFormat(action) {
+        const textarea = document.getElementById('articleContentInput');
+        const asciidoc = document.getElementById('articleFormatSelect').value === 'asciidoc';
+        const { selectionStart: start, selectionEnd: end, value } = textarea;
+        const selected = value.slice(start, end);
+
+        // Inline markup wraps the selection, line markup prefixes every selected line,
+        // block markup fences the selection on lines of its own
+        const inline = {
+            bold: asciidoc ? ['*', '*', 'bold text'] : ['**', '**', 'bold text'],
+            italic: asciidoc ? ['_', '_', 'italic text'] : ['*', '*', 'italic text'],
+            link: asciidoc ? ['https://example.com[', ']', 'link text'] : ['[', '](https://example.com)', 'link text'],
+            wikilink: ['[[', ']]', 'Page title']
+        };
+        const line = {
+            heading: [asciidoc ? '== ' : '## ', 'Heading'],
+            list: [asciidoc ? '* ' : '- ', 'List item'],
+            quote: asciidoc ? null : ['> ', 'Quote']
+        };
+        const block = {
+            code: [asciidoc ? '----' : '```', 'code'],
+            quote: ['____', 'Quote']
+        };
+
+        let before;
+        let text;
+        let after;
+        const newline = start > 0 && value[start - 1] !== '\n' ? '\n' : '';
+
+        if (inline[action]) {
+            [before, after] = inline[action];
+            text = selected || inline[action][2];
+        } else if (line[action]) {
+            const [prefix, placeholder] = line[action];
+            before = newline + prefix;
+            text = (selected || placeholder).split('\n').join('\n' + prefix);
+            after = '';
+        } else {
+            const [fence, placeholder] = block[action];
+            before = newline + fence + '\n';
+            text = selected || placeholder;
+            after = '\n' + fence + '\n';
+        }
+
+        textarea.setRangeText(before + text + after, start, end, 'end');
+        textarea.setSelectionRange(start + before.length, start + before.length + text.length);
+        textarea.focus();
+        this.onEditorInput();
+    },
+
+    updateWikilinkSuggestions() {
+        const textarea = document.getElementById('articleContentInput');
+        const match = textarea.value.slice(0, textarea.selectionStart).match(/\[\[([^\[\]|\n]*)$/);
+        if (!match) {
+            this.hideWikilinkSuggestions();
+            return;
+        }
+
+        // Every d-tag we have seen, prefix matches first
+        const query = match[1].trim().toLowerCase();
+        const titles = new Set(Object.keys(this.articles).filter(t => this.articles[t].length > 0));
+        this.recentArticles.forEach(article => titles.add(article.title));
+        this.wikilinkMatches = [...titles]
+            .filter(title => title.toLowerCase().includes(query))
+            .sort((a, b) => a.toLowerCase().startsWith(query) === b.toLowerCase().startsWith(query)
+                ? a.localeCompare(b)
+                : a.toLowerCase().startsWith(query) ? -1 : 1)
+            .slice(0, 8);
+        this.wikilinkIndex = 0;
+
+        if (this.wikilinkMatches.length === 0) {
+            this.hideWikilinkSuggestions();
+            return;
+        }
+        this.renderWikilinkSuggestions();
+    },
+
+    renderWikilinkSuggestions() {
+        const list = document.getElementById('wikilinkSuggestions');
+        list.innerHTML = this.wikilinkMatches.map((title, i) => `
+            <li class="${i === this.wikilinkIndex ? 'selected' : ''}" data-action="insert-wikilink" data-index="${i}">
+                ${this.escapeHtml(title)}
+            </li>
+        `).join('');
+        list.classList.add('active');
+    },
+
+    hideWikilinkSuggestions() {
+        this.wikilinkMatches = [];
+        document.getElementById('wikilinkSuggestions').classList.remove('active');
+    },
+
+    onEditorKeydown(event) {
+        if (this.wikilinkMatches.length === 0) return;
+
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            const count = this.wikilinkMatches.length;
+            this.wikilinkIndex = (this.wikilinkIndex + step + count) % count;
+            this.renderWikilinkSuggestions();
+        } else if (event.key === 'Enter' || event.key === 'Tab') {
+            this.insertWikilink(this.wikilinkIndex);
+        } else if (event.key === 'Escape') {
+            this.hideWikilinkSuggestions();
+        } else {
+            return;
+        }
+        event.preventDefault();
+    },
+
+    insertWikilink(index) {
+        const title = this.wikilinkMatches[index];
+        const textarea = document.getElementById('articleContentInput');
+        const cursor = textarea.selectionStart;
+        const open = textarea.value.lastIndexOf('[[', cursor);
+        const close = textarea.value.startsWith(']]', cursor) ? cursor + 2 : cursor;
+
+        textarea.setRangeText(`[[${title}]]`, open, close, 'end');
+        this.hideWikilinkSuggestions();
+        this.onEditorInput();
+    },
+
+    loadDrafts() {
+        try {
+            return JSON.parse(localStorage.getItem('nostipedia_drafts')) || {};
+        } catch (err) {
+            console.error('Failed to load drafts:', err);
+            return {};
+        }
+    },
+
+    scheduleDraftSave() {
+        clearTimeout(this.draftTimer);
+        this.draftTimer = setTimeout(() => this.saveDraft(), 1000);
+    },
+
+    saveDraft() {
+        clearTimeout(this.draftTimer);
+        this.draftTimer = null;
+
+        const drafts = this.loadDrafts();
+        const draft = {
+            title: document.getElementById('articleTitleInput').value,
+            content: document.getElementById('articleContentInput').value,
+            summary: document.getElementById('articleSummaryInput').value,
+            format: document.getElementById('articleFormatSelect').value,
+            editingBase: this.editingBase,
+            savedAt: Math.floor(Date.now() / 1000)
+        };
+
+        if (draft.content.trim()) {
+            drafts[this.draftKey] = draft;
+        } else {
+            delete drafts[this.draftKey];
+        }
+        localStorage.setItem('nostipedia_drafts', JSON.stringify(drafts));
+        document.getElementById('draftStatus').textContent = `Draft saved at ${new Date().toLocaleTimeString()}`;
+    },
+
+    deleteDraft(key) {
+        clearTimeout(this.draftTimer);
+        this.draftTimer = null;
+        const drafts = this.loadDrafts();
+        delete drafts[key];
+        localStorage.setItem('nostipedia_drafts', JSON.stringify(drafts));
     },
 
     closeCreateModal() {
+        // Keep whatever was typed since the last autosave
+        if (this.draftTimer) {
+            this.saveDraft();
+        }
+        this.hideWikilinkSuggestions();
         document.getElementById('createModal').classList.remove('active');
     }
 };
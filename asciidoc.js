@@ -1,279 +1,1177 @@
-// AsciiDoc parser implementation
+// AsciiDoc parser: reads the source into a tree of blocks, then renders the tree to HTML
 const AsciiDoc = {
+    // Built-in attributes available as {name} references
+    defaultAttributes: {
+        empty: '',
+        blank: '',
+        sp: ' ',
+        nbsp: ' ',
+        zwsp: '​',
+        wj: '⁠',
+        apos: "'",
+        quot: '"',
+        lsquo: '‘',
+        rsquo: '’',
+        ldquo: '“',
+        rdquo: '”',
+        deg: '°',
+        plus: '+',
+        brvbar: '¦',
+        vbar: '|',
+        amp: '&',
+        lt: '<',
+        gt: '>',
+        startsb: '[',
+        endsb: ']',
+        caret: '^',
+        asterisk: '*',
+        tilde: '~',
+        backslash: '\\',
+        backtick: '`',
+        'two-colons': '::',
+        'two-semicolons': ';;',
+        cpp: 'C++'
+    },
+
+    // Footnotes in the order they are first referenced: [{ name, number, html, count }]
+    footnotes: [],
+
+    // Nesting depth of parseInline calls, which keeps each call's placeholders apart
+    inlineLevel: 0,
+
+    // Deeper nesting of lists and compound blocks is read as literal text, which keeps
+    // hostile input from exhausting the stack
+    maxNesting: 64,
+
+    admonitions: ['NOTE', 'TIP', 'IMPORTANT', 'WARNING', 'CAUTION'],
+
+    // Delimiter lines and the block each one opens
+    delimiters: [
+        { pattern: /^-{4,}$/, type: 'listing' },
+        { pattern: /^\.{4,}$/, type: 'literal' },
+        { pattern: /^={4,}$/, type: 'example' },
+        { pattern: /^\*{4,}$/, type: 'sidebar' },
+        { pattern: /^_{4,}$/, type: 'quote' },
+        { pattern: /^\+{4,}$/, type: 'pass' },
+        { pattern: /^\/{4,}$/, type: 'comment' },
+        { pattern: /^--$/, type: 'open' },
+        { pattern: /^```/, type: 'fenced' },
+        { pattern: /^[|,:!]={3,}$/, type: 'table' }
+    ],
+
+    // Table delimiter character → data format
+    tableFormats: { '|': 'psv', '!': 'psv', ',': 'csv', ':': 'dsv' },
+
+    tableSeparators: { psv: '|', csv: ',', tsv: '\t', dsv: ':' },
+
+    horizontalAlign: { '<': 'left', '^': 'center', '>': 'right' },
+
+    verticalAlign: { '<': 'top', '^': 'middle', '>': 'bottom' },
+
     parse(text) {
-        const lines = text.split('\n');
-        const html = [];
-        let i = 0;
-        
-        while (i < lines.length) {
-            const line = lines[i];
-            const trimmed = line.trim();
-            
-            // Document title (= Title)
-            if (trimmed.startsWith('= ')) {
-                html.push(`<h1>${this.escapeHtml(trimmed.substring(2))}</h1>`);
-                i++;
-                continue;
+        return this.render(this.parseDocument(text));
+    },
+
+    parseDocument(text) {
+        const reader = {
+            lines: text.replace(/\0/g, '�').replace(/\r\n?/g, '\n').split('\n'),
+            index: 0,
+            depth: 0
+        };
+        // refs maps every block id to the text a <<id>> reference shows
+        const doc = {
+            type: 'document',
+            title: null,
+            attributes: Object.assign(Object.create(null), this.defaultAttributes),
+            refs: Object.create(null),
+            slugs: new Map(),
+            blocks: []
+        };
+        this.references = doc.refs;
+
+        this.parseHeader(reader, doc);
+        doc.blocks = this.buildSections(this.parseBlocks(reader, doc, null));
+        return doc;
+    },
+
+    // Document title followed directly by attribute entries
+    parseHeader(reader, doc) {
+        while (!this.eof(reader) && (this.line(reader).trim() === '' || this.isComment(this.line(reader)))) {
+            reader.index++;
+        }
+        const title = !this.eof(reader) && this.line(reader).match(/^=[ \t]+(\S.*?)[ \t]*$/);
+        if (!title) return;
+
+        doc.title = this.substituteAttributes(title[1], doc);
+        reader.index++;
+        while (!this.eof(reader) && (this.parseAttributeEntry(this.line(reader), doc) || this.isComment(this.line(reader)))) {
+            reader.index++;
+        }
+    },
+
+    eof(reader) {
+        return reader.index >= reader.lines.length;
+    },
+
+    line(reader) {
+        return reader.lines[reader.index];
+    },
+
+    isComment(line) {
+        return line.startsWith('//') && !/^\/{4,}\s*$/.test(line);
+    },
+
+    // :name: value sets an attribute, :name!: unsets it
+    parseAttributeEntry(line, doc) {
+        const match = line.match(/^:(!?)(\w[\w-]*)(!?):(?:[ \t]+(.*?))?[ \t]*$/);
+        if (!match) return false;
+        const name = match[2].toLowerCase();
+        if (match[1] || match[3]) {
+            delete doc.attributes[name];
+        } else {
+            doc.attributes[name] = this.substituteAttributes(match[4] || '', doc);
+        }
+        return true;
+    },
+
+    substituteAttributes(text, doc) {
+        const reference = /(\b(?:stem|latexmath):\[[^\]\\]*(?:\\.[^\]\\]*)*\])|(\\)?\{(\w[\w-]*)\}/g;
+        return text.replace(reference, (match, stem, escaped, name) => {
+            // TeX braces in inline math are not references
+            if (stem) return match;
+            const value = doc.attributes[name.toLowerCase()];
+            // Unknown references, escaped or not, are left for the inline pass ({cn} is one)
+            if (value === undefined) return match;
+            return escaped ? `{${name}}` : value;
+        });
+    },
+
+    parseBlocks(reader, doc, terminator, inList = false) {
+        const blocks = [];
+        while (!this.eof(reader)) {
+            if (terminator && this.line(reader).trimEnd() === terminator) {
+                reader.index++;
+                break;
             }
-            
-            // Section titles
-            if (trimmed.startsWith('==== ')) {
-                html.push(`<h4>${this.escapeHtml(trimmed.substring(5))}</h4>`);
-                i++;
-                continue;
+            const block = this.parseBlock(reader, doc, terminator, inList);
+            if (block) blocks.push(block);
+        }
+        return blocks;
+    },
+
+    // Reads any block title and attribute lines, then the block they belong to
+    parseBlock(reader, doc, terminator, inList) {
+        const meta = { title: null, attributes: null, id: null };
+        let match;
+
+        while (!this.eof(reader)) {
+            const line = this.line(reader);
+            const trimmed = line.trimEnd();
+            if (terminator && trimmed === terminator) return null;
+
+            if (trimmed === '' || this.isComment(line)) {
+                reader.index++;
+            } else if (/^\/{4,}$/.test(trimmed)) {
+                this.readVerbatim(reader, trimmed);
+            } else if (this.parseAttributeEntry(line, doc)) {
+                reader.index++;
+            } else if (/^\.[^\s.]/.test(trimmed)) {
+                meta.title = this.substituteAttributes(trimmed.slice(1), doc);
+                reader.index++;
+            } else if (/^\[(?!\[).*\]$/.test(trimmed)) {
+                meta.attributes = this.parseAttributeList(trimmed.slice(1, -1));
+                reader.index++;
+            } else if ((match = trimmed.match(this.blockAnchor)) && this.takesAnchor(reader.lines[reader.index + 1])) {
+                meta.id = match[1];
+                meta.reftext = match[2] || null;
+                reader.index++;
+            } else {
+                if (meta.attributes?.id) meta.id = meta.attributes.id;
+                const block = this.parseBlockBody(reader, doc, meta, inList);
+                if (block && meta.id && block.type !== 'heading') {
+                    doc.refs[meta.id] = meta.reftext || meta.title || block.title || `[${meta.id}]`;
+                }
+                return block;
             }
-            if (trimmed.startsWith('=== ')) {
-                html.push(`<h3>${this.escapeHtml(trimmed.substring(4))}</h3>`);
-                i++;
-                continue;
+        }
+        return null;
+    },
+
+    // [[id]] or [[id,reftext]] on its own line
+    blockAnchor: /^\[\[([A-Za-z_][\w:.-]*)(?:,[ \t]*(.+?))?\]\]$/,
+
+    // A [[name]] line is an anchor when a block follows directly; a [[name]] paragraph of
+    // its own, like any [[...]] inside text, stays a NIP-54 wikilink
+    takesAnchor(next) {
+        return next !== undefined && next.trim() !== '';
+    },
+
+    parseBlockBody(reader, doc, meta, inList) {
+        const line = this.line(reader);
+        const trimmed = line.trimEnd();
+        const style = meta.attributes?.style || null;
+        let match;
+
+        const delimiter = this.delimiters.find(d => d.pattern.test(trimmed));
+        if (delimiter && reader.depth >= this.maxNesting) {
+            return { type: 'literal', text: this.readVerbatim(reader, trimmed), meta };
+        }
+        if (delimiter) {
+            return this.parseDelimitedBlock(reader, doc, meta, delimiter.type, trimmed);
+        }
+
+        if ((match = trimmed.match(/^(={1,6})[ \t]+(\S.*?)(?:[ \t]+=+)?$/))) {
+            reader.index++;
+            const title = this.substituteAttributes(match[2], doc);
+            const id = meta.id || this.uniqueSlug(this.plainText(title), doc);
+            doc.refs[id] = meta.reftext || this.plainText(title);
+            return {
+                type: 'heading',
+                level: match[1].length - 1,
+                title,
+                id,
+                discrete: style === 'discrete' || style === 'float',
+                meta
+            };
+        }
+
+        if (/^toc::\[.*\]$/.test(trimmed)) {
+            reader.index++;
+            return { type: 'toc', meta };
+        }
+
+        if (/^(?:'{3}|(?:-[ \t]?){3}|(?:\*[ \t]?){3})$/.test(trimmed)) {
+            reader.index++;
+            return { type: 'thematic_break', meta };
+        }
+
+        if (trimmed === '<<<') {
+            reader.index++;
+            return null;
+        }
+
+        if ((match = trimmed.match(/^image::([^\s[][^[]*)\[(.*)\]$/))) {
+            reader.index++;
+            return {
+                type: 'image',
+                target: this.substituteAttributes(match[1], doc),
+                attributes: this.parseAttributeList(this.substituteAttributes(match[2], doc)),
+                meta
+            };
+        }
+
+        if (this.matchListItem(line) && reader.depth < this.maxNesting) {
+            return this.parseList(reader, doc, meta, []);
+        }
+
+        // Indented lines form a literal paragraph
+        if (/^[ \t]/.test(line) && !inList) {
+            const lines = this.readParagraphLines(reader, inList);
+            const indent = Math.min(...lines.map(l => l.match(/^[ \t]*/)[0].length));
+            return { type: 'literal', text: lines.map(l => l.slice(indent)).join('\n'), meta };
+        }
+
+        const lines = this.readParagraphLines(reader, inList);
+        if (style === 'stem' || style === 'latexmath') {
+            return { type: 'stem', text: lines.join('\n'), meta };
+        }
+        const text = this.substituteAttributes(lines.join('\n'), doc);
+
+        if (style === 'source' || style === 'listing') {
+            return { type: 'listing', language: meta.attributes.positional[1] || null, text: lines.join('\n'), meta };
+        }
+        if (style === 'literal') {
+            return { type: 'literal', text: lines.join('\n'), meta };
+        }
+        if (style === 'pass') {
+            return { type: 'pass', text, meta };
+        }
+        if (style === 'quote' || style === 'verse') {
+            return { type: style, text, blocks: [{ type: 'paragraph', text, meta: {} }], meta };
+        }
+        if (style && this.admonitions.includes(style)) {
+            return { type: 'admonition', kind: style, text, meta };
+        }
+        if ((match = text.match(/^(NOTE|TIP|IMPORTANT|WARNING|CAUTION):[ \t]+([\s\S]*)$/))) {
+            return { type: 'admonition', kind: match[1], text: match[2], meta };
+        }
+        return { type: 'paragraph', text, meta };
+    },
+
+    // Lines up to a blank line, a block delimiter or attribute line, or (inside a
+    // list) the next list item or a continuation marker
+    readParagraphLines(reader, inList) {
+        const lines = [];
+        while (!this.eof(reader)) {
+            const line = this.line(reader);
+            const trimmed = line.trimEnd();
+            if (trimmed === '') break;
+            if (lines.length > 0) {
+                if (this.delimiters.some(d => d.pattern.test(trimmed)) || /^\[(?!\[).*\]$/.test(trimmed)) break;
+                if (inList && (trimmed === '+' || this.matchListItem(line))) break;
             }
-            if (trimmed.startsWith('== ')) {
-                html.push(`<h2>${this.escapeHtml(trimmed.substring(3))}</h2>`);
-                i++;
+            if (this.isComment(line)) {
+                reader.index++;
                 continue;
             }
-            
-            // Unordered lists
-            if (trimmed.startsWith('* ') || trimmed.startsWith('- ')) {
-                const listItems = [];
-                while (i < lines.length && (lines[i].trim().startsWith('* ') || lines[i].trim().startsWith('- '))) {
-                    const item = lines[i].trim().substring(2);
-                    listItems.push(`<li>${this.parseInline(item)}</li>`);
-                    i++;
-                }
-                html.push(`<ul>${listItems.join('')}</ul>`);
-                continue;
+            lines.push(line);
+            reader.index++;
+        }
+        return lines;
+    },
+
+    readVerbatim(reader, delimiter) {
+        const lines = [];
+        reader.index++;
+        while (!this.eof(reader) && this.line(reader).trimEnd() !== delimiter) {
+            lines.push(this.line(reader));
+            reader.index++;
+        }
+        reader.index++;
+        return lines.join('\n');
+    },
+
+    parseDelimitedBlock(reader, doc, meta, type, delimiter) {
+        const style = meta.attributes?.style || null;
+
+        switch (type) {
+            case 'comment':
+                this.readVerbatim(reader, delimiter);
+                return null;
+            case 'fenced': {
+                // Markdown-style fences, common enough in pasted content
+                const language = delimiter.slice(3).trim() || null;
+                return { type: 'listing', language, text: this.readVerbatim(reader, '```'), meta };
             }
-            
-            // Ordered lists
-            if (/^\d+\.\s/.test(trimmed)) {
-                const listItems = [];
-                while (i < lines.length && /^\d+\.\s/.test(lines[i].trim())) {
-                    const item = lines[i].trim().replace(/^\d+\.\s/, '');
-                    listItems.push(`<li>${this.parseInline(item)}</li>`);
-                    i++;
+            case 'listing':
+                return {
+                    type: 'listing',
+                    language: style === 'source' ? meta.attributes.positional[1] || null : null,
+                    text: this.readVerbatim(reader, delimiter),
+                    meta
+                };
+            case 'literal':
+                return { type: 'literal', text: this.readVerbatim(reader, delimiter), meta };
+            case 'pass':
+                if (style === 'stem' || style === 'latexmath') {
+                    return { type: 'stem', text: this.readVerbatim(reader, delimiter), meta };
                 }
-                html.push(`<ol>${listItems.join('')}</ol>`);
-                continue;
-            }
-            
-            // Code blocks
-            if (trimmed.startsWith('----')) {
-                const codeLines = [];
-                i++;
-                while (i < lines.length && !lines[i].trim().startsWith('----')) {
-                    codeLines.push(this.escapeHtml(lines[i]));
+                return { type: 'pass', text: this.substituteAttributes(this.readVerbatim(reader, delimiter), doc), meta };
+            case 'table':
+                return this.parseTable(reader, doc, meta, delimiter);
+        }
+
+        // The quote delimiter holds verse as text rather than blocks
+        if (type === 'quote' && style === 'verse') {
+            return { type: 'verse', text: this.substituteAttributes(this.readVerbatim(reader, delimiter), doc), meta };
+        }
+
+        reader.index++;
+        reader.depth++;
+        const blocks = this.parseBlocks(reader, doc, delimiter);
+        reader.depth--;
+        if (style && this.admonitions.includes(style) && (type === 'example' || type === 'open')) {
+            return { type: 'admonition', kind: style, blocks, meta };
+        }
+        return { type, blocks, meta };
+    },
+
+    // Tables hold delimiter-separated cells (psv), comma-separated values (csv) or
+    // colon-separated values (dsv). Cells are read as a stream and laid out into rows by
+    // column count, so a row may span several lines and a cell several columns or rows.
+    parseTable(reader, doc, meta, delimiter) {
+        const attrs = meta.attributes || this.parseAttributeList('');
+        const format = (attrs.named.format || this.tableFormats[delimiter[0]]).toLowerCase();
+        const separator = attrs.named.separator ||
+            (delimiter[0] === '!' ? '!' : this.tableSeparators[format] || '|');
+        const lines = this.readVerbatim(reader, delimiter).split('\n');
+        const columns = this.parseColumnSpecs(attrs.named.cols || '');
+
+        const cells = format === 'psv'
+            ? this.parsePsvCells(lines, separator)
+            : this.parseDsvCells(lines, separator, format === 'csv' || format === 'tsv');
+
+        // Without a cols attribute the first line (or first record) sets the column count
+        const count = columns.length ||
+            cells.filter(cell => cell.line === cells[0]?.line).reduce((n, cell) => n + cell.colspan, 0) || 1;
+        while (columns.length < count) columns.push({ width: 1 });
+
+        reader.depth++;
+        const rows = this.layoutRows(cells, count).map(row => row.map(cell => this.tableCell(cell, columns, reader, doc)));
+        reader.depth--;
+
+        // A lone first line followed by a blank line is a header unless told otherwise
+        const firstLine = lines.findIndex(line => line.trim() !== '');
+        const implicitHeader = format === 'psv' && rows.length > 1 && firstLine >= 0 &&
+            lines[firstLine + 1]?.trim() === '' && cells.filter(cell => cell.line === firstLine).length === rows[0].length;
+        const header = attrs.options.includes('header') ||
+            (!attrs.options.includes('noheader') && implicitHeader);
+        const footer = attrs.options.includes('footer') && rows.length > (header ? 1 : 0);
+
+        const head = header ? rows.splice(0, 1) : [];
+        const foot = footer ? rows.splice(-1, 1) : [];
+        head.forEach(row => row.forEach(cell => {
+            cell.header = true;
+            cell.style = 'default';
+        }));
+
+        return {
+            type: 'table',
+            columns: attrs.options.includes('autowidth') || !attrs.named.cols ? [] : columns,
+            width: /^\d+%?$/.test(attrs.named.width || '') ? attrs.named.width : null,
+            head,
+            body: rows,
+            foot,
+            meta
+        };
+    },
+
+    // cols="1,2a,^3" or cols="3*" → [{ width, halign, valign, style }]
+    parseColumnSpecs(text) {
+        const columns = [];
+        text.split(/[,;]/).map(spec => spec.trim()).forEach(spec => {
+            const match = spec.match(/^(?:(\d+)\*)?([<^>])?(?:\.([<^>]))?(\d+%?|~)?([adehlmsv])?$/);
+            if (!match || !spec) return;
+            const column = {
+                width: match[4] && match[4] !== '~' ? parseInt(match[4], 10) || 1 : 1,
+                halign: this.horizontalAlign[match[2]] || null,
+                valign: this.verticalAlign[match[3]] || null,
+                style: match[5] || null
+            };
+            const repeat = Math.min(parseInt(match[1] || '1', 10), 100);
+            for (let i = 0; i < repeat; i++) columns.push({ ...column });
+        });
+        return columns;
+    },
+
+    // Splits psv text at each unescaped separator. The text just before a separator may
+    // hold that cell's spec, e.g. 2+ (colspan), .3+ (rowspan), ^ (align) or a (style).
+    parsePsvCells(lines, separator) {
+        const cells = [];
+        const specPattern = /[ \t\n]((?:\d+\*)?(?:(?:\d+(?:\.\d+)?|\.\d+)\+)?(?:[<^>])?(?:\.[<^>])?[adehlmsv]?)$/;
+        let current = null;
+        let buffer = '';
+
+        lines.forEach((line, lineIndex) => {
+            for (let i = 0; i < line.length; i++) {
+                const c = line[i];
+                if (c === '\\' && line[i + 1] === separator) {
+                    buffer += separator;
                     i++;
+                } else if (c === separator) {
+                    // Specs follow whitespace; only the very first one may start the text
+                    const match = (current ? buffer : '\n' + buffer).match(specPattern);
+                    const spec = match ? match[1] : '';
+                    if (current) {
+                        current.text = buffer.slice(0, buffer.length - spec.length);
+                        cells.push(...this.expandCell(current));
+                    }
+                    current = { spec, line: lineIndex };
+                    buffer = '';
+                } else {
+                    buffer += c;
                 }
-                i++; // Skip closing ----
-                html.push(`<pre><code>${codeLines.join('\n')}</code></pre>`);
-                continue;
             }
-            
-            // Source code blocks with language
-            if (trimmed.startsWith('[source')) {
-                const langMatch = trimmed.match(/\[source,\s*(\w+)\]/);
-                const lang = langMatch ? langMatch[1] : '';
-                i++;
-                if (lines[i]?.trim().startsWith('----')) {
-                    const codeLines = [];
+            buffer += '\n';
+        });
+        if (current) {
+            current.text = buffer;
+            cells.push(...this.expandCell(current));
+        }
+        return cells;
+    },
+
+    // Cell spec → spans, alignment and style; a 3* prefix repeats the cell
+    expandCell(cell) {
+        const match = cell.spec.match(/^(?:(\d+)\*)?(?:(\d+)?(?:\.(\d+))?\+)?([<^>])?(?:\.([<^>]))?([adehlmsv])?$/);
+        const spanned = {
+            text: cell.text.trim(),
+            line: cell.line,
+            colspan: Math.max(parseInt(match[2] || '1', 10), 1),
+            rowspan: Math.max(parseInt(match[3] || '1', 10), 1),
+            halign: this.horizontalAlign[match[4]] || null,
+            valign: this.verticalAlign[match[5]] || null,
+            style: match[6] || null
+        };
+        const repeat = Math.min(parseInt(match[1] || '1', 10), 100);
+        return Array.from({ length: repeat }, () => ({ ...spanned }));
+    },
+
+    // CSV follows RFC 4180 (quoted fields may hold separators, quotes and newlines);
+    // DSV splits each line at unescaped separators
+    parseDsvCells(lines, separator, quoted) {
+        const cells = [];
+        let row = 0;
+        if (!quoted) {
+            lines.forEach(line => {
+                if (line.trim() === '') return;
+                const fields = line.split(new RegExp(`(?<!\\\\)${separator.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&')}`));
+                fields.forEach(text => cells.push(this.dsvCell(text.split('\\' + separator).join(separator), row)));
+                row++;
+            });
+            return cells;
+        }
+
+        const text = lines.join('\n');
+        let field = '';
+        let fields = [];
+        let inQuotes = false;
+        const endRecord = () => {
+            fields.push(field);
+            if (fields.length > 1 || fields[0].trim() !== '') {
+                fields.forEach(value => cells.push(this.dsvCell(value, row)));
+                row++;
+            }
+            fields = [];
+            field = '';
+        };
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (inQuotes) {
+                if (c === '"' && text[i + 1] === '"') {
+                    field += '"';
                     i++;
-                    while (i < lines.length && !lines[i].trim().startsWith('----')) {
-                        codeLines.push(this.escapeHtml(lines[i]));
-                        i++;
-                    }
-                    i++; // Skip closing ----
-                    html.push(`<pre><code class="language-${lang}">${codeLines.join('\n')}</code></pre>`);
+                } else if (c === '"') {
+                    inQuotes = false;
+                } else {
+                    field += c;
                 }
-                continue;
+            } else if (c === '"' && field.trim() === '') {
+                inQuotes = true;
+                field = '';
+            } else if (c === separator) {
+                fields.push(field);
+                field = '';
+            } else if (c === '\n') {
+                endRecord();
+            } else {
+                field += c;
             }
-            
-            // Blockquotes
-            if (trimmed.startsWith('____')) {
-                const quoteLines = [];
-                i++;
-                while (i < lines.length && !lines[i].trim().startsWith('____')) {
-                    if (lines[i].trim()) {
-                        quoteLines.push(this.parseInline(lines[i]));
-                    }
-                    i++;
+        }
+        endRecord();
+        return cells;
+    },
+
+    dsvCell(text, line) {
+        return { text: text.trim(), line, colspan: 1, rowspan: 1, halign: null, valign: null, style: null };
+    },
+
+    // Places cells into rows, leaving room for cells spanning down from earlier rows
+    layoutRows(cells, count) {
+        const rows = [];
+        let row = [];
+        let column = 0;
+        let covered = new Array(count).fill(0);
+        let started = new Array(count).fill(0);
+
+        const skipCovered = () => {
+            while (column < count && covered[column] > 0) column++;
+        };
+        const endRow = () => {
+            rows.push(row);
+            covered = covered.map((n, i) => started[i] ? started[i] - 1 : Math.max(n - 1, 0));
+            started = new Array(count).fill(0);
+            row = [];
+            column = 0;
+            skipCovered();
+        };
+
+        cells.forEach(cell => {
+            skipCovered();
+            cell.column = column;
+            cell.colspan = Math.min(cell.colspan, count - column);
+            for (let i = column; i < column + cell.colspan; i++) {
+                if (covered[i] === 0) started[i] = cell.rowspan;
+            }
+            row.push(cell);
+            column += cell.colspan;
+            skipCovered();
+            // Rows wholly covered by cells from above have nothing to add
+            let guard = 0;
+            while (column >= count && guard++ <= count) endRow();
+        });
+        if (row.length) rows.push(row);
+        return rows;
+    },
+
+    // Applies column defaults and parses the content of one cell
+    tableCell(cell, columns, reader, doc) {
+        const column = columns[cell.column] || {};
+        const style = cell.style || column.style || 'd';
+        const result = {
+            colspan: cell.colspan,
+            rowspan: cell.rowspan,
+            halign: cell.halign || column.halign,
+            valign: cell.valign || column.valign,
+            header: style === 'h',
+            style: { a: 'asciidoc', e: 'emphasis', l: 'literal', m: 'monospace', s: 'strong', v: 'verse' }[style] || 'default'
+        };
+
+        if (result.style === 'asciidoc' && reader.depth < this.maxNesting) {
+            const inner = { lines: cell.text.split('\n'), index: 0, depth: reader.depth };
+            result.blocks = this.parseBlocks(inner, doc, null);
+        } else {
+            if (result.style === 'asciidoc') result.style = 'default';
+            result.text = result.style === 'literal' ? cell.text : this.substituteAttributes(cell.text, doc);
+        }
+        return result;
+    },
+
+    // Marker and text of a list item line, with a key that identifies its nesting level
+    matchListItem(line) {
+        let match;
+        if ((match = line.match(/^[ \t]*(-|\*{1,5})[ \t]+(\S.*)$/))) {
+            return { kind: 'ulist', key: 'ulist' + match[1], marker: match[1], text: match[2] };
+        }
+        if ((match = line.match(/^[ \t]*(\.{1,5}|\d+\.)[ \t]+(\S.*)$/))) {
+            const marker = /^\d/.test(match[1]) ? '.' : match[1];
+            return { kind: 'olist', key: 'olist' + marker, marker, text: match[2] };
+        }
+        if (!line.startsWith('//') && (match = line.match(/^[ \t]*(\S.*?)(:{2,4}|;;)(?:[ \t]+(.*))?$/))) {
+            return { kind: 'dlist', key: 'dlist' + match[2], marker: match[2], term: match[1], text: match[3] || '' };
+        }
+        return null;
+    },
+
+    parseList(reader, doc, meta, ancestors) {
+        const first = this.matchListItem(this.line(reader));
+        const list = { type: first.kind, marker: first.marker, items: [], meta };
+        reader.depth++;
+
+        while (!this.eof(reader)) {
+            const start = reader.index;
+            // A line comment is the usual way to end a list early, so only blank lines are skipped
+            while (!this.eof(reader) && this.line(reader).trim() === '') {
+                reader.index++;
+            }
+            const item = !this.eof(reader) && this.matchListItem(this.line(reader));
+            if (!item) {
+                reader.index = start;
+                break;
+            }
+
+            if (item.key !== first.key) {
+                // A marker from an enclosing list ends this one; any other starts a nested list
+                if (ancestors.includes(item.key) || list.items.length === 0) {
+                    reader.index = start;
+                    break;
                 }
-                i++; // Skip closing ____
-                html.push(`<blockquote>${quoteLines.join('<br>')}</blockquote>`);
+                const nested = this.parseList(reader, doc, null, [...ancestors, first.key]);
+                list.items[list.items.length - 1].blocks.push(nested);
                 continue;
             }
-            
-            // Sidebar blocks
-            if (trimmed.startsWith('****')) {
-                const sidebarLines = [];
-                i++;
-                while (i < lines.length && !lines[i].trim().startsWith('****')) {
-                    if (lines[i].trim()) {
-                        sidebarLines.push(this.parseInline(lines[i]));
-                    }
-                    i++;
+
+            reader.index++;
+            const lines = item.text ? [item.text] : [];
+            lines.push(...this.readItemLines(reader));
+            const entry = { text: this.substituteAttributes(lines.join('\n'), doc), blocks: [] };
+            if (item.kind === 'dlist') {
+                entry.term = this.substituteAttributes(item.term, doc);
+            }
+            if (item.kind === 'ulist') {
+                const check = entry.text.match(/^\[([ xX*])\][ \t]+/);
+                if (check) {
+                    entry.checked = check[1] !== ' ';
+                    entry.text = entry.text.slice(check[0].length);
                 }
-                i++; // Skip closing ****
-                html.push(`<div class="sidebar">${sidebarLines.join('<br>')}</div>`);
-                continue;
             }
-            
-            // Admonitions
-            const admonitionMatch = trimmed.match(/^(NOTE|TIP|IMPORTANT|WARNING|CAUTION):\s*(.+)$/);
-            if (admonitionMatch) {
-                const [, type, content] = admonitionMatch;
-                html.push(`<div class="admonition admonition-${type.toLowerCase()}"><strong>${type}:</strong> ${this.parseInline(content)}</div>`);
-                i++;
-                continue;
+
+            // A lone + attaches the next block to the item
+            while (!this.eof(reader) && this.line(reader).trim() === '+') {
+                reader.index++;
+                const block = this.parseBlock(reader, doc, null, true);
+                if (block) entry.blocks.push(block);
             }
-            
-            // Horizontal rule
-            if (trimmed === "'''") {
-                html.push('<hr>');
-                i++;
-                continue;
+            list.items.push(entry);
+        }
+
+        reader.depth--;
+        return list;
+    },
+
+    readItemLines(reader) {
+        const lines = [];
+        while (!this.eof(reader)) {
+            const line = this.line(reader);
+            const trimmed = line.trim();
+            if (trimmed === '' || trimmed === '+' || this.matchListItem(line) ||
+                this.delimiters.some(d => d.pattern.test(line.trimEnd())) || /^\[(?!\[).*\]$/.test(trimmed)) {
+                break;
             }
-            
-            // Tables (simple format)
-            if (trimmed.startsWith('|===')) {
-                const tableRows = [];
-                i++;
-                while (i < lines.length && !lines[i].trim().startsWith('|===')) {
-                    const row = lines[i].trim();
-                    if (row) {
-                        const cells = row.split('|').filter(c => c.trim());
-                        const cellsHtml = cells.map(c => `<td>${this.parseInline(c.trim())}</td>`).join('');
-                        tableRows.push(`<tr>${cellsHtml}</tr>`);
-                    }
-                    i++;
+            if (!this.isComment(line)) lines.push(trimmed);
+            reader.index++;
+        }
+        return lines;
+    },
+
+    // [style#id.role%option, positional, name=value] → structured attributes
+    parseAttributeList(text) {
+        const attrs = { style: null, id: null, roles: [], options: [], positional: [], named: {} };
+        const parts = [];
+        let current = '';
+        let quote = null;
+        for (const c of text) {
+            if (quote) {
+                if (c === quote) quote = null;
+                current += c;
+            } else if (c === '"' || c === "'") {
+                quote = c;
+                current += c;
+            } else if (c === ',') {
+                parts.push(current);
+                current = '';
+            } else {
+                current += c;
+            }
+        }
+        parts.push(current);
+
+        const unquote = (value) => value.trim().replace(/^(["'])([\s\S]*)\1$/, '$2');
+        parts.forEach((part, i) => {
+            const named = part.match(/^\s*(\w[\w-]*)\s*=\s*([\s\S]*)$/);
+            if (named) {
+                attrs.named[named[1].toLowerCase()] = unquote(named[2]);
+                return;
+            }
+            const value = unquote(part);
+            attrs.positional.push(value);
+            if (i === 0 && value) {
+                // Shorthand: style followed by #id, .role and %option
+                const shorthand = value.match(/^([^#.%]*)(.*)$/);
+                attrs.style = shorthand[1] || null;
+                (shorthand[2].match(/[#.%][^#.%]+/g) || []).forEach(token => {
+                    const name = token.slice(1);
+                    if (token[0] === '#') attrs.id = name;
+                    if (token[0] === '.') attrs.roles.push(name);
+                    if (token[0] === '%') attrs.options.push(name);
+                });
+            }
+        });
+
+        if (attrs.named.role) attrs.roles.push(...attrs.named.role.split(/\s+/).filter(Boolean));
+        if (attrs.named.id) attrs.id = attrs.named.id;
+        const options = attrs.named.options || attrs.named.opts;
+        if (options) attrs.options.push(...options.split(',').map(o => o.trim()).filter(Boolean));
+        return attrs;
+    },
+
+    // Nest top-level blocks under the section headings that precede them
+    buildSections(blocks) {
+        const root = { level: -1, blocks: [] };
+        const stack = [root];
+        blocks.forEach(block => {
+            if (block.type === 'heading' && !block.discrete) {
+                while (stack[stack.length - 1].level >= block.level) stack.pop();
+                const section = { type: 'section', level: block.level, title: block.title, id: block.id, meta: block.meta, blocks: [] };
+                stack[stack.length - 1].blocks.push(section);
+                stack.push(section);
+            } else {
+                stack[stack.length - 1].blocks.push(block);
+            }
+        });
+        return root.blocks;
+    },
+
+    // --- Rendering -------------------------------------------------------------------
+
+    render(doc) {
+        this.references = doc.refs;
+        this.footnotes = [];
+        // :toc: macro places the outline at toc::[]; any other value puts it after the title
+        const toc = doc.attributes.toc === undefined ? '' : this.renderToc(doc);
+        this.tocMacro = doc.attributes.toc === 'macro' ? toc : '';
+        const title = doc.title ? `<h1>${this.parseInline(doc.title)}</h1>\n` : '';
+        const body = this.renderBlocks(doc.blocks);
+        return title + (toc && !this.tocMacro ? toc + '\n' : '') + body + this.renderFootnotes();
+    },
+
+    // footnote:[text] adds a note, footnote:name[text] adds one that footnote:name[] can cite again
+    footnoteRef(name, text) {
+        let note = name ? this.footnotes.find(n => n.name === name) : null;
+        if (!note) {
+            if (!text.trim()) return this.escapeHtml(`[${name}]`);
+            note = { name, number: this.footnotes.length + 1, html: '', count: 0 };
+            this.footnotes.push(note);
+            note.html = this.parseInline(text);
+        }
+        note.count++;
+        const id = `fnref-${note.number}${note.count > 1 ? '-' + note.count : ''}`;
+        return `<sup class="footnote-ref"><a href="#fn-${note.number}" id="${id}">${note.number}</a></sup>`;
+    },
+
+    renderFootnotes() {
+        if (!this.footnotes.length) return '';
+        const items = this.footnotes.map(note => {
+            const backrefs = Array.from({ length: note.count }, (_, k) =>
+                `<a href="#fnref-${note.number}${k ? '-' + (k + 1) : ''}" class="footnote-backref">\u21a9</a>`).join(' ');
+            return `<li id="fn-${note.number}"><p>${note.html} ${backrefs}</p></li>`;
+        }).join('\n');
+        return `\n<section class="footnotes">\n<h2 class="footnotes-title">References</h2>\n<ol>\n${items}\n</ol>\n</section>`;
+    },
+
+    footnoteMacro: /footnote:([\w-]*)\[((?:\\.|\[[^\]]*\]|[^\]\\[])*)\]/g,
+
+    // stem:[TeX] and latexmath:[TeX], where \] stands for a closing bracket
+    stemMacro: /\b(?:stem|latexmath):\[([^\]\\]*(?:\\.[^\]\\]*)*)\]/g,
+
+    citationNeeded: '<sup class="citation-needed" title="This claim needs a reliable source">[citation needed]</sup>',
+
+    // Sections down to :toclevels: (default 2) as a collapsible outline
+    renderToc(doc) {
+        const levels = parseInt(doc.attributes.toclevels, 10) || 2;
+        const entries = [];
+        const collect = (blocks) => blocks.forEach(block => {
+            if (block.type !== 'section' || block.level > levels) return;
+            entries.push(block);
+            collect(block.blocks);
+        });
+        collect(doc.blocks);
+        if (!entries.length) return '';
+
+        const open = [];
+        let html = '';
+        entries.forEach(entry => {
+            if (!open.length || entry.level > open[open.length - 1]) {
+                html += '<ol>';
+                open.push(entry.level);
+            } else {
+                html += '</li>';
+                while (open.length > 1 && entry.level < open[open.length - 1]) {
+                    html += '</ol></li>';
+                    open.pop();
                 }
-                i++; // Skip closing |===
-                html.push(`<table><tbody>${tableRows.join('')}</tbody></table>`);
-                continue;
             }
-            
-            // Empty line
-            if (trimmed === '') {
-                i++;
-                continue;
+            html += `<li><a href="#${this.escapeHtml(entry.id)}">${this.escapeHtml(this.plainText(entry.title))}</a>`;
+        });
+        html += '</li></ol>'.repeat(open.length);
+        const title = doc.attributes['toc-title'] || 'Contents';
+        return `<details class="toc" open><summary>${this.parseInline(title)}</summary>${html}</details>`;
+    },
+
+    // GitHub-style slugs, matching the Markdown renderer's heading ids
+    slugify(text) {
+        return text.toLowerCase().trim().replace(/[^\p{L}\p{N}\s_-]/gu, '').replace(/\s/g, '-') || 'section';
+    },
+
+    // Repeats get -1, -2, ...; doc.slugs remembers the last suffix tried for each slug
+    uniqueSlug(text, doc) {
+        const base = this.slugify(text);
+        let n = doc.slugs.get(base) || 0;
+        let slug = base;
+        while (slug in doc.refs) slug = `${base}-${++n}`;
+        doc.slugs.set(base, n);
+        return slug;
+    },
+
+    // Text of a title with its markup, footnotes and {cn} markers removed; formulas
+    // keep their TeX source
+    plainText(text) {
+        const formulas = [];
+        const bare = text.replace(this.footnoteMacro, '').replace(/\{cn\}/gi, '')
+            .replace(this.stemMacro, (match, tex) => `\u0001${formulas.push(tex.replace(/\\\]/g, ']')) - 1}\u0001`);
+        return this.parseInline(bare).replace(/<[^>]*>/g, '')
+            .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&')
+            .replace(/\u0001(\d+)\u0001/g, (match, i) => formulas[i]).trim();
+    },
+
+    // MathML for a TeX formula, or the formula's source when the converter cannot read it
+    renderMath(tex, display) {
+        try {
+            return MathML.render(tex, display);
+        } catch (e) {
+            const source = `<code class="math-source" title="${this.escapeHtml(e.message)}">${this.escapeHtml(tex)}</code>`;
+            return display ? `<pre>${source}</pre>` : source;
+        }
+    },
+
+    renderBlocks(blocks) {
+        return blocks.map(block => this.renderBlock(block)).join('\n');
+    },
+
+    // Class attribute from a base class plus any roles given in the block attributes
+    classes(meta, ...base) {
+        const names = [...base, ...(meta?.attributes?.roles || [])].filter(Boolean);
+        return names.length ? ` class="${this.escapeHtml(names.join(' '))}"` : '';
+    },
+
+    // Explicit id ([[id]] or [#id]) followed by the class attribute
+    attributes(meta, ...base) {
+        const id = meta?.id ? ` id="${this.escapeHtml(meta.id)}"` : '';
+        return id + this.classes(meta, ...base);
+    },
+
+    blockTitle(meta) {
+        return meta?.title ? `<div class="block-title">${this.parseInline(meta.title)}</div>` : '';
+    },
+
+    renderBlock(block) {
+        const meta = block.meta;
+        switch (block.type) {
+            case 'section': {
+                const level = Math.min(block.level + 1, 6);
+                return `<section${this.classes(meta)}><h${level} id="${this.escapeHtml(block.id)}">` +
+                    `${this.parseInline(block.title)}</h${level}>\n` +
+                    `${this.renderBlocks(block.blocks)}</section>`;
             }
-            
-            // Regular paragraph
-            const paragraphLines = [];
-            while (i < lines.length && lines[i].trim() !== '' && !this.isBlockElement(lines[i])) {
-                paragraphLines.push(lines[i]);
-                i++;
+            case 'heading': {
+                const level = Math.min(block.level + 1, 6);
+                return `<h${level} id="${this.escapeHtml(block.id)}"${this.classes(meta, 'discrete')}>` +
+                    `${this.parseInline(block.title)}</h${level}>`;
             }
-            if (paragraphLines.length > 0) {
-                html.push(`<p>${this.parseInline(paragraphLines.join(' '))}</p>`);
+            case 'toc':
+                return this.tocMacro;
+            case 'paragraph': {
+                const hardbreaks = meta.attributes?.options.includes('hardbreaks');
+                const html = this.parseInline(block.text, hardbreaks);
+                return `${this.blockTitle(meta)}<p${this.attributes(meta)}>${html}</p>`;
             }
+            case 'admonition': {
+                const body = block.blocks ? this.renderBlocks(block.blocks) : this.parseInline(block.text);
+                return `<div${this.attributes(meta, 'admonition', 'admonition-' + block.kind.toLowerCase())}>` +
+                    `${this.blockTitle(meta)}<strong>${block.kind}:</strong> ${body}</div>`;
+            }
+            case 'listing': {
+                const language = block.language ? ` class="language-${this.escapeHtml(block.language)}"` : '';
+                return `${this.blockTitle(meta)}<pre${this.attributes(meta)}><code${language}>${this.escapeHtml(block.text)}</code></pre>`;
+            }
+            case 'literal':
+                return `${this.blockTitle(meta)}<pre${this.attributes(meta, 'literal')}>${this.escapeHtml(block.text)}</pre>`;
+            case 'pass':
+                // Raw HTML by design; the sanitizer decides what survives
+                return block.text;
+            case 'stem': {
+                // \[ ... \] around the formula is optional
+                const tex = block.text.trim().replace(/^\\\[([\s\S]*)\\\]$/, '$1');
+                return `${this.blockTitle(meta)}<div${this.attributes(meta, 'math-display')}>${this.renderMath(tex, true)}</div>`;
+            }
+            case 'example':
+                return `<div${this.attributes(meta, 'example')}>${this.blockTitle(meta)}${this.renderBlocks(block.blocks)}</div>`;
+            case 'sidebar':
+                return `<div${this.attributes(meta, 'sidebar')}>${this.blockTitle(meta)}${this.renderBlocks(block.blocks)}</div>`;
+            case 'open':
+                return `<div${this.attributes(meta, 'open')}>${this.blockTitle(meta)}${this.renderBlocks(block.blocks)}</div>`;
+            case 'quote':
+                return `${this.blockTitle(meta)}<blockquote${this.attributes(meta)}>${this.renderBlocks(block.blocks)}` +
+                    `${this.attribution(meta)}</blockquote>`;
+            case 'verse':
+                return `${this.blockTitle(meta)}<blockquote${this.attributes(meta, 'verse')}>` +
+                    `<p>${this.parseInline(block.text, true)}</p>${this.attribution(meta)}</blockquote>`;
+            case 'thematic_break':
+                return '<hr>';
+            case 'image':
+                return this.renderImage(block);
+            case 'table':
+                return this.renderTable(block);
+            case 'ulist':
+            case 'olist':
+                return this.renderList(block);
+            case 'dlist':
+                return `${this.blockTitle(meta)}<dl${this.attributes(meta)}>` + block.items.map(item =>
+                    `<dt>${this.parseInline(item.term)}</dt><dd>${this.renderItemBody(item)}</dd>`).join('') + '</dl>';
+            default:
+                return '';
+        }
+    },
+
+    // [quote, attribution, citation]
+    attribution(meta) {
+        const [, author, source] = meta?.attributes?.positional || [];
+        if (!author && !source) return '';
+        const cite = source ? `, <cite>${this.parseInline(source)}</cite>` : '';
+        return `<footer class="attribution">— ${this.parseInline(author || '')}${cite}</footer>`;
+    },
+
+    renderList(list) {
+        const meta = list.meta;
+        let attrs = this.attributes(meta, list.items.some(item => item.checked !== undefined) ? 'task-list' : null);
+        if (list.type === 'olist') {
+            // Deeper dot markers number with letters and roman numerals, as in Asciidoctor
+            const types = { '.': '1', '..': 'a', '...': 'i', '....': 'A', '.....': 'I' };
+            attrs += ` type="${types[list.marker] || '1'}"`;
+            const start = parseInt(meta?.attributes?.named.start, 10);
+            if (start) attrs += ` start="${start}"`;
         }
-        
-        return html.join('\n');
-    },
-    
-    isBlockElement(line) {
-        const trimmed = line.trim();
-        return trimmed.startsWith('=') ||
-               trimmed.startsWith('* ') ||
-               trimmed.startsWith('- ') ||
-               /^\d+\.\s/.test(trimmed) ||
-               trimmed.startsWith('----') ||
-               trimmed.startsWith('[source') ||
-               trimmed.startsWith('____') ||
-               trimmed.startsWith('****') ||
-               trimmed.startsWith('|===') ||
-               trimmed === "'''" ||
-               /^(NOTE|TIP|IMPORTANT|WARNING|CAUTION):/.test(trimmed);
-    },
-    
-    parseInline(text) {
+        const tag = list.type === 'olist' ? 'ol' : 'ul';
+        const items = list.items.map(item => {
+            const box = item.checked === undefined ? '' : `<input type="checkbox" disabled${item.checked ? ' checked' : ''}> `;
+            const attrs = item.checked === undefined ? '' : ' class="task-list-item"';
+            return `<li${attrs}>${box}${this.renderItemBody(item)}</li>`;
+        }).join('');
+        return `${this.blockTitle(meta)}<${tag}${attrs}>${items}</${tag}>`;
+    },
+
+    renderItemBody(item) {
+        const text = item.text ? this.parseInline(item.text) : '';
+        const blocks = item.blocks.length ? '\n' + this.renderBlocks(item.blocks) : '';
+        return text + blocks;
+    },
+
+    renderImage(block) {
+        const [alt, width, height] = block.attributes.positional;
+        const size = (name, value) => /^\d+%?$/.test(value || '') ? ` ${name}="${value}"` : '';
+        const img = `<img src="${this.escapeHtml(block.target)}" alt="${this.escapeHtml(alt || block.target)}"` +
+            `${size('width', block.attributes.named.width || width)}${size('height', block.attributes.named.height || height)}>`;
+        const caption = block.meta.title ? `<figcaption>${this.parseInline(block.meta.title)}</figcaption>` : '';
+        return `<figure${this.attributes(block.meta, 'image')}>${img}${caption}</figure>`;
+    },
+
+    renderTable(block) {
+        const caption = block.meta.title ? `<caption>${this.parseInline(block.meta.title)}</caption>` : '';
+        const total = block.columns.reduce((sum, column) => sum + column.width, 0);
+        const colgroup = block.columns.length
+            ? '<colgroup>' + block.columns.map(column =>
+                `<col width="${Math.round(column.width * 10000 / total) / 100}%">`).join('') + '</colgroup>'
+            : '';
+        const width = block.width ? ` width="${block.width}"` : '';
+        const section = (tag, rows) => rows.length
+            ? `<${tag}>` + rows.map(row => `<tr>${row.map(cell => this.renderTableCell(cell)).join('')}</tr>`).join('') + `</${tag}>`
+            : '';
+        return `<table${this.attributes(block.meta, 'tableblock')}${width}>${caption}${colgroup}` +
+            `${section('thead', block.head)}${section('tbody', block.body)}${section('tfoot', block.foot)}</table>`;
+    },
+
+    renderTableCell(cell) {
+        const tag = cell.header ? 'th' : 'td';
+        let attrs = '';
+        if (cell.colspan > 1) attrs += ` colspan="${cell.colspan}"`;
+        if (cell.rowspan > 1) attrs += ` rowspan="${cell.rowspan}"`;
+        if (cell.halign) attrs += ` align="${cell.halign}"`;
+        if (cell.valign) attrs += ` class="valign-${cell.valign}"`;
+
+        let content;
+        if (cell.blocks) {
+            content = this.renderBlocks(cell.blocks);
+        } else if (cell.style === 'literal') {
+            content = `<pre class="literal">${this.escapeHtml(cell.text)}</pre>`;
+        } else if (cell.style === 'verse') {
+            content = this.parseInline(cell.text, true);
+        } else {
+            const wrap = { emphasis: 'em', monospace: 'code', strong: 'strong' }[cell.style];
+            const paragraphs = cell.text.split(/\n[ \t]*\n/).filter(text => text.trim()).map(text => {
+                const html = this.parseInline(text);
+                return wrap ? `<${wrap}>${html}</${wrap}>` : html;
+            });
+            // Single paragraphs stay bare so simple cells stay simple
+            content = paragraphs.length > 1 ? paragraphs.map(html => `<p>${html}</p>`).join('') : paragraphs.join('');
+        }
+        return `<${tag}${attrs}>${content}</${tag}>`;
+    },
+
+    // --- Inline formatting -----------------------------------------------------------
+    // Macros and passthroughs are replaced by placeholders first so their output is
+    // neither escaped nor reformatted; the remaining text is escaped, then quoted text
+    // (bold, italic, monospace, ...) is converted.
+
+    parseInline(text, hardbreaks = false) {
+        const level = ++this.inlineLevel;
+        const saved = [];
+        const keep = (html) => `\u0000${level}.${saved.push(html) - 1}\u0000`;
         let result = text;
-        
-        // Images FIRST (before escaping): image::path[] or image:path[]
-        result = result.replace(/image::([^\[]+)\[([^\]]*)\]/g, (match, path, alt) => {
-            return `<img src="${path.trim()}" alt="${alt}" style="max-width: 100%; height: auto;">`;
-        });
-        result = result.replace(/image:([^\[]+)\[([^\]]*)\]/g, (match, path, alt) => {
-            return `<img src="${path.trim()}" alt="${alt}" style="max-width: 100%; height: auto; display: inline-block;">`;
+
+        // Footnotes first, so a \] or a bracketed macro inside one does not end it
+        result = result.replace(this.footnoteMacro,
+            (match, name, note) => keep(this.footnoteRef(name, note.replace(/\\\]/g, ']'))));
+
+        // Inline math, whose TeX must reach the converter untouched
+        result = result.replace(this.stemMacro, (match, tex) => keep(this.renderMath(tex.replace(/\\\]/g, ']'), false)));
+
+        // Passthroughs
+        result = result.replace(/\+\+\+([\s\S]+?)\+\+\+/g, (match, raw) => keep(raw));
+        result = result.replace(/pass:\[([\s\S]*?)\]/g, (match, raw) => keep(raw));
+        result = result.replace(/\+\+([\s\S]+?)\+\+/g, (match, literal) => keep(this.escapeHtml(literal)));
+        result = result.replace(/(^|[^\w+])\+(\S|\S[\s\S]*?\S)\+(?![\w+])/g,
+            (match, before, literal) => before + keep(this.escapeHtml(literal)));
+
+        // Backslash escapes keep markup characters literal
+        result = result.replace(/\\([*_`#^~[\]<{+\\])/g, (match, c) => keep(this.escapeHtml(c)));
+
+        // Line breaks: + at the end of a line
+        result = result.replace(/[ \t]\+$/gm, () => keep('<br>'));
+        if (hardbreaks) result = result.replace(/\n/g, () => keep('<br>') + '\n');
+
+        // Images: image:path[alt]
+        result = result.replace(/image:([^\s[:][^\s[]*)\[([^\]]*)\]/g, (match, path, attrList) => {
+            const alt = this.parseAttributeList(attrList).positional[0] || path;
+            return keep(`<img src="${this.escapeHtml(path)}" alt="${this.escapeHtml(alt)}">`);
         });
-        
-        // Wikilinks SECOND (before escaping): [[Target Page]] or [[target page|display text]]
-        result = result.replace(/\[\[([^\]|]+)\|([^\]]+)\]\]/g, (match, target, display) => {
+
+        // Wikilinks: [[Target Page]] or [[target page|display text]]
+        result = result.replace(/\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g, (match, target, display) => {
             const normalizedTarget = this.normalizeWikilink(target);
-            return `<a href="#" class="wikilink" data-target="${normalizedTarget}" onclick="app.searchWikilink('${normalizedTarget}'); return false;">${display}</a>`;
+            return keep(`<a href="#/wiki/${encodeURIComponent(normalizedTarget)}" class="wikilink" ` +
+                `data-target="${this.escapeHtml(normalizedTarget)}">${this.escapeHtml((display || target).trim())}</a>`);
         });
-        result = result.replace(/\[\[([^\]]+)\]\]/g, (match, target) => {
-            const normalizedTarget = this.normalizeWikilink(target.trim());
-            return `<a href="#" class="wikilink" data-target="${normalizedTarget}" onclick="app.searchWikilink('${normalizedTarget}'); return false;">${target.trim()}</a>`;
+
+        // Cross references: <<id,text>>, <<id>> and xref:id[text]; without text they show
+        // the target's title
+        const xref = (id, linkText) => {
+            const label = linkText ? this.parseInline(linkText) : this.escapeHtml(this.references?.[id] ?? `[${id}]`);
+            return keep(`<a href="#${this.escapeHtml(id)}" class="xref">${label}</a>`);
+        };
+        result = result.replace(/<<([^,<>\s]+)(?:,[ \t]*([^>]+))?>>/g, (match, id, linkText) => xref(id, linkText));
+        result = result.replace(/xref:#?([\w:.-]+)\[([^\]]*)\]/g, (match, id, linkText) => xref(id, linkText));
+
+        // Inline anchors: anchor:id[]
+        result = result.replace(/anchor:([A-Za-z_][\w:.-]*)\[([^\]]*)\]/g,
+            (match, id, linkText) => keep(`<a id="${this.escapeHtml(id)}"></a>`) + linkText);
+
+        // Links: link:target[text], https://example.com[text] and bare URLs
+        result = result.replace(/(?:link:([^\s[]+)|((?:https?|ftp|irc):\/\/[^\s[\]<>"]+|mailto:[^\s[\]<>"]+))\[([^\]]*)\]/g,
+            (match, target, url, linkText) => keep(this.link(target || url, linkText)));
+        result = result.replace(/(^|[^\w/"'=>])((?:https?|ftp|irc):\/\/[^\s[\]<>"]*[^\s[\]<>".,;:!?)'])/g,
+            (match, before, url) => before + keep(this.link(url, '')));
+
+        // {cn} marks a claim that needs a source
+        result = result.replace(/\{cn\}/gi, () => keep(this.citationNeeded));
+
+        // Nostr links: nostr:npub..., nostr:note..., nostr:nevent...
+        result = result.replace(/nostr:(npub|note|nevent|nprofile|naddr)1[a-z0-9]+/gi, (match) => {
+            return keep(`<a href="#/nostr/${match.slice(6)}" class="nostr-link">${match}</a>`);
         });
-        
-        // Nostr links (before escaping): nostr:npub..., nostr:note..., nostr:nevent...
-        result = result.replace(/nostr:(npub|note|nevent|nprofile|naddr)[a-z0-9]+/gi, (match) => {
-            return `<a href="#" class="nostr-link" onclick="app.openNostrLink('${match}'); return false;">${match}</a>`;
-        });
-        
-        // Regular links (before escaping): https://example.com[Link Text] or just https://example.com
-        result = result.replace(/(https?:\/\/[^\s\[]+)\[([^\]]+)\]/g, (match, url, linkText) => {
-            return `<a href="${url}" target="_blank">${linkText}</a>`;
-        });
-        
-        // NOW escape HTML
+
         result = this.escapeHtml(result);
-        
-        // Auto-link bare URLs (after escaping)
-        result = result.replace(/(https?:\/\/[^\s<]+)/g, (match) => {
-            // Don't double-link if already in an anchor tag
-            if (match.includes('&lt;a ') || match.includes('&lt;img')) return match;
-            return `<a href="${match}" target="_blank">${match}</a>`;
-        });
-        
-        // Cross references: <<anchor,text>> or <<anchor>>
-        result = result.replace(/&lt;&lt;([^,&]+),([^&]+)&gt;&gt;/g, (match, anchor, linkText) => {
-            return `<a href="#${anchor}">${linkText}</a>`;
-        });
-        result = result.replace(/&lt;&lt;([^&]+)&gt;&gt;/g, (match, anchor) => {
-            return `<a href="#${anchor}">${anchor}</a>`;
-        });
-        
-        // Strong (bold): *text* or **text**
-        result = result.replace(/\*\*([^\*]+)\*\*/g, '<strong>$1</strong>');
-        result = result.replace(/\*([^\*]+)\*/g, '<strong>$1</strong>');
-        
-        // Emphasis (italic): _text_ or __text__
-        result = result.replace(/__([^_]+)__/g, '<em>$1</em>');
-        result = result.replace(/_([^_]+)_/g, '<em>$1</em>');
-        
-        // Monospace: `text` or ``text``
-        result = result.replace(/``([^`]+)``/g, '<code>$1</code>');
-        result = result.replace(/`([^`]+)`/g, '<code>$1</code>');
-        
-        // Superscript: ^text^
-        result = result.replace(/\^([^\^]+)\^/g, '<sup>$1</sup>');
-        
-        // Subscript: ~text~
-        result = result.replace(/~([^~]+)~/g, '<sub>$1</sub>');
-        
-        // Line breaks: + at end of line
-        result = result.replace(/\s\+$/g, '<br>');
-        
-        return result;
+
+        // Strong, monospace, emphasis and highlight: doubled marks work anywhere,
+        // single marks only at word boundaries
+        const quote = (mark, open, close) => {
+            const m = mark.replace(/[*^]/g, '\\$&');
+            result = result.replace(new RegExp(`${m}${m}([\\s\\S]+?)${m}${m}`, 'g'), `${open}$1${close}`);
+            result = result.replace(new RegExp(`(^|[^\\w;:}&${m}])${m}(\\S|\\S[\\s\\S]*?\\S)${m}(?![\\w${m}])`, 'g'),
+                `$1${open}$2${close}`);
+        };
+        quote('*', '<strong>', '</strong>');
+        quote('`', '<code>', '</code>');
+        quote('_', '<em>', '</em>');
+        result = result.replace(/\[\.([\w-]+(?:\.[\w-]+)*)\]#([\s\S]+?)#/g,
+            (match, roles, content) => `<span class="${roles.replace(/\./g, ' ')}">${content}</span>`);
+        quote('#', '<mark>', '</mark>');
+
+        // Superscript ^text^ and subscript ~text~
+        result = result.replace(/\^(\S+?)\^/g, '<sup>$1</sup>');
+        result = result.replace(/~(\S+?)~/g, '<sub>$1</sub>');
+
+        const html = result.replace(new RegExp(`\u0000${level}\\.(\\d+)\u0000`, 'g'), (match, i) => saved[i]);
+        this.inlineLevel--;
+        return html;
+    },
+
+    link(url, linkText) {
+        const href = this.escapeHtml(url);
+        const label = linkText ? this.parseInline(linkText) : this.escapeHtml(url.replace(/^mailto:/, ''));
+        const target = /^https?:/i.test(url) ? ' target="_blank" rel="noopener noreferrer"' : '';
+        return `<a href="${href}"${target}>${label}</a>`;
     },
-    
+
     normalizeWikilink(text) {
         // NIP-54 normalization: lowercase, non-letters become dashes
-        return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return text.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
     },
-    
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
-    
+
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
     }
 };
\ No newline at end of file
@@ -65,19 +65,84 @@ const Crypto = {
         return [x3, y3];
     },
 
+    // Jacobian coordinates (X, Y, Z) avoid a modular inverse per step,
+    // which matters once every incoming event is verified
+    toJacobian(point) {
+        return point ? [point[0], point[1], 1n] : null;
+    },
+
+    fromJacobian(point) {
+        if (!point || point[2] === 0n) return null;
+        const zInv = this.modInverse(point[2]);
+        const zInv2 = this.mod(zInv * zInv);
+        return [
+            this.mod(point[0] * zInv2),
+            this.mod(point[1] * zInv2 * zInv)
+        ];
+    },
+
+    jacobianDouble(p) {
+        if (!p || p[1] === 0n) return null;
+        const [x, y, z] = p;
+        const ysq = this.mod(y * y);
+        const s = this.mod(4n * x * ysq);
+        const m = this.mod(3n * x * x);
+        const x3 = this.mod(m * m - 2n * s);
+        const y3 = this.mod(m * (s - x3) - 8n * ysq * ysq);
+        const z3 = this.mod(2n * y * z);
+        return [x3, y3, z3];
+    },
+
+    jacobianAdd(p1, p2) {
+        if (!p1) return p2;
+        if (!p2) return p1;
+
+        const [x1, y1, z1] = p1;
+        const [x2, y2, z2] = p2;
+        const z1sq = this.mod(z1 * z1);
+        const z2sq = this.mod(z2 * z2);
+        const u1 = this.mod(x1 * z2sq);
+        const u2 = this.mod(x2 * z1sq);
+        const s1 = this.mod(y1 * z2sq * z2);
+        const s2 = this.mod(y2 * z1sq * z1);
+
+        if (u1 === u2) {
+            return s1 === s2 ? this.jacobianDouble(p1) : null;
+        }
+
+        const h = this.mod(u2 - u1);
+        const r = this.mod(s2 - s1);
+        const h2 = this.mod(h * h);
+        const h3 = this.mod(h2 * h);
+        const u1h2 = this.mod(u1 * h2);
+        const x3 = this.mod(r * r - h3 - 2n * u1h2);
+        const y3 = this.mod(r * (u1h2 - x3) - s1 * h3);
+        const z3 = this.mod(h * z1 * z2);
+        return [x3, y3, z3];
+    },
+
     pointMultiply(k, p = [this.Gx, this.Gy]) {
         let result = null;
-        let addend = p;
+        let addend = this.toJacobian(p);
 
         while (k > 0n) {
             if (k & 1n) {
-                result = this.pointAdd(result, addend);
+                result = this.jacobianAdd(result, addend);
             }
-            addend = this.pointAdd(addend, addend);
+            addend = this.jacobianDouble(addend);
             k >>= 1n;
         }
 
-        return result;
+        return this.fromJacobian(result);
+    },
+
+    liftX(x) {
+        // Point with the given x coordinate and an even Y, or null if none exists
+        if (x >= this.P) return null;
+        const c = this.mod(this.powMod(x, 3n, this.P) + 7n);
+        const y = this.powMod(c, (this.P + 1n) / 4n, this.P);
+        if (this.mod(y * y) !== c) return null;
+        return [x, (y & 1n) === 0n ? y : this.P - y];
     },
 
     getPublicKey(privateKey) {
@@ -85,16 +150,22 @@ const Crypto = {
             ? BigInt('0x' + privateKey) 
             : privateKey;
         
+        if (privBigInt <= 0n || privBigInt >= this.N) {
+            throw new Error('Invalid private key');
+        }
+
+        // BIP-340 public keys are the 32-byte x coordinate only
         const point = this.pointMultiply(privBigInt);
         return this.bytesToHex(this.encodePoint(point));
     },
 
     encodePoint(point) {
-        if (!point) return new Uint8Array(33);
-        const [x, y] = point;
-        const xBytes = this.bigIntToBytes(x, 32);
-        const prefix = (y & 1n) === 0n ? 0x02 : 0x03;
-        return new Uint8Array([prefix, ...xBytes]);
+        if (!point) return new Uint8Array(32);
+        return this.bigIntToBytes(point[0], 32);
+    },
+
+    hasEvenY(point) {
+        return (point[1] & 1n) === 0n;
     },
 
     bigIntToBytes(num, length) {
@@ -134,46 +205,97 @@ const Crypto = {
         return new Uint8Array(bytes);
     },
 
-    async sign(privateKey, messageHash) {
+    async taggedHash(tag, ...chunks) {
+        // BIP-340 tagged hash: sha256(sha256(tag) || sha256(tag) || data)
+        const tagHash = await this.sha256(tag);
+        const length = chunks.reduce((sum, c) => sum + c.length, 0);
+        const data = new Uint8Array(64 + length);
+        data.set(tagHash, 0);
+        data.set(tagHash, 32);
+        let offset = 64;
+        for (const chunk of chunks) {
+            data.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return this.sha256(data);
+    },
+
+    async sign(privateKey, messageHash, auxRand) {
         const privKey = typeof privateKey === 'string' 
             ? BigInt('0x' + privateKey) 
             : privateKey;
         
-        const msgHash = typeof messageHash === 'string'
-            ? BigInt('0x' + messageHash)
-            : this.bytesToBigInt(messageHash);
+        const msg = typeof messageHash === 'string'
+            ? this.hexToBytes(messageHash)
+            : messageHash;
 
-        // RFC6979 deterministic k generation (simplified)
-        const k = await this.generateK(privKey, msgHash);
-        
-        // R = k * G
-        const R = this.pointMultiply(k);
-        const r = R[0] % this.N;
-        
-        if (r === 0n) throw new Error('Invalid r');
+        if (privKey <= 0n || privKey >= this.N) {
+            throw new Error('Invalid private key');
+        }
 
-        // s = k^-1 * (msgHash + r * privKey) mod N
-        const kInv = this.modInverse(k, this.N);
-        const s = this.mod((msgHash + r * privKey) * kInv, this.N);
-        
-        if (s === 0n) throw new Error('Invalid s');
+        // Fresh aux randomness unless the caller supplies it (test vectors do)
+        let aux = typeof auxRand === 'string' ? this.hexToBytes(auxRand) : auxRand;
+        if (!aux) {
+            aux = new Uint8Array(32);
+            crypto.getRandomValues(aux);
+        }
 
-        // Schnorr requires different format - using simple ECDSA for now
-        // In production Nostr, use proper Schnorr (BIP340)
-        const rHex = r.toString(16).padStart(64, '0');
-        const sHex = s.toString(16).padStart(64, '0');
-        
-        return rHex + sHex;
+        // Negate the key if needed so that P has an even Y coordinate
+        const P = this.pointMultiply(privKey);
+        const d = this.hasEvenY(P) ? privKey : this.N - privKey;
+        const pBytes = this.encodePoint(P);
+
+        // Nonce: t = bytes(d) xor hash_aux(a), k' = hash_nonce(t || P || m)
+        const auxHash = await this.taggedHash('BIP0340/aux', aux);
+        const t = this.bigIntToBytes(d, 32).map((b, i) => b ^ auxHash[i]);
+        const rand = await this.taggedHash('BIP0340/nonce', t, pBytes, msg);
+        const k0 = this.mod(this.bytesToBigInt(rand), this.N);
+        if (k0 === 0n) throw new Error('Invalid nonce');
+
+        const R = this.pointMultiply(k0);
+        const k = this.hasEvenY(R) ? k0 : this.N - k0;
+        const rBytes = this.encodePoint(R);
+
+        // e = hash_challenge(R || P || m), s = k + e * d
+        const e = this.mod(
+            this.bytesToBigInt(await this.taggedHash('BIP0340/challenge', rBytes, pBytes, msg)),
+            this.N
+        );
+        const s = this.mod(k + e * d, this.N);
+
+        return this.bytesToHex(rBytes) + this.bytesToHex(this.bigIntToBytes(s, 32));
     },
 
-    async generateK(privKey, msgHash) {
-        // Simplified deterministic k (not full RFC6979, but deterministic)
-        const combined = privKey.toString(16) + msgHash.toString(16);
-        const hash = await this.sha256(combined);
-        let k = this.bytesToBigInt(hash);
-        k = this.mod(k, this.N);
-        if (k === 0n) k = 1n;
-        return k;
+    async verify(publicKey, messageHash, signature) {
+        try {
+            const pub = typeof publicKey === 'string' ? this.hexToBytes(publicKey) : publicKey;
+            const msg = typeof messageHash === 'string' ? this.hexToBytes(messageHash) : messageHash;
+            const sig = typeof signature === 'string' ? this.hexToBytes(signature) : signature;
+
+            if (pub.length !== 32 || msg.length !== 32 || sig.length !== 64) return false;
+
+            const P = this.liftX(this.bytesToBigInt(pub));
+            if (!P) return false;
+
+            const r = this.bytesToBigInt(sig.slice(0, 32));
+            const s = this.bytesToBigInt(sig.slice(32));
+            if (r >= this.P || s >= this.N) return false;
+
+            const e = this.mod(
+                this.bytesToBigInt(await this.taggedHash('BIP0340/challenge', sig.slice(0, 32), pub, msg)),
+                this.N
+            );
+
+            // R = s*G - e*P must be finite, have an even Y and match r
+            const R = this.pointAdd(
+                this.pointMultiply(s),
+                this.pointMultiply(this.mod(-e, this.N), P)
+            );
+            if (!R || !this.hasEvenY(R)) return false;
+            return R[0] === r;
+        } catch (err) {
+            return false;
+        }
     },
 
     generatePrivateKey() {
@@ -188,6 +310,257 @@ const Crypto = {
         }
         
         return this.bytesToHex(this.bigIntToBytes(key, 32));
+    },
+
+    randomBytes(length) {
+        const bytes = new Uint8Array(length);
+        crypto.getRandomValues(bytes);
+        return bytes;
+    },
+
+    getSharedSecret(privateKey, publicKey) {
+        // ECDH on secp256k1, returns the unhashed 32-byte x coordinate
+        const privBigInt = typeof privateKey === 'string'
+            ? BigInt('0x' + privateKey)
+            : privateKey;
+        const point = this.liftX(BigInt('0x' + publicKey));
+        if (!point) throw new Error('Invalid public key');
+        return this.encodePoint(this.pointMultiply(privBigInt, point));
+    },
+
+    async hmacSha256(key, ...chunks) {
+        const length = chunks.reduce((sum, c) => sum + c.length, 0);
+        const data = new Uint8Array(length);
+        let offset = 0;
+        for (const chunk of chunks) {
+            data.set(chunk, offset);
+            offset += chunk.length;
+        }
+        const cryptoKey = await crypto.subtle.importKey(
+            'raw', key, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+        );
+        return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, data));
+    },
+
+    bytesToBase64(bytes) {
+        let binary = '';
+        for (const b of bytes) binary += String.fromCharCode(b);
+        return btoa(binary);
+    },
+
+    base64ToBytes(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    },
+
+    chachaQuarterRound(s, a, b, c, d) {
+        s[a] = (s[a] + s[b]) | 0; s[d] ^= s[a]; s[d] = (s[d] << 16) | (s[d] >>> 16);
+        s[c] = (s[c] + s[d]) | 0; s[b] ^= s[c]; s[b] = (s[b] << 12) | (s[b] >>> 20);
+        s[a] = (s[a] + s[b]) | 0; s[d] ^= s[a]; s[d] = (s[d] << 8) | (s[d] >>> 24);
+        s[c] = (s[c] + s[d]) | 0; s[b] ^= s[c]; s[b] = (s[b] << 7) | (s[b] >>> 25);
+    },
+
+    chachaRounds(state) {
+        const s = new Uint32Array(state);
+        for (let i = 0; i < 10; i++) {
+            this.chachaQuarterRound(s, 0, 4, 8, 12);
+            this.chachaQuarterRound(s, 1, 5, 9, 13);
+            this.chachaQuarterRound(s, 2, 6, 10, 14);
+            this.chachaQuarterRound(s, 3, 7, 11, 15);
+            this.chachaQuarterRound(s, 0, 5, 10, 15);
+            this.chachaQuarterRound(s, 1, 6, 11, 12);
+            this.chachaQuarterRound(s, 2, 7, 8, 13);
+            this.chachaQuarterRound(s, 3, 4, 9, 14);
+        }
+        return s;
+    },
+
+    chachaState(key, nonceWords) {
+        const view = new DataView(key.buffer, key.byteOffset, key.byteLength);
+        const state = new Uint32Array(16);
+        // "expand 32-byte k"
+        state.set([0x61707865, 0x3320646e, 0x79622d32, 0x6b206574]);
+        for (let i = 0; i < 8; i++) state[4 + i] = view.getUint32(i * 4, true);
+        state.set(nonceWords, 12);
+        return state;
+    },
+
+    chacha20(key, nonce, data, counter = 0) {
+        // RFC 8439 ChaCha20 with a 96-bit nonce
+        const nonceView = new DataView(nonce.buffer, nonce.byteOffset, nonce.byteLength);
+        const state = this.chachaState(key, [
+            counter,
+            nonceView.getUint32(0, true),
+            nonceView.getUint32(4, true),
+            nonceView.getUint32(8, true)
+        ]);
+        const output = new Uint8Array(data.length);
+        const block = new Uint8Array(64);
+        const blockView = new DataView(block.buffer);
+
+        for (let offset = 0; offset < data.length; offset += 64) {
+            const mixed = this.chachaRounds(state);
+            for (let i = 0; i < 16; i++) {
+                blockView.setUint32(i * 4, (mixed[i] + state[i]) | 0, true);
+            }
+            const end = Math.min(64, data.length - offset);
+            for (let i = 0; i < end; i++) {
+                output[offset + i] = data[offset + i] ^ block[i];
+            }
+            state[12] = (state[12] + 1) | 0;
+        }
+
+        return output;
+    },
+
+    hchacha20(key, nonce) {
+        // Derives the XChaCha20 subkey from the first 16 nonce bytes
+        const nonceView = new DataView(nonce.buffer, nonce.byteOffset, 16);
+        const state = this.chachaState(key, [0, 1, 2, 3].map(i => nonceView.getUint32(i * 4, true)));
+        const mixed = this.chachaRounds(state);
+        const subkey = new Uint8Array(32);
+        const view = new DataView(subkey.buffer);
+        [0, 1, 2, 3, 12, 13, 14, 15].forEach((word, i) => view.setUint32(i * 4, mixed[word], true));
+        return subkey;
+    },
+
+    leBytesToBigInt(bytes) {
+        return this.bytesToBigInt(Uint8Array.from(bytes).reverse());
+    },
+
+    poly1305(key, msg) {
+        const r = this.leBytesToBigInt(key.slice(0, 16)) & 0x0ffffffc0ffffffc0ffffffc0fffffffn;
+        const s = this.leBytesToBigInt(key.slice(16, 32));
+        const p = (1n << 130n) - 5n;
+        let acc = 0n;
+
+        for (let i = 0; i < msg.length; i += 16) {
+            const chunk = msg.slice(i, i + 16);
+            const n = this.leBytesToBigInt(chunk) + (1n << BigInt(chunk.length * 8));
+            acc = ((acc + n) * r) % p;
+        }
+
+        acc = (acc + s) & ((1n << 128n) - 1n);
+        return this.bigIntToBytes(acc, 16).reverse();
+    },
+
+    poly1305Tag(polyKey, aad, ciphertext) {
+        // RFC 8439 AEAD construction: aad || pad16 || ciphertext || pad16 || lengths
+        const pad = n => (16 - (n % 16)) % 16;
+        const data = new Uint8Array(aad.length + pad(aad.length) + ciphertext.length + pad(ciphertext.length) + 16);
+        data.set(aad, 0);
+        data.set(ciphertext, aad.length + pad(aad.length));
+        const view = new DataView(data.buffer);
+        view.setBigUint64(data.length - 16, BigInt(aad.length), true);
+        view.setBigUint64(data.length - 8, BigInt(ciphertext.length), true);
+        return this.poly1305(polyKey, data);
+    },
+
+    xchacha20poly1305Encrypt(key, nonce, plaintext, aad = new Uint8Array(0)) {
+        const subkey = this.hchacha20(key, nonce);
+        const chachaNonce = new Uint8Array(12);
+        chachaNonce.set(nonce.slice(16, 24), 4);
+
+        const polyKey = this.chacha20(subkey, chachaNonce, new Uint8Array(32));
+        const ciphertext = this.chacha20(subkey, chachaNonce, plaintext, 1);
+        const tag = this.poly1305Tag(polyKey, aad, ciphertext);
+
+        const output = new Uint8Array(ciphertext.length + 16);
+        output.set(ciphertext);
+        output.set(tag, ciphertext.length);
+        return output;
+    },
+
+    xchacha20poly1305Decrypt(key, nonce, sealed, aad = new Uint8Array(0)) {
+        if (sealed.length < 16) throw new Error('Ciphertext too short');
+        const subkey = this.hchacha20(key, nonce);
+        const chachaNonce = new Uint8Array(12);
+        chachaNonce.set(nonce.slice(16, 24), 4);
+
+        const ciphertext = sealed.slice(0, -16);
+        const polyKey = this.chacha20(subkey, chachaNonce, new Uint8Array(32));
+        const expected = this.poly1305Tag(polyKey, aad, ciphertext);
+        const tag = sealed.slice(-16);
+
+        let diff = 0;
+        for (let i = 0; i < 16; i++) diff |= expected[i] ^ tag[i];
+        if (diff !== 0) throw new Error('Decryption failed');
+
+        return this.chacha20(subkey, chachaNonce, ciphertext, 1);
+    },
+
+    async pbkdf2Sha256(password, salt, iterations, length) {
+        const key = await crypto.subtle.importKey('raw', password, 'PBKDF2', false, ['deriveBits']);
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, key, length * 8
+        );
+        return new Uint8Array(bits);
+    },
+
+    salsa20_8(b) {
+        const x = new Uint32Array(b);
+        const rotl = (v, c) => (v << c) | (v >>> (32 - c));
+        for (let i = 0; i < 8; i += 2) {
+            x[4] ^= rotl(x[0] + x[12], 7);  x[8] ^= rotl(x[4] + x[0], 9);
+            x[12] ^= rotl(x[8] + x[4], 13); x[0] ^= rotl(x[12] + x[8], 18);
+            x[9] ^= rotl(x[5] + x[1], 7);   x[13] ^= rotl(x[9] + x[5], 9);
+            x[1] ^= rotl(x[13] + x[9], 13); x[5] ^= rotl(x[1] + x[13], 18);
+            x[14] ^= rotl(x[10] + x[6], 7); x[2] ^= rotl(x[14] + x[10], 9);
+            x[6] ^= rotl(x[2] + x[14], 13); x[10] ^= rotl(x[6] + x[2], 18);
+            x[3] ^= rotl(x[15] + x[11], 7); x[7] ^= rotl(x[3] + x[15], 9);
+            x[11] ^= rotl(x[7] + x[3], 13); x[15] ^= rotl(x[11] + x[7], 18);
+            x[1] ^= rotl(x[0] + x[3], 7);   x[2] ^= rotl(x[1] + x[0], 9);
+            x[3] ^= rotl(x[2] + x[1], 13);  x[0] ^= rotl(x[3] + x[2], 18);
+            x[6] ^= rotl(x[5] + x[4], 7);   x[7] ^= rotl(x[6] + x[5], 9);
+            x[4] ^= rotl(x[7] + x[6], 13);  x[5] ^= rotl(x[4] + x[7], 18);
+            x[11] ^= rotl(x[10] + x[9], 7); x[8] ^= rotl(x[11] + x[10], 9);
+            x[9] ^= rotl(x[8] + x[11], 13); x[10] ^= rotl(x[9] + x[8], 18);
+            x[12] ^= rotl(x[15] + x[14], 7); x[13] ^= rotl(x[12] + x[15], 9);
+            x[14] ^= rotl(x[13] + x[12], 13); x[15] ^= rotl(x[14] + x[13], 18);
+        }
+        for (let i = 0; i < 16; i++) b[i] = (b[i] + x[i]) | 0;
+    },
+
+    scryptBlockMix(b, y, r) {
+        const x = b.slice((2 * r - 1) * 16, 2 * r * 16);
+        for (let i = 0; i < 2 * r; i++) {
+            for (let j = 0; j < 16; j++) x[j] ^= b[i * 16 + j];
+            this.salsa20_8(x);
+            // Even blocks go to the first half, odd blocks to the second
+            y.set(x, ((i >> 1) + (i & 1) * r) * 16);
+        }
+        b.set(y);
+    },
+
+    async scrypt(password, salt, logN, r, p, length) {
+        const N = 1 << logN;
+        const blockWords = 32 * r;
+        const pass = typeof password === 'string' ? new TextEncoder().encode(password) : password;
+        const bytes = await this.pbkdf2Sha256(pass, salt, 1, p * 128 * r);
+
+        const view = new DataView(bytes.buffer);
+        const b = new Uint32Array(bytes.length / 4);
+        for (let i = 0; i < b.length; i++) b[i] = view.getUint32(i * 4, true);
+
+        const v = new Uint32Array(blockWords * N);
+        const y = new Uint32Array(blockWords);
+        for (let k = 0; k < p; k++) {
+            const x = b.subarray(k * blockWords, (k + 1) * blockWords);
+            for (let i = 0; i < N; i++) {
+                v.set(x, i * blockWords);
+                this.scryptBlockMix(x, y, r);
+            }
+            for (let i = 0; i < N; i++) {
+                const j = x[blockWords - 16] & (N - 1);
+                for (let w = 0; w < blockWords; w++) x[w] ^= v[j * blockWords + w];
+                this.scryptBlockMix(x, y, r);
+            }
+        }
+
+        for (let i = 0; i < b.length; i++) view.setUint32(i * 4, b[i], true);
+        return this.pbkdf2Sha256(pass, bytes, 1, length);
     }
 };
 
@@ -241,7 +614,16 @@ const Bech32 = {
         return result;
     },
 
-    decode(bechString) {
+    decode(bechString, limit = 90) {
+        // BIP-173 caps strings at 90 chars; longer Nostr payloads pass a higher limit
+        if (bechString.length > limit) {
+            throw new Error('Bech32 string too long');
+        }
+        if (bechString !== bechString.toLowerCase() && bechString !== bechString.toUpperCase()) {
+            throw new Error('Mixed-case bech32 string');
+        }
+        bechString = bechString.toLowerCase();
+
         const pos = bechString.lastIndexOf('1');
         if (pos < 1 || pos + 7 > bechString.length) {
             throw new Error('Invalid bech32 string');
@@ -296,6 +678,25 @@ const Bech32 = {
         return ret;
     },
 
+    encodeBytes(hrp, bytes) {
+        return this.encode(hrp, this.convertBits(bytes, 8, 5));
+    },
+
+    decodeBytes(bechString, limit = 90) {
+        const { hrp, data } = this.decode(bechString, limit);
+        return { hrp, bytes: new Uint8Array(this.convertBits(data, 5, 8, false)) };
+    },
+
+    encodeNcryptsec(bytes) {
+        return this.encodeBytes('ncryptsec', bytes);
+    },
+
+    decodeNcryptsec(ncryptsec) {
+        const { hrp, bytes } = this.decodeBytes(ncryptsec, 200);
+        if (hrp !== 'ncryptsec') throw new Error('Not an ncryptsec string');
+        return bytes;
+    },
+
     encodePubkey(hex) {
         const bytes = Crypto.hexToBytes(hex);
         const words = this.convertBits(bytes, 8, 5);
@@ -318,5 +719,302 @@ const Bech32 = {
         const { data } = this.decode(nsec);
         const bytes = this.convertBits(data, 5, 8, false);
         return Crypto.bytesToHex(new Uint8Array(bytes));
+    },
+
+    // NIP-19 shareable identifiers. TLV entities can exceed the 90-char BIP-173 limit.
+    MAX_ENTITY_LENGTH: 5000,
+
+    TLV_SPECIAL: 0,
+    TLV_RELAY: 1,
+    TLV_AUTHOR: 2,
+    TLV_KIND: 3,
+
+    encodeTLV(entries) {
+        const bytes = [];
+        for (const [type, value] of entries) {
+            if (value.length > 255) throw new Error('TLV value too long');
+            bytes.push(type, value.length, ...value);
+        }
+        return new Uint8Array(bytes);
+    },
+
+    decodeTLV(bytes) {
+        const result = {};
+        let i = 0;
+        while (i < bytes.length) {
+            const type = bytes[i];
+            const length = bytes[i + 1];
+            const value = bytes.slice(i + 2, i + 2 + length);
+            if (value.length !== length) throw new Error('Truncated TLV entry');
+            (result[type] = result[type] || []).push(value);
+            i += 2 + length;
+        }
+        return result;
+    },
+
+    relayEntries(relays = []) {
+        const encoder = new TextEncoder();
+        return relays.map(url => [this.TLV_RELAY, encoder.encode(url)]);
+    },
+
+    kindBytes(kind) {
+        const bytes = new Uint8Array(4);
+        new DataView(bytes.buffer).setUint32(0, kind);
+        return bytes;
+    },
+
+    encodeNote(id) {
+        return this.encodeBytes('note', Crypto.hexToBytes(id));
+    },
+
+    encodeProfile({ pubkey, relays = [] }) {
+        return this.encodeBytes('nprofile', this.encodeTLV([
+            [this.TLV_SPECIAL, Crypto.hexToBytes(pubkey)],
+            ...this.relayEntries(relays)
+        ]));
+    },
+
+    encodeEvent({ id, relays = [], author, kind }) {
+        const entries = [[this.TLV_SPECIAL, Crypto.hexToBytes(id)], ...this.relayEntries(relays)];
+        if (author) entries.push([this.TLV_AUTHOR, Crypto.hexToBytes(author)]);
+        if (kind !== undefined && kind !== null) entries.push([this.TLV_KIND, this.kindBytes(kind)]);
+        return this.encodeBytes('nevent', this.encodeTLV(entries));
+    },
+
+    encodeAddress({ identifier, pubkey, kind, relays = [] }) {
+        return this.encodeBytes('naddr', this.encodeTLV([
+            [this.TLV_SPECIAL, new TextEncoder().encode(identifier)],
+            ...this.relayEntries(relays),
+            [this.TLV_AUTHOR, Crypto.hexToBytes(pubkey)],
+            [this.TLV_KIND, this.kindBytes(kind)]
+        ]));
+    },
+
+    // Decode any NIP-19 entity into { type, data }, accepting an optional nostr: prefix
+    decodeEntity(entity) {
+        const text = entity.trim().replace(/^nostr:/i, '');
+        const { hrp, bytes } = this.decodeBytes(text, this.MAX_ENTITY_LENGTH);
+        const hex32 = (value, name) => {
+            if (!value || value.length !== 32) throw new Error(`Invalid ${name} in ${hrp}`);
+            return Crypto.bytesToHex(value);
+        };
+
+        switch (hrp) {
+            case 'npub':
+            case 'nsec':
+            case 'note':
+                return { type: hrp, data: hex32(bytes, hrp) };
+
+            case 'nprofile':
+            case 'nevent':
+            case 'naddr': {
+                const tlv = this.decodeTLV(bytes);
+                const special = tlv[this.TLV_SPECIAL]?.[0];
+                const relays = (tlv[this.TLV_RELAY] || []).map(r => new TextDecoder().decode(r));
+                const author = tlv[this.TLV_AUTHOR]?.[0];
+                const kindBytes = tlv[this.TLV_KIND]?.[0];
+                if (kindBytes && kindBytes.length !== 4) throw new Error(`Invalid kind in ${hrp}`);
+                const kind = kindBytes
+                    ? new DataView(kindBytes.buffer, kindBytes.byteOffset).getUint32(0)
+                    : undefined;
+
+                if (hrp === 'nprofile') {
+                    return { type: hrp, data: { pubkey: hex32(special, 'pubkey'), relays } };
+                }
+                if (hrp === 'nevent') {
+                    return {
+                        type: hrp,
+                        data: {
+                            id: hex32(special, 'event id'),
+                            relays,
+                            author: author ? hex32(author, 'author') : undefined,
+                            kind
+                        }
+                    };
+                }
+                if (!special || kind === undefined) throw new Error('naddr needs an identifier and a kind');
+                return {
+                    type: hrp,
+                    data: {
+                        identifier: new TextDecoder().decode(special),
+                        pubkey: hex32(author, 'author'),
+                        kind,
+                        relays
+                    }
+                };
+            }
+
+            default:
+                throw new Error('Unknown NIP-19 prefix: ' + hrp);
+        }
+    }
+};
+
+// NIP-04 encrypted payloads (legacy AES-256-CBC)
+const Nip04 = {
+    async getKey(privateKey, publicKey, usage) {
+        const shared = Crypto.getSharedSecret(privateKey, publicKey);
+        return crypto.subtle.importKey('raw', shared, { name: 'AES-CBC' }, false, [usage]);
+    },
+
+    async encrypt(privateKey, publicKey, text) {
+        const key = await this.getKey(privateKey, publicKey, 'encrypt');
+        const iv = Crypto.randomBytes(16);
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-CBC', iv }, key, new TextEncoder().encode(text)
+        );
+        return Crypto.bytesToBase64(new Uint8Array(ciphertext)) + '?iv=' + Crypto.bytesToBase64(iv);
+    },
+
+    async decrypt(privateKey, publicKey, payload) {
+        const [ciphertext, iv] = payload.split('?iv=');
+        if (!ciphertext || !iv) throw new Error('Invalid NIP-04 payload');
+        const key = await this.getKey(privateKey, publicKey, 'decrypt');
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-CBC', iv: Crypto.base64ToBytes(iv) }, key, Crypto.base64ToBytes(ciphertext)
+        );
+        return new TextDecoder().decode(plaintext);
+    },
+
+    isPayload(content) {
+        return typeof content === 'string' && content.includes('?iv=');
+    }
+};
+
+// NIP-44 v2 encrypted payloads (ChaCha20 + HMAC-SHA256)
+const Nip44 = {
+    async getConversationKey(privateKey, publicKey) {
+        // HKDF-extract with the "nip44-v2" salt
+        const shared = Crypto.getSharedSecret(privateKey, publicKey);
+        return Crypto.hmacSha256(new TextEncoder().encode('nip44-v2'), shared);
+    },
+
+    async getMessageKeys(conversationKey, nonce) {
+        // HKDF-expand to 76 bytes: chacha key, chacha nonce, hmac key
+        const okm = new Uint8Array(96);
+        let previous = new Uint8Array(0);
+        for (let i = 0; i < 3; i++) {
+            previous = await Crypto.hmacSha256(conversationKey, previous, nonce, new Uint8Array([i + 1]));
+            okm.set(previous, i * 32);
+        }
+        return {
+            chachaKey: okm.slice(0, 32),
+            chachaNonce: okm.slice(32, 44),
+            hmacKey: okm.slice(44, 76)
+        };
+    },
+
+    calcPaddedLength(length) {
+        if (length <= 32) return 32;
+        const nextPower = 1 << (Math.floor(Math.log2(length - 1)) + 1);
+        const chunk = nextPower <= 256 ? 32 : nextPower / 8;
+        return chunk * (Math.floor((length - 1) / chunk) + 1);
+    },
+
+    pad(text) {
+        const bytes = new TextEncoder().encode(text);
+        if (bytes.length < 1 || bytes.length > 65535) {
+            throw new Error('Invalid NIP-44 plaintext length');
+        }
+        const padded = new Uint8Array(2 + this.calcPaddedLength(bytes.length));
+        new DataView(padded.buffer).setUint16(0, bytes.length);
+        padded.set(bytes, 2);
+        return padded;
+    },
+
+    unpad(padded) {
+        const length = new DataView(padded.buffer, padded.byteOffset).getUint16(0);
+        if (length < 1 || padded.length !== 2 + this.calcPaddedLength(length)) {
+            throw new Error('Invalid NIP-44 padding');
+        }
+        return new TextDecoder().decode(padded.slice(2, 2 + length));
+    },
+
+    async encrypt(conversationKey, text, nonce = Crypto.randomBytes(32)) {
+        const { chachaKey, chachaNonce, hmacKey } = await this.getMessageKeys(conversationKey, nonce);
+        const ciphertext = Crypto.chacha20(chachaKey, chachaNonce, this.pad(text));
+        const mac = await Crypto.hmacSha256(hmacKey, nonce, ciphertext);
+
+        const payload = new Uint8Array(1 + 32 + ciphertext.length + 32);
+        payload[0] = 2;
+        payload.set(nonce, 1);
+        payload.set(ciphertext, 33);
+        payload.set(mac, 33 + ciphertext.length);
+        return Crypto.bytesToBase64(payload);
+    },
+
+    async decrypt(conversationKey, payload) {
+        if (!payload || payload[0] === '#') throw new Error('Unsupported NIP-44 version');
+        const data = Crypto.base64ToBytes(payload);
+        if (data.length < 99 || data[0] !== 2) throw new Error('Invalid NIP-44 payload');
+
+        const nonce = data.slice(1, 33);
+        const ciphertext = data.slice(33, -32);
+        const mac = data.slice(-32);
+        const { chachaKey, chachaNonce, hmacKey } = await this.getMessageKeys(conversationKey, nonce);
+
+        const expected = await Crypto.hmacSha256(hmacKey, nonce, ciphertext);
+        let diff = 0;
+        for (let i = 0; i < 32; i++) diff |= expected[i] ^ mac[i];
+        if (diff !== 0) throw new Error('Invalid NIP-44 MAC');
+
+        return this.unpad(Crypto.chacha20(chachaKey, chachaNonce, ciphertext));
+    }
+};
+
+// NIP-49 private key encryption (scrypt + XChaCha20-Poly1305)
+const Nip49 = {
+    // logN comes from the payload; past 2^22 scrypt needs gigabytes and freezes the tab
+    minLogN: 16,
+    maxLogN: 22,
+
+    async deriveKey(password, salt, logN) {
+        return Crypto.scrypt(password.normalize('NFKC'), salt, logN, 8, 1, 32);
+    },
+
+    // keySecurity: 0x00 known to have been handled insecurely, 0x01 not, 0x02 unknown
+    async encrypt(privateKey, password, logN = 16, keySecurity = 0x02) {
+        const salt = Crypto.randomBytes(16);
+        const nonce = Crypto.randomBytes(24);
+        const aad = new Uint8Array([keySecurity]);
+        const key = await this.deriveKey(password, salt, logN);
+        const ciphertext = Crypto.xchacha20poly1305Encrypt(key, nonce, Crypto.hexToBytes(privateKey), aad);
+
+        const payload = new Uint8Array(1 + 1 + 16 + 24 + 1 + ciphertext.length);
+        payload[0] = 0x02;
+        payload[1] = logN;
+        payload.set(salt, 2);
+        payload.set(nonce, 18);
+        payload.set(aad, 42);
+        payload.set(ciphertext, 43);
+        return Bech32.encodeNcryptsec(payload);
+    },
+
+    async decrypt(ncryptsec, password) {
+        const payload = Bech32.decodeNcryptsec(ncryptsec);
+        if (payload.length !== 91 || payload[0] !== 0x02) {
+            throw new Error('Unsupported ncryptsec version');
+        }
+
+        const logN = payload[1];
+        if (logN < this.minLogN || logN > this.maxLogN) {
+            throw new Error(`Unsupported ncryptsec strength (logN ${logN}, expected ${this.minLogN}-${this.maxLogN})`);
+        }
+        const salt = payload.slice(2, 18);
+        const nonce = payload.slice(18, 42);
+        const aad = payload.slice(42, 43);
+        const key = await this.deriveKey(password, salt, logN);
+
+        let privateKey;
+        try {
+            privateKey = Crypto.xchacha20poly1305Decrypt(key, nonce, payload.slice(43), aad);
+        } catch (err) {
+            throw new Error('Wrong passphrase');
+        }
+        return Crypto.bytesToHex(privateKey);
+    },
+
+    isNcryptsec(text) {
+        return typeof text === 'string' && text.toLowerCase().startsWith('ncryptsec1');
     }
 };
\ No newline at end of file
@@ -0,0 +1,258 @@
+// Line and word diffs between article revisions (Myers' O(ND) algorithm)
+const Diff = {
+    // Edit script turning a into b: [{ type: 'equal' | 'delete' | 'insert', items }]
+    diff(a, b) {
+        // Common prefix and suffix never need the search and are usually most of a revision
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const ops = [];
+        if (start > 0) ops.push({ type: 'equal', items: a.slice(0, start) });
+        this.myers(a.slice(start, endA), b.slice(start, endB)).forEach(op => this.pushOp(ops, op.type, op.items));
+        if (endA < a.length) this.pushOp(ops, 'equal', a.slice(endA));
+        return ops;
+    },
+
+    pushOp(ops, type, items) {
+        if (items.length === 0) return;
+        const last = ops[ops.length - 1];
+        if (last && last.type === type) {
+            last.items.push(...items);
+        } else {
+            ops.push({ type, items: items.slice() });
+        }
+    },
+
+    // Past this many edits the texts have little in common, so report a full replacement
+    // rather than spend quadratic memory finding the shortest script
+    maxEdits: 2000,
+
+    myers(a, b) {
+        const n = a.length;
+        const m = b.length;
+        const max = n + m;
+        const offset = max + 1;
+        const v = new Int32Array(2 * max + 3);
+        const trace = [];
+
+        // Walk diagonals until one reaches the bottom-right corner, keeping the part of
+        // each round's frontier (diagonals -d-1..d+1) that backtracking will read
+        let found = max === 0;
+        for (let d = 0; d <= max && !found; d++) {
+            if (d > this.maxEdits) {
+                return [{ type: 'delete', items: a }, { type: 'insert', items: b }];
+            }
+            trace.push(v.slice(offset - d - 1, offset + d + 2));
+            for (let k = -d; k <= d; k += 2) {
+                let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && a[x] === b[y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+                if (x >= n && y >= m) {
+                    found = true;
+                    break;
+                }
+            }
+        }
+
+        // Backtrack through the frontiers to recover the edit script
+        const ops = [];
+        let x = n;
+        let y = m;
+        for (let d = trace.length - 1; d >= 0; d--) {
+            const prev = trace[d];
+            const at = (k) => prev[k + d + 1];
+            const k = x - y;
+            const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+            const prevX = at(prevK);
+            const prevY = prevX - prevK;
+
+            while (x > prevX && y > prevY) {
+                ops.push({ type: 'equal', items: [a[--x]] });
+                y--;
+            }
+            if (d > 0) {
+                if (x === prevX) {
+                    ops.push({ type: 'insert', items: [b[--y]] });
+                } else {
+                    ops.push({ type: 'delete', items: [a[--x]] });
+                }
+            }
+        }
+
+        const merged = [];
+        ops.reverse().forEach(op => this.pushOp(merged, op.type, op.items));
+        return merged;
+    },
+
+    splitLines(text) {
+        return text.replace(/\r\n?/g, '\n').split('\n');
+    },
+
+    splitWords(text) {
+        return text.match(/\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+    },
+
+    // Rows of a line diff, pairing runs of removed lines with the added lines that replace them
+    lineRows(oldText, newText) {
+        const rows = [];
+        const ops = this.diff(this.splitLines(oldText), this.splitLines(newText));
+
+        for (let i = 0; i < ops.length; i++) {
+            const op = ops[i];
+            if (op.type === 'equal') {
+                op.items.forEach(line => rows.push({ type: 'equal', oldLine: line, newLine: line }));
+            } else if (op.type === 'delete' && ops[i + 1]?.type === 'insert') {
+                const added = ops[++i].items;
+                const count = Math.max(op.items.length, added.length);
+                for (let j = 0; j < count; j++) {
+                    rows.push({ type: 'change', oldLine: op.items[j], newLine: added[j] });
+                }
+            } else if (op.type === 'delete') {
+                op.items.forEach(line => rows.push({ type: 'delete', oldLine: line }));
+            } else {
+                op.items.forEach(line => rows.push({ type: 'insert', newLine: line }));
+            }
+        }
+
+        return rows;
+    },
+
+    stats(oldText, newText) {
+        let added = 0;
+        let removed = 0;
+        this.diff(this.splitLines(oldText), this.splitLines(newText)).forEach(op => {
+            if (op.type === 'insert') added += op.items.length;
+            if (op.type === 'delete') removed += op.items.length;
+        });
+        return { added, removed };
+    },
+
+    // Both sides of a changed line with the differing words highlighted
+    wordHighlight(oldLine, newLine) {
+        let oldHtml = '';
+        let newHtml = '';
+        this.diff(this.splitWords(oldLine), this.splitWords(newLine)).forEach(op => {
+            const text = this.escapeHtml(op.items.join(''));
+            if (op.type === 'equal') {
+                oldHtml += text;
+                newHtml += text;
+            } else if (op.type === 'delete') {
+                oldHtml += `<del>${text}</del>`;
+            } else {
+                newHtml += `<ins>${text}</ins>`;
+            }
+        });
+        return { oldHtml, newHtml };
+    },
+
+    // Unchanged lines kept around each change; anything further away collapses to a marker
+    context: 3,
+
+    collapse(rows) {
+        const changed = rows.map(row => row.type !== 'equal');
+        const near = (i) => changed.slice(Math.max(0, i - this.context), i + this.context + 1).some(Boolean);
+        const result = [];
+        let hidden = [];
+
+        // A marker is no shorter than a single line, so only collapse longer runs
+        const flush = () => {
+            if (hidden.length > 1) {
+                result.push({ type: 'skip', count: hidden.length });
+            } else {
+                result.push(...hidden);
+            }
+            hidden = [];
+        };
+
+        rows.forEach((row, i) => {
+            if (row.type === 'equal' && !near(i)) {
+                hidden.push(row);
+                return;
+            }
+            flush();
+            result.push(row);
+        });
+        flush();
+
+        return result;
+    },
+
+    renderInline(oldText, newText) {
+        const rows = this.collapse(this.lineRows(oldText, newText));
+        if (!rows.some(row => row.type !== 'equal' && row.type !== 'skip')) {
+            return '<div class="diff-empty">No differences</div>';
+        }
+
+        const line = (type, sign, html) =>
+            `<div class="diff-line diff-${type}"><span class="diff-sign">${sign}</span>${html || '&nbsp;'}</div>`;
+
+        const html = rows.map(row => {
+            switch (row.type) {
+                case 'skip':
+                    return `<div class="diff-skip">${row.count} unchanged line(s)</div>`;
+                case 'equal':
+                    return line('equal', ' ', this.escapeHtml(row.oldLine));
+                case 'delete':
+                    return line('delete', '-', this.escapeHtml(row.oldLine));
+                case 'insert':
+                    return line('insert', '+', this.escapeHtml(row.newLine));
+                default: {
+                    if (row.newLine === undefined) return line('delete', '-', this.escapeHtml(row.oldLine));
+                    if (row.oldLine === undefined) return line('insert', '+', this.escapeHtml(row.newLine));
+                    const { oldHtml, newHtml } = this.wordHighlight(row.oldLine, row.newLine);
+                    return line('delete', '-', oldHtml) + line('insert', '+', newHtml);
+                }
+            }
+        }).join('');
+
+        return `<div class="diff-inline">${html}</div>`;
+    },
+
+    renderSideBySide(oldText, newText) {
+        const rows = this.collapse(this.lineRows(oldText, newText));
+        if (!rows.some(row => row.type !== 'equal' && row.type !== 'skip')) {
+            return '<div class="diff-empty">No differences</div>';
+        }
+
+        const cell = (type, html) => html === undefined
+            ? '<td class="diff-cell diff-blank"></td>'
+            : `<td class="diff-cell diff-${type}">${html || '&nbsp;'}</td>`;
+
+        const html = rows.map(row => {
+            if (row.type === 'skip') {
+                return `<tr><td class="diff-skip" colspan="2">${row.count} unchanged line(s)</td></tr>`;
+            }
+            if (row.type === 'change' && row.oldLine !== undefined && row.newLine !== undefined) {
+                const { oldHtml, newHtml } = this.wordHighlight(row.oldLine, row.newLine);
+                return `<tr>${cell('delete', oldHtml)}${cell('insert', newHtml)}</tr>`;
+            }
+
+            const oldHtml = row.oldLine === undefined ? undefined : this.escapeHtml(row.oldLine);
+            const newHtml = row.newLine === undefined ? undefined : this.escapeHtml(row.newLine);
+            if (row.type === 'equal') {
+                return `<tr>${cell('equal', oldHtml)}${cell('equal', newHtml)}</tr>`;
+            }
+            return `<tr>${cell('delete', oldHtml)}${cell('insert', newHtml)}</tr>`;
+        }).join('');
+
+        return `<table class="diff-table">${html}</table>`;
+    },
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+};
\ No newline at end of file
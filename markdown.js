@@ -0,0 +1,1828 @@
+// CommonMark parser with the GFM table, task list, strikethrough, autolink and footnote
+// extensions plus NIP-54 [[wikilinks]] and nostr: links. Works on strings only, no DOM.
+const Markdown = {
+    escapable: /^[!"#$%&'()*+,./:;<=>?@[\\\]^_`{|}~-]$/,
+    entity: /&(?:#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[A-Za-z][A-Za-z0-9]{1,31});/,
+    punctuation: /[\p{P}\p{S}]/u,
+    whitespace: /[\s\u00a0\u1680\u2000-\u200a\u202f\u205f\u3000]/,
+
+    // Named character references; anything not listed stays literal text
+    entities: {
+        amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', copy: '\u00a9',
+        reg: '\u00ae', trade: '\u2122', hellip: '\u2026', mdash: '\u2014', ndash: '\u2013',
+        lsquo: '\u2018', rsquo: '\u2019', ldquo: '\u201c', rdquo: '\u201d', laquo: '\u00ab',
+        raquo: '\u00bb', bull: '\u2022', middot: '\u00b7', deg: '\u00b0', plusmn: '\u00b1',
+        times: '\u00d7', divide: '\u00f7', frac12: '\u00bd', frac14: '\u00bc', frac34: '\u00be',
+        sup1: '\u00b9', sup2: '\u00b2', sup3: '\u00b3', micro: '\u00b5', para: '\u00b6',
+        sect: '\u00a7', euro: '\u20ac', pound: '\u00a3', yen: '\u00a5', cent: '\u00a2',
+        larr: '\u2190', uarr: '\u2191', rarr: '\u2192', darr: '\u2193', harr: '\u2194',
+        rArr: '\u21d2', lArr: '\u21d0', hArr: '\u21d4', ne: '\u2260', le: '\u2264', ge: '\u2265',
+        infin: '\u221e', minus: '\u2212', radic: '\u221a', sum: '\u2211', prod: '\u220f',
+        part: '\u2202', int: '\u222b', asymp: '\u2248', equiv: '\u2261', isin: '\u2208',
+        forall: '\u2200', exist: '\u2203', empty: '\u2205', nabla: '\u2207', and: '\u2227',
+        or: '\u2228', cap: '\u2229', cup: '\u222a', sub: '\u2282', sup: '\u2283', prime: '\u2032',
+        Prime: '\u2033', dagger: '\u2020', Dagger: '\u2021', permil: '\u2030', iexcl: '\u00a1',
+        iquest: '\u00bf', shy: '\u00ad', ensp: '\u2002', emsp: '\u2003', thinsp: '\u2009',
+        zwnj: '\u200c', zwj: '\u200d', not: '\u00ac', ordf: '\u00aa', ordm: '\u00ba',
+        acute: '\u00b4', uml: '\u00a8', cedil: '\u00b8', macr: '\u00af', curren: '\u00a4',
+        brvbar: '\u00a6', szlig: '\u00df', AElig: '\u00c6', aelig: '\u00e6', oslash: '\u00f8',
+        Oslash: '\u00d8', aring: '\u00e5', Aring: '\u00c5', auml: '\u00e4', Auml: '\u00c4',
+        ouml: '\u00f6', Ouml: '\u00d6', uuml: '\u00fc', Uuml: '\u00dc', euml: '\u00eb',
+        iuml: '\u00ef', aacute: '\u00e1', eacute: '\u00e9', iacute: '\u00ed', oacute: '\u00f3',
+        uacute: '\u00fa', Aacute: '\u00c1', Eacute: '\u00c9', Iacute: '\u00cd', Oacute: '\u00d3',
+        Uacute: '\u00da', agrave: '\u00e0', egrave: '\u00e8', igrave: '\u00ec', ograve: '\u00f2',
+        ugrave: '\u00f9', acirc: '\u00e2', ecirc: '\u00ea', icirc: '\u00ee', ocirc: '\u00f4',
+        ucirc: '\u00fb', atilde: '\u00e3', ntilde: '\u00f1', otilde: '\u00f5', Ntilde: '\u00d1',
+        ccedil: '\u00e7', Ccedil: '\u00c7', thorn: '\u00fe', eth: '\u00f0', yuml: '\u00ff',
+        alpha: '\u03b1', beta: '\u03b2', gamma: '\u03b3', delta: '\u03b4', epsilon: '\u03b5',
+        zeta: '\u03b6', eta: '\u03b7', theta: '\u03b8', iota: '\u03b9', kappa: '\u03ba',
+        lambda: '\u03bb', mu: '\u03bc', nu: '\u03bd', xi: '\u03be', omicron: '\u03bf',
+        pi: '\u03c0', rho: '\u03c1', sigma: '\u03c3', tau: '\u03c4', upsilon: '\u03c5',
+        phi: '\u03c6', chi: '\u03c7', psi: '\u03c8', omega: '\u03c9', Gamma: '\u0393',
+        Delta: '\u0394', Theta: '\u0398', Lambda: '\u039b', Pi: '\u03a0', Sigma: '\u03a3',
+        Phi: '\u03a6', Psi: '\u03a8', Omega: '\u03a9', Dcaron: '\u010e', HilbertSpace: '\u210b',
+        DifferentialD: '\u2146', ClockwiseContourIntegral: '\u2232', ngE: '\u2267\u0338'
+    },
+
+    parse(text, options = {}) {
+        const doc = this.parseBlocks(text, options);
+        return this.render(doc, options);
+    },
+
+    // --- Node tree -------------------------------------------------------------------
+
+    node(type, props = {}) {
+        return { type, parent: null, firstChild: null, lastChild: null, prev: null, next: null, ...props };
+    },
+
+    appendChild(parent, child) {
+        this.unlink(child);
+        child.parent = parent;
+        if (parent.lastChild) {
+            parent.lastChild.next = child;
+            child.prev = parent.lastChild;
+        } else {
+            parent.firstChild = child;
+        }
+        parent.lastChild = child;
+    },
+
+    insertAfter(node, sibling) {
+        this.unlink(sibling);
+        sibling.next = node.next;
+        if (sibling.next) {
+            sibling.next.prev = sibling;
+        } else if (node.parent) {
+            node.parent.lastChild = sibling;
+        }
+        sibling.prev = node;
+        node.next = sibling;
+        sibling.parent = node.parent;
+    },
+
+    unlink(node) {
+        if (node.prev) {
+            node.prev.next = node.next;
+        } else if (node.parent) {
+            node.parent.firstChild = node.next;
+        }
+        if (node.next) {
+            node.next.prev = node.prev;
+        } else if (node.parent) {
+            node.parent.lastChild = node.prev;
+        }
+        node.parent = node.prev = node.next = null;
+    },
+
+    children(node) {
+        const result = [];
+        for (let child = node.firstChild; child; child = child.next) result.push(child);
+        return result;
+    },
+
+    // --- Block structure -------------------------------------------------------------
+    // Follows the two-phase strategy in the CommonMark spec appendix: lines are fed
+    // through the open container blocks, then leaf contents are parsed as inlines.
+
+    // options.math turns on $...$ and $$...$$ TeX, which plain CommonMark reads as text
+    parseBlocks(text, options = {}) {
+        const doc = this.node('document', { open: true, content: '', startLine: 1 });
+        const p = {
+            doc,
+            tip: doc,
+            oldtip: doc,
+            lastMatched: doc,
+            allClosed: true,
+            line: '',
+            lineNumber: 0,
+            offset: 0,
+            column: 0,
+            nextNonspace: 0,
+            nextNonspaceColumn: 0,
+            indent: 0,
+            indented: false,
+            blank: false,
+            partiallyConsumedTab: false,
+            refmap: {},
+            footnotes: {},
+            math: Boolean(options.math)
+        };
+
+        const lines = text.replace(/\0/g, '\uFFFD').split(/\r\n|\n|\r/);
+        if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+        lines.forEach(line => this.incorporateLine(p, line));
+        while (p.tip) this.finalize(p, p.tip, lines.length);
+
+        this.processInlines(p, doc);
+        doc.footnotes = p.footnotes;
+        return doc;
+    },
+
+    // How each block type continues onto a new line: 0 matched, 1 not matched,
+    // 2 matched and the line is fully consumed
+    blocks: {
+        document: {
+            continue: () => 0,
+            canContain: (type) => type !== 'item',
+            acceptsLines: false
+        },
+        block_quote: {
+            continue(md, p) {
+                if (!p.indented && p.line[p.nextNonspace] === '>') {
+                    md.advanceNextNonspace(p);
+                    md.advanceOffset(p, 1, false);
+                    if (md.isSpaceOrTab(p.line[p.offset])) md.advanceOffset(p, 1, true);
+                    return 0;
+                }
+                return 1;
+            },
+            canContain: (type) => type !== 'item',
+            acceptsLines: false
+        },
+        list: {
+            continue: () => 0,
+            canContain: (type) => type === 'item',
+            acceptsLines: false,
+            finalize(md, p, block) {
+                // Loose if any item or any block inside an item is followed by a blank line
+                for (let item = block.firstChild; item; item = item.next) {
+                    if (item.next && md.endsWithBlankLine(item)) {
+                        block.tight = false;
+                        break;
+                    }
+                    for (let sub = item.firstChild; sub; sub = sub.next) {
+                        if ((item.next || sub.next) && md.endsWithBlankLine(sub)) {
+                            block.tight = false;
+                            break;
+                        }
+                    }
+                }
+                block.endLine = block.lastChild.endLine;
+            }
+        },
+        item: {
+            continue(md, p, container) {
+                if (p.blank) {
+                    // A list item can begin with at most one blank line
+                    if (!container.firstChild) return 1;
+                    md.advanceNextNonspace(p);
+                } else if (p.indent >= container.markerOffset + container.padding) {
+                    md.advanceOffset(p, container.markerOffset + container.padding, true);
+                } else {
+                    return 1;
+                }
+                return 0;
+            },
+            canContain: (type) => type !== 'item',
+            acceptsLines: false,
+            finalize(md, p, block) {
+                block.endLine = block.lastChild ? block.lastChild.endLine : block.startLine;
+            }
+        },
+        footnote_definition: {
+            continue(md, p) {
+                if (p.blank) {
+                    md.advanceNextNonspace(p);
+                } else if (p.indent >= 4) {
+                    md.advanceOffset(p, 4, true);
+                } else {
+                    return 1;
+                }
+                return 0;
+            },
+            canContain: (type) => type !== 'item',
+            acceptsLines: false
+        },
+        heading: {
+            continue: () => 1,
+            canContain: () => false,
+            acceptsLines: false
+        },
+        thematic_break: {
+            continue: () => 1,
+            canContain: () => false,
+            acceptsLines: false
+        },
+        code_block: {
+            continue(md, p, container) {
+                const line = p.line;
+                if (container.fenced) {
+                    const match = p.indent <= 3 && line[p.nextNonspace] === container.fenceChar &&
+                        line.slice(p.nextNonspace).match(/^(?:`{3,}|~{3,})(?=[ \t]*$)/);
+                    if (match && match[0].length >= container.fenceLength) {
+                        md.finalize(p, container, p.lineNumber);
+                        return 2;
+                    }
+                    // Strip up to the opening fence's indentation
+                    let i = container.fenceOffset;
+                    while (i > 0 && md.isSpaceOrTab(line[p.offset])) {
+                        md.advanceOffset(p, 1, true);
+                        i--;
+                    }
+                } else if (p.indent >= 4) {
+                    md.advanceOffset(p, 4, true);
+                } else if (p.blank) {
+                    md.advanceNextNonspace(p);
+                } else {
+                    return 1;
+                }
+                return 0;
+            },
+            canContain: () => false,
+            acceptsLines: true,
+            finalize(md, p, block) {
+                if (block.fenced) {
+                    const newline = block.content.indexOf('\n');
+                    block.info = md.unescapeString(block.content.slice(0, newline).trim());
+                    block.literal = block.content.slice(newline + 1);
+                } else {
+                    const lines = block.content.split('\n');
+                    while (lines.length && /^[ \t]*$/.test(lines[lines.length - 1])) lines.pop();
+                    block.literal = lines.join('\n') + '\n';
+                }
+            }
+        },
+        math_block: {
+            continue(md, p, container) {
+                if (p.indent <= 3 && /^\$\$[ \t]*$/.test(p.line.slice(p.nextNonspace))) {
+                    md.finalize(p, container, p.lineNumber);
+                    return 2;
+                }
+                return 0;
+            },
+            canContain: () => false,
+            acceptsLines: true,
+            finalize(md, p, block) {
+                // The first line is what followed the opening $$
+                block.literal = block.content.slice(block.content.indexOf('\n') + 1);
+            }
+        },
+        html_block: {
+            continue: (md, p, container) => (p.blank && (container.htmlType === 6 || container.htmlType === 7)) ? 1 : 0,
+            canContain: () => false,
+            acceptsLines: true,
+            finalize(md, p, block) {
+                block.literal = block.content.replace(/(\n *)+$/, '');
+            }
+        },
+        paragraph: {
+            continue: (md, p) => p.blank ? 1 : 0,
+            canContain: () => false,
+            acceptsLines: true,
+            finalize(md, p, block) {
+                let consumed;
+                let hasReferences = false;
+                while (block.content[0] === '[' && (consumed = md.parseReference(block.content, p.refmap))) {
+                    block.content = block.content.slice(consumed);
+                    hasReferences = true;
+                }
+                if (hasReferences && /^[ \t\r\n]*$/.test(block.content)) md.unlink(block);
+            }
+        },
+        table: {
+            continue: (md, p) => p.blank ? 1 : 0,
+            canContain: () => false,
+            acceptsLines: true,
+            finalize(md, p, block) {
+                block.rows = block.content.split('\n')
+                    .filter(line => line.trim() !== '')
+                    .map(line => md.splitTableRow(line));
+            }
+        }
+    },
+
+    // Attempts to start a new block at the current position: 0 no match,
+    // 1 matched a container, 2 matched a leaf that takes the rest of the line
+    blockStarts: [
+        // Block quote
+        (md, p) => {
+            if (p.indented || p.line[p.nextNonspace] !== '>') return 0;
+            md.advanceNextNonspace(p);
+            md.advanceOffset(p, 1, false);
+            if (md.isSpaceOrTab(p.line[p.offset])) md.advanceOffset(p, 1, true);
+            md.closeUnmatchedBlocks(p);
+            md.addChild(p, 'block_quote', p.nextNonspace);
+            return 1;
+        },
+
+        // ATX heading
+        (md, p) => {
+            const match = !p.indented && p.line.slice(p.nextNonspace).match(/^#{1,6}(?:[ \t]+|$)/);
+            if (!match) return 0;
+            md.advanceNextNonspace(p);
+            md.advanceOffset(p, match[0].length, false);
+            md.closeUnmatchedBlocks(p);
+            const heading = md.addChild(p, 'heading', p.nextNonspace);
+            heading.level = match[0].trim().length;
+            heading.content = p.line.slice(p.offset)
+                .replace(/^[ \t]*#+[ \t]*$/, '')
+                .replace(/[ \t]+#+[ \t]*$/, '');
+            md.advanceOffset(p, p.line.length - p.offset, false);
+            return 2;
+        },
+
+        // Fenced code block
+        (md, p) => {
+            const match = !p.indented && p.line.slice(p.nextNonspace).match(/^`{3,}(?!.*`)|^~{3,}/);
+            if (!match) return 0;
+            md.closeUnmatchedBlocks(p);
+            const block = md.addChild(p, 'code_block', p.nextNonspace);
+            block.fenced = true;
+            block.fenceLength = match[0].length;
+            block.fenceChar = match[0][0];
+            block.fenceOffset = p.indent;
+            md.advanceNextNonspace(p);
+            md.advanceOffset(p, match[0].length, false);
+            return 2;
+        },
+
+        // Display math: $$ on a line of its own up to the next one, or $$...$$ filling a line
+        (md, p) => {
+            if (!p.math || p.indented) return 0;
+            const rest = p.line.slice(p.nextNonspace);
+            const single = rest.match(/^\$\$((?:[^$]|\$(?!\$))+)\$\$[ \t]*$/);
+            if (!single && !/^\$\$[ \t]*$/.test(rest)) return 0;
+            md.closeUnmatchedBlocks(p);
+            const block = md.addChild(p, 'math_block', p.nextNonspace);
+            md.advanceOffset(p, p.line.length - p.offset, false);
+            if (single) {
+                block.content = '\n' + single[1];
+                md.finalize(p, block, p.lineNumber);
+            }
+            return 2;
+        },
+
+        // HTML block
+        (md, p, container) => {
+            if (p.indented || p.line[p.nextNonspace] !== '<') return 0;
+            const rest = p.line.slice(p.nextNonspace);
+            for (let type = 1; type <= 7; type++) {
+                if (md.htmlBlockOpen[type].test(rest) &&
+                    (type < 7 || (container.type !== 'paragraph' && !(!p.allClosed && !p.blank && p.tip.type === 'paragraph')))) {
+                    md.closeUnmatchedBlocks(p);
+                    // Leading spaces belong to the HTML block
+                    const block = md.addChild(p, 'html_block', p.offset);
+                    block.htmlType = type;
+                    return 2;
+                }
+            }
+            return 0;
+        },
+
+        // GFM table: the paragraph's last line is the header row, this line its delimiter row
+        (md, p, container) => {
+            if (p.indented || container.type !== 'paragraph') return 0;
+            const delimiter = p.line.slice(p.nextNonspace);
+            if (!/^\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/.test(delimiter)) return 0;
+
+            const lines = container.content.replace(/\n$/, '').split('\n');
+            const header = lines[lines.length - 1];
+            if (!delimiter.includes('|') && !header.includes('|')) return 0;
+            const aligns = md.splitTableRow(delimiter).map(cell => {
+                const left = cell.startsWith(':');
+                const right = cell.endsWith(':');
+                return left && right ? 'center' : right ? 'right' : left ? 'left' : null;
+            });
+            const head = md.splitTableRow(header);
+            if (head.length !== aligns.length) return 0;
+
+            md.closeUnmatchedBlocks(p);
+            if (lines.length > 1) {
+                container.content = lines.slice(0, -1).join('\n') + '\n';
+                md.finalize(p, container, p.lineNumber - 1);
+            } else {
+                p.tip = container.parent;
+                md.unlink(container);
+            }
+            const table = md.addChild(p, 'table', p.nextNonspace);
+            table.startLine = p.lineNumber - 1;
+            table.head = head;
+            table.aligns = aligns;
+            md.advanceOffset(p, p.line.length - p.offset, false);
+            return 2;
+        },
+
+        // Setext heading
+        (md, p, container) => {
+            const match = !p.indented && container.type === 'paragraph' &&
+                p.line.slice(p.nextNonspace).match(/^(?:=+|-+)[ \t]*$/);
+            if (!match) return 0;
+            md.closeUnmatchedBlocks(p);
+            let consumed;
+            while (container.content[0] === '[' && (consumed = md.parseReference(container.content, p.refmap))) {
+                container.content = container.content.slice(consumed);
+            }
+            if (container.content.length === 0) return 0;
+
+            const heading = md.node('heading', {
+                open: true,
+                level: match[0][0] === '=' ? 1 : 2,
+                content: container.content,
+                startLine: container.startLine
+            });
+            md.insertAfter(container, heading);
+            md.unlink(container);
+            p.tip = heading;
+            md.advanceOffset(p, p.line.length - p.offset, false);
+            return 2;
+        },
+
+        // Thematic break
+        (md, p) => {
+            if (p.indented || !/^(?:\*[ \t]*){3,}$|^(?:_[ \t]*){3,}$|^(?:-[ \t]*){3,}$/.test(p.line.slice(p.nextNonspace))) return 0;
+            md.closeUnmatchedBlocks(p);
+            md.addChild(p, 'thematic_break', p.nextNonspace);
+            md.advanceOffset(p, p.line.length - p.offset, false);
+            return 2;
+        },
+
+        // Footnote definition: [^label]: text, continued by indented lines. Spaces after
+        // the colon are dropped, so the first line never starts a code block.
+        (md, p, container) => {
+            const match = !p.indented && container.type !== 'paragraph' &&
+                p.line.slice(p.nextNonspace).match(/^\[\^([^\]\s]+)\]:/);
+            if (!match) return 0;
+            md.closeUnmatchedBlocks(p);
+            const block = md.addChild(p, 'footnote_definition', p.nextNonspace);
+            block.label = match[1].toUpperCase();
+            if (!p.footnotes[block.label]) p.footnotes[block.label] = block;
+            md.advanceNextNonspace(p);
+            md.advanceOffset(p, match[0].length, false);
+            md.findNextNonspace(p);
+            md.advanceNextNonspace(p);
+            return 1;
+        },
+
+        // List item
+        (md, p, container) => {
+            if (p.indented && container.type !== 'list') return 0;
+            const data = md.parseListMarker(p, container);
+            if (!data) return 0;
+            md.closeUnmatchedBlocks(p);
+            if (p.tip.type !== 'list' || !md.listsMatch(container, data)) {
+                const list = md.addChild(p, 'list', p.nextNonspace);
+                Object.assign(list, data, { tight: true });
+            }
+            const item = md.addChild(p, 'item', p.nextNonspace);
+            Object.assign(item, data);
+            return 1;
+        },
+
+        // Indented code block
+        (md, p) => {
+            if (!p.indented || p.tip.type === 'paragraph' || p.blank) return 0;
+            md.advanceOffset(p, 4, true);
+            md.closeUnmatchedBlocks(p);
+            md.addChild(p, 'code_block', p.offset);
+            return 2;
+        }
+    ],
+
+    maxNesting: 100,
+
+    htmlBlockOpen: [
+        /./,
+        /^<(?:script|pre|textarea|style)(?:\s|>|$)/i,
+        /^<!--/,
+        /^<[?]/,
+        /^<![A-Za-z]/,
+        /^<!\[CDATA\[/,
+        /^<[/]?(?:address|article|aside|base|basefont|blockquote|body|caption|center|col|colgroup|dd|details|dialog|dir|div|dl|dt|fieldset|figcaption|figure|footer|form|frame|frameset|h[123456]|head|header|hr|html|iframe|legend|li|link|main|menu|menuitem|nav|noframes|ol|optgroup|option|p|param|search|section|summary|table|tbody|td|tfoot|th|thead|title|tr|track|ul)(?:\s|[/]?[>]|$)/i,
+        /^(?:<[A-Za-z][A-Za-z0-9-]*(?:\s+[a-zA-Z_:][a-zA-Z0-9:._-]*(?:\s*=\s*(?:[^"'=<>`\x00-\x20]+|'[^']*'|"[^"]*"))?)*\s*\/?>|<\/[A-Za-z][A-Za-z0-9-]*\s*[>])\s*$/i
+    ],
+
+    htmlBlockClose: [
+        /./,
+        /<\/(?:script|pre|textarea|style)>/i,
+        /-->/,
+        /\?>/,
+        />/,
+        /\]\]>/
+    ],
+
+    incorporateLine(p, line) {
+        let container = p.doc;
+        let allMatched = true;
+        p.oldtip = p.tip;
+        p.offset = 0;
+        p.column = 0;
+        p.blank = false;
+        p.partiallyConsumedTab = false;
+        p.lineNumber++;
+        p.line = line;
+
+        // Match the line against each open container, innermost last
+        while (container.lastChild && container.lastChild.open) {
+            container = container.lastChild;
+            this.findNextNonspace(p);
+            const result = this.blocks[container.type].continue(this, p, container);
+            if (result === 2) return;
+            if (result === 1) {
+                allMatched = false;
+                container = container.parent;
+                break;
+            }
+        }
+
+        p.allClosed = container === p.oldtip;
+        p.lastMatched = container;
+
+        // Paragraphs and tables still let new blocks interrupt them; other leaves take the line
+        let matchedLeaf = container.type !== 'paragraph' && container.type !== 'table' &&
+            this.blocks[container.type].acceptsLines;
+        let depth = 0;
+        for (let block = container; block.parent; block = block.parent) depth++;
+        while (!matchedLeaf) {
+            this.findNextNonspace(p);
+            // Absurdly deep nesting is left as text rather than risking the stack
+            if (depth >= this.maxNesting ||
+                (!p.indented && !/^[#`~*+_=<>0-9|:[$-]/.test(line.slice(p.nextNonspace)))) {
+                this.advanceNextNonspace(p);
+                break;
+            }
+            let result = 0;
+            for (const start of this.blockStarts) {
+                result = start(this, p, container);
+                if (result) break;
+            }
+            if (!result) {
+                this.advanceNextNonspace(p);
+                break;
+            }
+            container = p.tip;
+            depth++;
+            if (result === 2) matchedLeaf = true;
+        }
+
+        if (!p.allClosed && !p.blank && p.tip.type === 'paragraph') {
+            // Lazy paragraph continuation
+            this.addLine(p);
+            return;
+        }
+
+        this.closeUnmatchedBlocks(p);
+        const type = container.type;
+        if (this.blocks[type].acceptsLines) {
+            this.addLine(p);
+            if (type === 'html_block' && container.htmlType >= 1 && container.htmlType <= 5 &&
+                this.htmlBlockClose[container.htmlType].test(line.slice(p.offset))) {
+                this.finalize(p, container, p.lineNumber);
+            }
+        } else if (p.offset < line.length && !p.blank) {
+            container = this.addChild(p, 'paragraph', p.offset);
+            this.advanceNextNonspace(p);
+            this.addLine(p);
+        }
+    },
+
+    findNextNonspace(p) {
+        let i = p.offset;
+        let column = p.column;
+        while (i < p.line.length) {
+            const c = p.line[i];
+            if (c === ' ') {
+                column++;
+            } else if (c === '\t') {
+                column += 4 - (column % 4);
+            } else {
+                break;
+            }
+            i++;
+        }
+        p.blank = i === p.line.length;
+        p.nextNonspace = i;
+        p.nextNonspaceColumn = column;
+        p.indent = column - p.column;
+        p.indented = p.indent >= 4;
+    },
+
+    advanceNextNonspace(p) {
+        p.offset = p.nextNonspace;
+        p.column = p.nextNonspaceColumn;
+        p.partiallyConsumedTab = false;
+    },
+
+    // Move forward count characters, or count columns when a tab may be only partly consumed
+    advanceOffset(p, count, columns) {
+        while (count > 0 && p.offset < p.line.length) {
+            if (p.line[p.offset] === '\t') {
+                const toTab = 4 - (p.column % 4);
+                if (columns) {
+                    p.partiallyConsumedTab = toTab > count;
+                    const advance = Math.min(toTab, count);
+                    p.column += advance;
+                    if (!p.partiallyConsumedTab) p.offset++;
+                    count -= advance;
+                } else {
+                    p.partiallyConsumedTab = false;
+                    p.column += toTab;
+                    p.offset++;
+                    count--;
+                }
+            } else {
+                p.partiallyConsumedTab = false;
+                p.offset++;
+                p.column++;
+                count--;
+            }
+        }
+    },
+
+    addLine(p) {
+        if (p.partiallyConsumedTab) {
+            p.offset++;
+            p.tip.content += ' '.repeat(4 - (p.column % 4));
+        }
+        p.tip.content += p.line.slice(p.offset) + '\n';
+    },
+
+    addChild(p, type) {
+        while (!this.blocks[p.tip.type].canContain(type)) {
+            this.finalize(p, p.tip, p.lineNumber - 1);
+        }
+        const block = this.node(type, { open: true, content: '', startLine: p.lineNumber });
+        this.appendChild(p.tip, block);
+        p.tip = block;
+        return block;
+    },
+
+    closeUnmatchedBlocks(p) {
+        if (p.allClosed) return;
+        while (p.oldtip !== p.lastMatched) {
+            const parent = p.oldtip.parent;
+            this.finalize(p, p.oldtip, p.lineNumber - 1);
+            p.oldtip = parent;
+        }
+        p.allClosed = true;
+    },
+
+    finalize(p, block, lineNumber) {
+        const parent = block.parent;
+        block.open = false;
+        block.endLine = lineNumber;
+        if (this.blocks[block.type].finalize) this.blocks[block.type].finalize(this, p, block);
+        p.tip = parent;
+    },
+
+    endsWithBlankLine(block) {
+        return block.next && block.endLine !== block.next.startLine - 1;
+    },
+
+    isSpaceOrTab(c) {
+        return c === ' ' || c === '\t';
+    },
+
+    parseListMarker(p, container) {
+        if (p.indent >= 4) return null;
+        const rest = p.line.slice(p.nextNonspace);
+        const data = { ordered: false, bulletChar: null, start: null, delimiter: null, markerOffset: p.indent };
+        let match;
+        if ((match = rest.match(/^[*+-]/))) {
+            data.bulletChar = match[0];
+        } else if ((match = rest.match(/^(\d{1,9})([.)])/)) && (container.type !== 'paragraph' || match[1] === '1')) {
+            data.ordered = true;
+            data.start = parseInt(match[1], 10);
+            data.delimiter = match[2];
+        } else {
+            return null;
+        }
+
+        const after = p.line[p.nextNonspace + match[0].length];
+        if (after !== undefined && !this.isSpaceOrTab(after)) return null;
+        // An empty item cannot interrupt a paragraph
+        if (container.type === 'paragraph' && !/[^ \t]/.test(p.line.slice(p.nextNonspace + match[0].length))) return null;
+
+        this.advanceNextNonspace(p);
+        this.advanceOffset(p, match[0].length, true);
+        const spacesStartColumn = p.column;
+        const spacesStartOffset = p.offset;
+        do {
+            this.advanceOffset(p, 1, true);
+        } while (p.column - spacesStartColumn < 5 && this.isSpaceOrTab(p.line[p.offset]));
+
+        const blankItem = p.offset >= p.line.length;
+        const spaces = p.column - spacesStartColumn;
+        if (spaces >= 5 || spaces < 1 || blankItem) {
+            // Content indented by five or more starts with indented code; use one space
+            data.padding = match[0].length + 1;
+            p.column = spacesStartColumn;
+            p.offset = spacesStartOffset;
+            if (this.isSpaceOrTab(p.line[p.offset])) this.advanceOffset(p, 1, true);
+        } else {
+            data.padding = match[0].length + spaces;
+        }
+        return data;
+    },
+
+    listsMatch(list, data) {
+        return list.ordered === data.ordered &&
+            list.delimiter === data.delimiter &&
+            list.bulletChar === data.bulletChar;
+    },
+
+    // Cells of a table row, splitting on pipes that are not backslash-escaped
+    splitTableRow(line) {
+        let row = line.trim();
+        if (row.startsWith('|')) row = row.slice(1);
+        if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+        const cells = [];
+        let cell = '';
+        for (let i = 0; i < row.length; i++) {
+            if (row[i] === '\\' && row[i + 1] === '|') {
+                cell += '|';
+                i++;
+            } else if (row[i] === '|') {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += row[i];
+            }
+        }
+        cells.push(cell.trim());
+        return cells;
+    },
+
+    // --- Inlines -------------------------------------------------------------------
+
+    processInlines(p, block) {
+        const parse = (node, text) => this.parseInlines(p, node, text);
+        const walk = (node) => {
+            switch (node.type) {
+                case 'paragraph':
+                    // GFM task list item: [ ] or [x] opening the first paragraph of an item
+                    if (node.parent.type === 'item' && node.parent.firstChild === node) {
+                        const task = node.content.match(/^\[([ xX])\](?=[ \t\n])[ \t]*/);
+                        if (task) {
+                            node.parent.task = task[1] === ' ' ? 'unchecked' : 'checked';
+                            node.content = node.content.slice(task[0].length);
+                        }
+                    }
+                    parse(node, node.content.trim());
+                    break;
+                case 'heading':
+                    parse(node, node.content.trim());
+                    break;
+                case 'table':
+                    node.head = node.head.map(text => {
+                        const cell = this.node('table_cell');
+                        parse(cell, text);
+                        return cell;
+                    });
+                    node.rows = node.rows.map(row => node.aligns.map((align, i) => {
+                        const cell = this.node('table_cell');
+                        parse(cell, row[i] || '');
+                        return cell;
+                    }));
+                    break;
+                default:
+                    this.children(node).forEach(walk);
+            }
+        };
+        walk(block);
+    },
+
+    parseInlines(p, block, text) {
+        const s = {
+            subject: text,
+            pos: 0,
+            delimiters: null,
+            brackets: null,
+            refmap: p.refmap,
+            footnotes: p.footnotes,
+            math: p.math,
+            // Where the next valid closing $ is at or after the last search, or -1 for none
+            dollarCloser: null
+        };
+
+        while (s.pos < s.subject.length) {
+            this.parseInline(s, block);
+        }
+        this.processEmphasis(s, null);
+        this.limitDepth(block);
+        this.mergeText(block);
+        this.linkify(block);
+    },
+
+    peek(s) {
+        return s.pos < s.subject.length ? s.subject[s.pos] : null;
+    },
+
+    // Sticky match at the current position, advancing past it
+    match(s, re) {
+        re.lastIndex = s.pos;
+        const m = re.exec(s.subject);
+        if (!m) return null;
+        s.pos = re.lastIndex;
+        return m[0];
+    },
+
+    text(literal) {
+        return this.node('text', { literal });
+    },
+
+    parseInline(s, block) {
+        const c = s.subject[s.pos];
+        switch (c) {
+            case '\n':
+                return this.parseNewline(s, block);
+            case '\\':
+                return this.parseBackslash(s, block);
+            case '`':
+                return this.parseBackticks(s, block);
+            case '*':
+            case '_':
+            case '~':
+                return this.handleDelim(s, block, c);
+            case '[':
+                return this.parseOpenBracket(s, block);
+            case '!':
+                return this.parseBang(s, block);
+            case ']':
+                return this.parseCloseBracket(s, block);
+            case '<':
+                return this.parseAutolink(s, block) || this.parseHtmlTag(s, block) || this.appendText(s, block, '<');
+            case '&':
+                return this.parseEntity(s, block);
+            case '$':
+                return this.parseDollar(s, block);
+            default: {
+                const text = this.match(s, /[^\n`[\]\\!<&*_~$]+/y);
+                this.appendChild(block, this.text(text));
+            }
+        }
+    },
+
+    appendText(s, block, text) {
+        s.pos += text.length;
+        this.appendChild(block, this.text(text));
+        return true;
+    },
+
+    parseNewline(s, block) {
+        s.pos++;
+        const last = block.lastChild;
+        if (last && last.type === 'text' && last.literal.endsWith(' ')) {
+            const hard = last.literal.endsWith('  ');
+            last.literal = last.literal.replace(/ +$/, '');
+            this.appendChild(block, this.node(hard ? 'linebreak' : 'softbreak'));
+        } else {
+            this.appendChild(block, this.node('softbreak'));
+        }
+        this.match(s, / */y);
+        return true;
+    },
+
+    parseBackslash(s, block) {
+        s.pos++;
+        const c = this.peek(s);
+        if (c === '\n') {
+            s.pos++;
+            this.appendChild(block, this.node('linebreak'));
+        } else if (c !== null && this.escapable.test(c)) {
+            s.pos++;
+            this.appendChild(block, this.text(c));
+        } else {
+            this.appendChild(block, this.text('\\'));
+        }
+        return true;
+    },
+
+    parseBackticks(s, block) {
+        const ticks = this.match(s, /`+/y);
+        const afterOpen = s.pos;
+        const closing = /`+/g;
+        closing.lastIndex = afterOpen;
+        let m;
+        while ((m = closing.exec(s.subject))) {
+            if (m[0] === ticks) {
+                let code = s.subject.slice(afterOpen, m.index).replace(/\n/g, ' ');
+                if (/[^ ]/.test(code) && code.startsWith(' ') && code.endsWith(' ')) {
+                    code = code.slice(1, -1);
+                }
+                s.pos = closing.lastIndex;
+                this.appendChild(block, this.node('code', { literal: code }));
+                return true;
+            }
+        }
+        this.appendChild(block, this.text(ticks));
+        return true;
+    },
+
+    // TeX math with pandoc's rules: $$...$$ is display math; $...$ is inline math when the
+    // opening $ is not followed by a space and the closing one is neither preceded by a
+    // space nor followed by a digit, so prices like $5 and $10 stay text
+    parseDollar(s, block) {
+        if (!s.math) return this.appendText(s, block, '$');
+        const start = s.pos;
+
+        if (s.subject.startsWith('$$', start)) {
+            const end = s.subject.indexOf('$$', start + 2);
+            if (end < 0) return this.appendText(s, block, '$$');
+            s.pos = end + 2;
+            this.appendChild(block, this.node('math', { literal: s.subject.slice(start + 2, end), display: true }));
+            return true;
+        }
+
+        if (start + 1 >= s.subject.length || this.whitespace.test(s.subject[start + 1])) {
+            return this.appendText(s, block, '$');
+        }
+        // Whether a $ can close does not depend on the opener, so one search serves every
+        // opener before the closer it finds
+        if (s.dollarCloser === null || (s.dollarCloser >= 0 && s.dollarCloser < start + 2)) {
+            const closer = /(?<![\s\\])\$(?![0-9])/g;
+            closer.lastIndex = start + 2;
+            const m = closer.exec(s.subject);
+            s.dollarCloser = m ? m.index : -1;
+        }
+        if (s.dollarCloser < 0) return this.appendText(s, block, '$');
+        const end = s.dollarCloser;
+        s.pos = end + 1;
+        this.appendChild(block, this.node('math', { literal: s.subject.slice(start + 1, end), display: false }));
+        return true;
+    },
+
+    // Left/right flanking rules deciding whether a delimiter run can open or close emphasis
+    scanDelims(s, c) {
+        const start = s.pos;
+        let count = 0;
+        while (s.subject[start + count] === c) count++;
+
+        let beforeIndex = start - 1;
+        if (beforeIndex > 0 && /[\udc00-\udfff]/.test(s.subject[beforeIndex])) beforeIndex--;
+        const before = start === 0 ? '\n' : String.fromCodePoint(s.subject.codePointAt(beforeIndex));
+        const afterCode = s.subject.codePointAt(start + count);
+        const after = afterCode === undefined ? '\n' : String.fromCodePoint(afterCode);
+
+        const afterSpace = this.whitespace.test(after);
+        const afterPunct = this.punctuation.test(after);
+        const beforeSpace = this.whitespace.test(before);
+        const beforePunct = this.punctuation.test(before);
+        const leftFlanking = !afterSpace && (!afterPunct || beforeSpace || beforePunct);
+        const rightFlanking = !beforeSpace && (!beforePunct || afterSpace || afterPunct);
+
+        if (c === '_') {
+            return {
+                count,
+                canOpen: leftFlanking && (!rightFlanking || beforePunct),
+                canClose: rightFlanking && (!leftFlanking || afterPunct)
+            };
+        }
+        return { count, canOpen: leftFlanking, canClose: rightFlanking };
+    },
+
+    handleDelim(s, block, c) {
+        const { count, canOpen, canClose } = this.scanDelims(s, c);
+        const node = this.text(s.subject.slice(s.pos, s.pos + count));
+        s.pos += count;
+        this.appendChild(block, node);
+
+        // Strikethrough takes one or two tildes; longer runs are plain text
+        if ((canOpen || canClose) && (c !== '~' || count <= 2)) {
+            s.delimiters = {
+                c,
+                count,
+                origCount: count,
+                node,
+                previous: s.delimiters,
+                next: null,
+                canOpen,
+                canClose
+            };
+            if (s.delimiters.previous) s.delimiters.previous.next = s.delimiters;
+        }
+        return true;
+    },
+
+    removeDelimiter(s, delim) {
+        if (delim.previous) delim.previous.next = delim.next;
+        if (delim.next) {
+            delim.next.previous = delim.previous;
+        } else {
+            s.delimiters = delim.previous;
+        }
+    },
+
+    processEmphasis(s, stackBottom) {
+        const openersBottom = {};
+        const bottomKey = (closer) => closer.c === '~'
+            ? '~' + closer.count
+            : closer.c + (closer.canOpen ? 3 : 0) + (closer.origCount % 3);
+
+        let closer = s.delimiters;
+        while (closer && closer.previous !== stackBottom) closer = closer.previous;
+
+        while (closer) {
+            if (!closer.canClose) {
+                closer = closer.next;
+                continue;
+            }
+
+            const key = bottomKey(closer);
+            const bottom = key in openersBottom ? openersBottom[key] : stackBottom;
+            let opener = closer.previous;
+            let found = false;
+            while (opener && opener !== stackBottom && opener !== bottom) {
+                if (opener.c === closer.c && opener.canOpen) {
+                    if (closer.c === '~') {
+                        found = opener.count === closer.count;
+                    } else {
+                        // The "multiple of 3" rule keeps *foo**bar* from pairing the wrong runs
+                        const oddMatch = (closer.canOpen || opener.canClose) && closer.origCount % 3 !== 0 &&
+                            (opener.origCount + closer.origCount) % 3 === 0;
+                        found = !oddMatch;
+                    }
+                    if (found) break;
+                }
+                opener = opener.previous;
+            }
+
+            const oldCloser = closer;
+            if (found) {
+                const used = closer.c === '~' ? closer.count : (closer.count >= 2 && opener.count >= 2 ? 2 : 1);
+                const openerNode = opener.node;
+                const closerNode = closer.node;
+                opener.count -= used;
+                closer.count -= used;
+                openerNode.literal = openerNode.literal.slice(0, openerNode.literal.length - used);
+                closerNode.literal = closerNode.literal.slice(0, closerNode.literal.length - used);
+
+                const type = closer.c === '~' ? 'strikethrough' : used === 1 ? 'emph' : 'strong';
+                const wrapper = this.node(type);
+                let node = openerNode.next;
+                while (node && node !== closerNode) {
+                    const next = node.next;
+                    this.appendChild(wrapper, node);
+                    node = next;
+                }
+                this.insertAfter(openerNode, wrapper);
+
+                // Delimiters between the pair can no longer match anything
+                if (closer.previous !== opener) {
+                    opener.next = closer;
+                    closer.previous = opener;
+                }
+                if (opener.count === 0) {
+                    this.unlink(openerNode);
+                    this.removeDelimiter(s, opener);
+                }
+                if (closer.count === 0) {
+                    this.unlink(closerNode);
+                    const next = closer.next;
+                    this.removeDelimiter(s, closer);
+                    closer = next;
+                }
+            } else {
+                closer = closer.next;
+                openersBottom[key] = oldCloser.previous;
+                if (!oldCloser.canOpen) this.removeDelimiter(s, oldCloser);
+            }
+        }
+
+        while (s.delimiters && s.delimiters !== stackBottom) {
+            this.removeDelimiter(s, s.delimiters);
+        }
+    },
+
+    addBracket(s, node, index, image) {
+        if (s.brackets) s.brackets.bracketAfter = true;
+        s.brackets = {
+            node,
+            previous: s.brackets,
+            previousDelimiter: s.delimiters,
+            index,
+            image,
+            active: true,
+            bracketAfter: false
+        };
+    },
+
+    parseOpenBracket(s, block) {
+        // NIP-54 wikilink: [[target]] or [[target|display text]]
+        const wikilink = /\[\[([^[\]|\n]+)(?:\|([^[\]\n]+))?\]\]/y;
+        wikilink.lastIndex = s.pos;
+        const link = wikilink.exec(s.subject);
+        if (link) {
+            s.pos = wikilink.lastIndex;
+            this.appendChild(block, this.node('wikilink', {
+                target: this.normalizeWikilink(link[1]),
+                display: (link[2] || link[1]).trim()
+            }));
+            return true;
+        }
+
+        const footnote = /\[\^([^\]\s]+)\]/y;
+        footnote.lastIndex = s.pos;
+        const ref = footnote.exec(s.subject);
+        if (ref && s.footnotes[ref[1].toUpperCase()]) {
+            s.pos = footnote.lastIndex;
+            this.appendChild(block, this.node('footnote_ref', { label: ref[1].toUpperCase() }));
+            return true;
+        }
+
+        const node = this.text('[');
+        this.appendChild(block, node);
+        this.addBracket(s, node, s.pos, false);
+        s.pos++;
+        return true;
+    },
+
+    parseBang(s, block) {
+        // ![^label] is a "!" followed by a footnote reference, not an image
+        const footnote = /\[\^([^\]\s]+)\]/y;
+        footnote.lastIndex = s.pos + 1;
+        const ref = footnote.exec(s.subject);
+        if (s.subject[s.pos + 1] === '[' && !(ref && s.footnotes[ref[1].toUpperCase()])) {
+            const node = this.text('![');
+            this.appendChild(block, node);
+            this.addBracket(s, node, s.pos + 1, true);
+            s.pos += 2;
+        } else {
+            this.appendText(s, block, '!');
+        }
+        return true;
+    },
+
+    parseCloseBracket(s, block) {
+        s.pos++;
+        const startPos = s.pos;
+        const opener = s.brackets;
+        if (!opener) {
+            this.appendChild(block, this.text(']'));
+            return true;
+        }
+        if (!opener.active) {
+            this.appendChild(block, this.text(']'));
+            s.brackets = opener.previous;
+            return true;
+        }
+
+        let matched = false;
+        let dest;
+        let title;
+
+        // Inline link: [text](destination "title")
+        if (this.peek(s) === '(') {
+            s.pos++;
+            this.spnl(s);
+            dest = this.parseLinkDestination(s);
+            if (dest !== null) {
+                const beforeTitle = s.pos;
+                this.spnl(s);
+                if (s.pos > beforeTitle && this.whitespace.test(s.subject[s.pos - 1])) {
+                    title = this.parseLinkTitle(s);
+                    if (title === null) s.pos = beforeTitle;
+                }
+                this.spnl(s);
+                if (this.peek(s) === ')') {
+                    s.pos++;
+                    matched = true;
+                }
+            }
+            if (!matched) s.pos = startPos;
+        }
+
+        // Reference link: full [text][label], collapsed [text][] or shortcut [text]
+        if (!matched) {
+            const beforeLabel = s.pos;
+            const length = this.parseLinkLabel(s);
+            let label;
+            if (length > 2) {
+                label = s.subject.slice(beforeLabel, beforeLabel + length);
+            } else if (!opener.bracketAfter) {
+                label = s.subject.slice(opener.index, startPos);
+            }
+            if (length === 0) s.pos = startPos;
+            const ref = label && s.refmap[this.normalizeReference(label)];
+            if (ref) {
+                dest = ref.destination;
+                title = ref.title;
+                matched = true;
+            }
+        }
+
+        if (!matched) {
+            s.brackets = opener.previous;
+            s.pos = startPos;
+            this.appendChild(block, this.text(']'));
+            return true;
+        }
+
+        const link = this.node(opener.image ? 'image' : 'link', { destination: dest, title: title || '' });
+        let node = opener.node.next;
+        while (node) {
+            const next = node.next;
+            this.appendChild(link, node);
+            node = next;
+        }
+        this.appendChild(block, link);
+        this.processEmphasis(s, opener.previousDelimiter);
+        s.brackets = opener.previous;
+        this.unlink(opener.node);
+
+        // Links cannot contain other links, so earlier link openers are now dead
+        if (!opener.image) {
+            for (let b = s.brackets; b; b = b.previous) {
+                if (!b.image) b.active = false;
+            }
+        }
+        return true;
+    },
+
+    spnl(s) {
+        this.match(s, /[ \t]*(?:\n[ \t]*)?/y);
+    },
+
+    parseLinkDestination(s) {
+        const braced = this.match(s, /<(?:[^<>\n\\\x00]|\\.)*>/y);
+        if (braced !== null) {
+            return this.normalizeURI(this.unescapeString(braced.slice(1, -1)));
+        }
+        if (this.peek(s) === '<') return null;
+
+        const start = s.pos;
+        let parens = 0;
+        while (s.pos < s.subject.length) {
+            const c = s.subject[s.pos];
+            if (c === '\\' && this.escapable.test(s.subject[s.pos + 1] || '')) {
+                s.pos += 2;
+            } else if (c === '(') {
+                // Like cmark, bound the nesting so unclosed parentheses cannot make this quadratic
+                if (parens >= 32) break;
+                s.pos++;
+                parens++;
+            } else if (c === ')') {
+                if (parens < 1) break;
+                s.pos++;
+                parens--;
+            } else if (/[\x00-\x20\x7f]/.test(c)) {
+                break;
+            } else {
+                s.pos++;
+            }
+        }
+        if ((s.pos === start && this.peek(s) !== ')') || parens !== 0) {
+            s.pos = start;
+            return null;
+        }
+        return this.normalizeURI(this.unescapeString(s.subject.slice(start, s.pos)));
+    },
+
+    parseLinkTitle(s) {
+        const title = this.match(s, /"(?:\\[\s\S]|[^\\"\x00])*"|'(?:\\[\s\S]|[^\\'\x00])*'|\((?:\\[\s\S]|[^\\()\x00])*\)/y);
+        return title === null ? null : this.unescapeString(title.slice(1, -1));
+    },
+
+    parseLinkLabel(s) {
+        const label = this.match(s, /\[(?:[^\\[\]]|\\[\s\S]){0,999}\]/y);
+        return label === null ? 0 : label.length;
+    },
+
+    // Link reference definition at the start of s; returns the characters consumed
+    parseReference(s, refmap) {
+        const st = { subject: s, pos: 0 };
+        const length = this.parseLinkLabel(st);
+        if (length === 0 || st.subject[st.pos] !== ':') return 0;
+        const label = s.slice(0, length);
+        st.pos++;
+
+        this.spnl(st);
+        const dest = this.parseLinkDestination(st);
+        if (dest === null) return 0;
+
+        const beforeTitle = st.pos;
+        this.spnl(st);
+        let title = null;
+        if (st.pos !== beforeTitle) title = this.parseLinkTitle(st);
+        if (title === null) st.pos = beforeTitle;
+
+        let atLineEnd = this.match(st, /[ \t]*(?:\n|$)/y) !== null;
+        if (!atLineEnd && title !== null) {
+            // The title is followed by junk, but the destination alone may still end the line
+            title = null;
+            st.pos = beforeTitle;
+            atLineEnd = this.match(st, /[ \t]*(?:\n|$)/y) !== null;
+        }
+        if (!atLineEnd) return 0;
+
+        const key = this.normalizeReference(label);
+        if (!key) return 0;
+        if (!refmap[key]) refmap[key] = { destination: dest, title: title || '' };
+        return st.pos;
+    },
+
+    normalizeReference(label) {
+        return label.slice(1, -1).trim().replace(/[ \t\r\n]+/g, ' ').toLowerCase().toUpperCase();
+    },
+
+    parseAutolink(s, block) {
+        const email = this.match(s, /<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/y);
+        if (email) {
+            const address = email.slice(1, -1);
+            const link = this.node('link', { destination: this.normalizeURI('mailto:' + address), title: '' });
+            this.appendChild(link, this.text(address));
+            this.appendChild(block, link);
+            return true;
+        }
+        const uri = this.match(s, /<[A-Za-z][A-Za-z0-9.+-]{1,31}:[^<>\x00-\x20]*>/y);
+        if (uri) {
+            const address = uri.slice(1, -1);
+            const link = this.node('link', { destination: this.normalizeURI(address), title: '' });
+            this.appendChild(link, this.text(address));
+            this.appendChild(block, link);
+            return true;
+        }
+        return false;
+    },
+
+    htmlTag: new RegExp('(?:' + [
+        '<[A-Za-z][A-Za-z0-9-]*(?:\\s+[a-zA-Z_:][a-zA-Z0-9:._-]*(?:\\s*=\\s*(?:[^"\'=<>`\\x00-\\x20]+|\'[^\']*\'|"[^"]*"))?)*\\s*/?>',
+        '</[A-Za-z][A-Za-z0-9-]*\\s*[>]',
+        '<!-->|<!--->|<!--[\\s\\S]*?-->',
+        '[<][?][\\s\\S]*?[?][>]',
+        '<![A-Za-z]+[^>]*>',
+        '<!\\[CDATA\\[[\\s\\S]*?\\]\\]>'
+    ].join('|') + ')', 'y'),
+
+    parseHtmlTag(s, block) {
+        const html = this.match(s, this.htmlTag);
+        if (html === null) return false;
+        this.appendChild(block, this.node('html_inline', { literal: html }));
+        return true;
+    },
+
+    parseEntity(s, block) {
+        const entity = this.match(s, new RegExp(this.entity.source, 'y'));
+        if (entity === null) return this.appendText(s, block, '&');
+        this.appendChild(block, this.text(this.decodeEntity(entity)));
+        return true;
+    },
+
+    decodeEntity(entity) {
+        const numeric = entity.match(/^&#([xX])?([0-9a-fA-F]+);$/);
+        if (numeric) {
+            const code = parseInt(numeric[2], numeric[1] ? 16 : 10);
+            return code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)
+                ? '\uFFFD'
+                : String.fromCodePoint(code);
+        }
+        const name = entity.slice(1, -1);
+        return Object.prototype.hasOwnProperty.call(this.entities, name) ? this.entities[name] : entity;
+    },
+
+    unescapeString(text) {
+        return text.replace(new RegExp('\\\\[!"#$%&\'()*+,./:;<=>?@[\\\\\\]^_`{|}~-]|' + this.entity.source, 'g'),
+            (m) => m[0] === '\\' ? m[1] : this.decodeEntity(m));
+    },
+
+    // Percent-encode what needs it while leaving existing escapes alone
+    normalizeURI(uri) {
+        return uri.split(/(%[0-9a-fA-F]{2})/).map((part, i) => {
+            if (i % 2 === 1) return part;
+            try {
+                return encodeURI(part);
+            } catch (err) {
+                return part;
+            }
+        }).join('');
+    },
+
+    normalizeWikilink(text) {
+        // NIP-54 normalization: lowercase, non-letters/numbers become dashes
+        return text.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    },
+
+    // Emphasis or links nested past maxNesting are flattened into their leaves so the
+    // recursive passes below stay well within the stack
+    limitDepth(block) {
+        const stack = [[block, 0]];
+        while (stack.length) {
+            const [node, depth] = stack.pop();
+            for (let child = node.firstChild; child; child = child.next) {
+                if (!child.firstChild) continue;
+                if (depth + 1 < this.maxNesting) {
+                    stack.push([child, depth + 1]);
+                    continue;
+                }
+                const leaves = [];
+                const pending = [child];
+                while (pending.length) {
+                    const next = pending.pop();
+                    if (next.firstChild) {
+                        pending.push(...this.children(next).reverse());
+                    } else {
+                        leaves.push(next);
+                    }
+                }
+                let at = child;
+                leaves.forEach(leaf => {
+                    this.insertAfter(at, leaf);
+                    at = leaf;
+                });
+                this.unlink(child);
+                child = at;
+            }
+        }
+    },
+
+    mergeText(block) {
+        for (let node = block.firstChild; node; node = node.next) {
+            if (node.type === 'text') {
+                while (node.next && node.next.type === 'text') {
+                    node.literal += node.next.literal;
+                    this.unlink(node.next);
+                }
+            } else if (node.firstChild) {
+                this.mergeText(node);
+            }
+        }
+    },
+
+    // nostr: references and GFM bare URLs become links outside of existing links, and
+    // {cn} marks a claim that needs a source
+    linkify(block) {
+        for (let node = block.firstChild; node; node = node.next) {
+            if (node.type === 'link' || node.type === 'image') continue;
+            if (node.firstChild) {
+                this.linkify(node);
+                continue;
+            }
+            if (node.type !== 'text') continue;
+
+            const pattern = /\{cn\}|nostr:(?:npub|note|nevent|nprofile|naddr)1[a-z0-9]+|(?:https?:\/\/|www\.)[^\s<]+/gi;
+            const parts = [];
+            let last = 0;
+            let m;
+            while ((m = pattern.exec(node.literal))) {
+                const before = node.literal[m.index - 1];
+                let match = m[0];
+                if (match.toLowerCase() === '{cn}') {
+                    if (m.index > last) parts.push(this.text(node.literal.slice(last, m.index)));
+                    parts.push(this.node('citation_needed'));
+                    last = m.index + match.length;
+                    continue;
+                }
+                if (!match.startsWith('nostr:')) {
+                    if (before !== undefined && !/[\s*_~(]/.test(before)) continue;
+                    match = this.trimAutolink(match);
+                    if (!/^(?:https?:\/\/|www\.)[\w-]+(?:\.[\w-]+)*/.test(match) || /^(?:https?:\/\/|www\.)$/.test(match)) continue;
+                    pattern.lastIndex = m.index + match.length;
+                } else if (before !== undefined && /\w/.test(before)) {
+                    continue;
+                }
+
+                if (m.index > last) parts.push(this.text(node.literal.slice(last, m.index)));
+                if (match.startsWith('nostr:')) {
+                    parts.push(this.node('nostr_link', { uri: match }));
+                } else {
+                    const link = this.node('link', {
+                        destination: this.normalizeURI(match.startsWith('www.') ? 'http://' + match : match),
+                        title: ''
+                    });
+                    this.appendChild(link, this.text(match));
+                    parts.push(link);
+                }
+                last = m.index + match.length;
+            }
+            if (parts.length === 0) continue;
+
+            if (last < node.literal.length) parts.push(this.text(node.literal.slice(last)));
+            let at = node;
+            parts.forEach(part => {
+                this.insertAfter(at, part);
+                at = part;
+            });
+            this.unlink(node);
+            node = at;
+        }
+    },
+
+    // GFM extended autolinks drop trailing punctuation, unbalanced ) and entity-like suffixes
+    trimAutolink(url) {
+        let result = url;
+        for (;;) {
+            const before = result;
+            result = result.replace(/[?!.,:*_~'"]+$/, '').replace(/&[a-zA-Z0-9]+;$/, '');
+            if (result.endsWith(')')) {
+                const open = (result.match(/\(/g) || []).length;
+                const close = (result.match(/\)/g) || []).length;
+                if (close > open) result = result.slice(0, -1);
+            }
+            if (result === before) return result;
+        }
+    },
+
+    // --- HTML output -----------------------------------------------------------------
+
+    escapeHtml(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    },
+
+    isSafeURL(url, image) {
+        if (/^(?:javascript|vbscript|file):/i.test(url)) return false;
+        if (/^data:/i.test(url)) return image && /^data:image\/(?:png|gif|jpeg|webp)[;,]/i.test(url);
+        return true;
+    },
+
+    // options.html: pass raw HTML through instead of showing it as text
+    // options.linkTarget: target attribute for absolute http(s) links
+    // options.headingIds: give every heading a slug id
+    // options.toc: with heading ids, the number of top-level headings that earns a table of contents
+    render(doc, options) {
+        const footnotes = { order: [], refs: {} };
+        const slugs = new Map();
+        const toc = [];
+        let tocAt = -1;
+        // endsWith on a long concatenated string copies it, so track the last character
+        let out = '';
+        let lineStart = true;
+        const write = (html) => {
+            if (!html) return;
+            out += html;
+            lineStart = html.endsWith('\n');
+        };
+        const cr = () => {
+            if (!lineStart) write('\n');
+        };
+
+        const inlines = (node) => this.children(node).map(child => this.renderInline(child, options, footnotes)).join('');
+
+        const block = (node) => {
+            switch (node.type) {
+                case 'document':
+                    this.children(node).forEach(block);
+                    break;
+                case 'paragraph': {
+                    const list = node.parent?.parent;
+                    if (node.parent.type === 'item' && list && list.tight) {
+                        write(inlines(node));
+                    } else {
+                        cr();
+                        write(`<p>${inlines(node)}</p>`);
+                        cr();
+                    }
+                    break;
+                }
+                case 'heading': {
+                    let id = '';
+                    cr();
+                    if (options.headingIds) {
+                        const text = this.plainText(node).trim();
+                        const slug = this.uniqueSlug(text, slugs);
+                        id = ` id="${this.escapeHtml(slug)}"`;
+                        // Headings nested in quotes or lists are not part of the outline
+                        if (node.parent.type === 'document' && node.level <= this.tocLevels) {
+                            if (tocAt < 0) tocAt = out.length;
+                            toc.push({ level: node.level, id: slug, text });
+                        }
+                    }
+                    write(`<h${node.level}${id}>${inlines(node)}</h${node.level}>`);
+                    cr();
+                    break;
+                }
+                case 'thematic_break':
+                    cr();
+                    write('<hr>');
+                    cr();
+                    break;
+                case 'math_block':
+                    cr();
+                    write(`<div class="math-display">${this.renderMath(node.literal, true)}</div>`);
+                    cr();
+                    break;
+                case 'code_block': {
+                    const language = node.info ? node.info.split(/\s+/)[0] : '';
+                    cr();
+                    write(`<pre><code${language ? ` class="language-${this.escapeHtml(language)}"` : ''}>` +
+                        `${this.escapeHtml(node.literal)}</code></pre>`);
+                    cr();
+                    break;
+                }
+                case 'html_block':
+                    cr();
+                    write(options.html ? node.literal : `<p>${this.escapeHtml(node.literal)}</p>`);
+                    cr();
+                    break;
+                case 'block_quote':
+                    cr();
+                    write('<blockquote>');
+                    cr();
+                    this.children(node).forEach(block);
+                    cr();
+                    write('</blockquote>');
+                    cr();
+                    break;
+                case 'list': {
+                    const tag = node.ordered ? 'ol' : 'ul';
+                    const start = node.ordered && node.start !== 1 ? ` start="${node.start}"` : '';
+                    const tasks = this.children(node).some(item => item.task) ? ' class="task-list"' : '';
+                    cr();
+                    write(`<${tag}${start}${tasks}>`);
+                    cr();
+                    this.children(node).forEach(block);
+                    cr();
+                    write(`</${tag}>`);
+                    cr();
+                    break;
+                }
+                case 'item':
+                    write(node.task
+                        ? `<li class="task-list-item"><input type="checkbox" disabled${node.task === 'checked' ? ' checked' : ''}> `
+                        : '<li>');
+                    this.children(node).forEach(block);
+                    write('</li>');
+                    cr();
+                    break;
+                case 'table': {
+                    const align = (i) => node.aligns[i] ? ` align="${node.aligns[i]}"` : '';
+                    const row = (cells, tag) =>
+                        '<tr>\n' + cells.map((cell, i) => `<${tag}${align(i)}>${inlines(cell)}</${tag}>\n`).join('') + '</tr>\n';
+                    cr();
+                    write('<table>\n<thead>\n' + row(node.head, 'th') + '</thead>\n');
+                    if (node.rows.length) write('<tbody>\n' + node.rows.map(cells => row(cells, 'td')).join('') + '</tbody>\n');
+                    write('</table>');
+                    cr();
+                    break;
+                }
+                case 'footnote_definition':
+                    // Rendered with the footnote section once we know which are referenced
+                    break;
+            }
+        };
+
+        block(doc);
+
+        // Like an encyclopedia, the contents go after the lead, before the first heading
+        if (options.toc && toc.length >= options.toc) {
+            out = out.slice(0, tocAt) + this.renderToc(toc, 'Contents') + '\n' + out.slice(tocAt);
+        }
+
+        // Footnotes appear in the order they were first referenced
+        let i = 0;
+        while (i < footnotes.order.length) {
+            const label = footnotes.order[i++];
+            const saved = [out, lineStart];
+            out = '';
+            lineStart = true;
+            this.children(doc.footnotes[label]).forEach(block);
+            footnotes.refs[label].html = out;
+            [out, lineStart] = saved;
+        }
+        if (footnotes.order.length) {
+            cr();
+            write('<section class="footnotes">\n<h2 class="footnotes-title">References</h2>\n<ol>\n' + footnotes.order.map((label, n) => {
+                const refs = footnotes.refs[label];
+                const backrefs = Array.from({ length: refs.count }, (_, k) =>
+                    `<a href="#fnref-${n + 1}${k ? '-' + (k + 1) : ''}" class="footnote-backref">\u21a9</a>`).join(' ');
+                const body = refs.html.replace(/\n$/, '');
+                return `<li id="fn-${n + 1}">\n` + (body.endsWith('</p>')
+                    ? body.slice(0, -4) + ` ${backrefs}</p>`
+                    : `${body}\n<p>${backrefs}</p>`) + '\n</li>\n';
+            }).join('') + '</ol>\n</section>\n');
+        }
+        return out;
+    },
+
+    tocLevels: 3,
+
+    citationNeeded: '<sup class="citation-needed" title="This claim needs a reliable source">[citation needed]</sup>',
+
+    // GitHub-style slugs: lowercase, punctuation dropped, each space becomes a dash
+    slugify(text) {
+        return text.toLowerCase().trim().replace(/[^\p{L}\p{N}\s_-]/gu, '').replace(/\s/g, '-') || 'section';
+    },
+
+    // Repeats get -1, -2, ...; used maps each slug to the last suffix tried for it
+    uniqueSlug(text, used) {
+        const base = this.slugify(text);
+        let n = used.get(base) || 0;
+        let slug = base;
+        while (used.has(slug)) slug = `${base}-${++n}`;
+        used.set(base, n);
+        if (!used.has(slug)) used.set(slug, 0);
+        return slug;
+    },
+
+    // Collapsible outline from [{ level, id, text }], nesting deeper levels under shallower ones
+    renderToc(entries, title) {
+        const open = [];
+        let html = '';
+        entries.forEach(entry => {
+            if (!open.length || entry.level > open[open.length - 1]) {
+                html += '<ol>';
+                open.push(entry.level);
+            } else {
+                html += '</li>';
+                while (open.length > 1 && entry.level < open[open.length - 1]) {
+                    html += '</ol></li>';
+                    open.pop();
+                }
+            }
+            html += `<li><a href="#${this.escapeHtml(entry.id)}">${this.escapeHtml(entry.text)}</a>`;
+        });
+        html += '</li></ol>'.repeat(open.length);
+        return `<details class="toc" open><summary>${this.escapeHtml(title)}</summary>${html}</details>`;
+    },
+
+    renderInline(node, options, footnotes) {
+        const inner = () => this.children(node).map(child => this.renderInline(child, options, footnotes)).join('');
+        switch (node.type) {
+            case 'text':
+                return this.escapeHtml(node.literal);
+            case 'softbreak':
+                return '\n';
+            case 'linebreak':
+                return '<br>\n';
+            case 'code':
+                return `<code>${this.escapeHtml(node.literal)}</code>`;
+            case 'math':
+                return this.renderMath(node.literal, node.display);
+            case 'emph':
+                return `<em>${inner()}</em>`;
+            case 'strong':
+                return `<strong>${inner()}</strong>`;
+            case 'strikethrough':
+                return `<del>${inner()}</del>`;
+            case 'html_inline':
+                return options.html ? node.literal : this.escapeHtml(node.literal);
+            case 'link': {
+                const href = this.isSafeURL(node.destination, false) ? this.escapeHtml(node.destination) : '';
+                const title = node.title ? ` title="${this.escapeHtml(node.title)}"` : '';
+                const target = options.linkTarget && /^https?:/i.test(node.destination)
+                    ? ` target="${options.linkTarget}" rel="noopener noreferrer"`
+                    : '';
+                return `<a href="${href}"${title}${target}>${inner()}</a>`;
+            }
+            case 'image': {
+                const src = this.isSafeURL(node.destination, true) ? this.escapeHtml(node.destination) : '';
+                const title = node.title ? ` title="${this.escapeHtml(node.title)}"` : '';
+                return `<img src="${src}" alt="${this.escapeHtml(this.plainText(node))}"${title}>`;
+            }
+            case 'wikilink': {
+                const target = this.escapeHtml(node.target);
+                return `<a href="#/wiki/${encodeURIComponent(node.target)}" class="wikilink" data-target="${target}">` +
+                    `${this.escapeHtml(node.display)}</a>`;
+            }
+            case 'nostr_link': {
+                const entity = node.uri.replace(/^nostr:/i, '');
+                return `<a href="#/nostr/${this.escapeHtml(entity)}" class="nostr-link">${this.escapeHtml(node.uri)}</a>`;
+            }
+            case 'citation_needed':
+                return this.citationNeeded;
+            case 'footnote_ref': {
+                if (!footnotes.refs[node.label]) {
+                    footnotes.order.push(node.label);
+                    footnotes.refs[node.label] = { count: 0 };
+                }
+                const ref = footnotes.refs[node.label];
+                const n = footnotes.order.indexOf(node.label) + 1;
+                ref.count++;
+                const id = `fnref-${n}${ref.count > 1 ? '-' + ref.count : ''}`;
+                return `<sup class="footnote-ref"><a href="#fn-${n}" id="${id}">${n}</a></sup>`;
+            }
+            default:
+                return inner();
+        }
+    },
+
+    // MathML for a TeX formula, or the formula's source when the converter cannot read it
+    renderMath(tex, display) {
+        try {
+            return MathML.render(tex, display);
+        } catch (e) {
+            const source = `<code class="math-source" title="${this.escapeHtml(e.message)}">${this.escapeHtml(tex)}</code>`;
+            return display ? `<pre>${source}</pre>` : source;
+        }
+    },
+
+    // Text content of an inline tree, used for image alt text
+    plainText(node) {
+        return this.children(node).map(child => {
+            if (child.type === 'text' || child.type === 'code' || child.type === 'math') return child.literal;
+            if (child.type === 'softbreak' || child.type === 'linebreak') return '\n';
+            if (child.type === 'wikilink') return child.display;
+            if (child.type === 'nostr_link') return child.uri;
+            return this.plainText(child);
+        }).join('');
+    }
+};
\ No newline at end of file
@@ -0,0 +1,572 @@
+// TeX to MathML for the formulas in articles. Covers the everyday subset of LaTeX math
+// (scripts, fractions, roots, delimiters, fonts, accents, matrices and the usual symbols)
+// and throws on anything else, so the renderers can show the source instead.
+const MathML = {
+    namespace: 'http://www.w3.org/1998/Math/MathML',
+
+    // Deeper nesting is rejected rather than risking the stack
+    maxNesting: 100,
+
+    // Letters and symbols set as identifiers
+    identifiers: {
+        alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+        theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', varkappa: 'ϰ', lambda: 'λ', mu: 'μ', nu: 'ν',
+        xi: 'ξ', omicron: 'ο', pi: 'π', varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς',
+        tau: 'τ', upsilon: 'υ', phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω', digamma: 'ϝ',
+        Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ',
+        Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+        infty: '∞', partial: '∂', nabla: '∇', hbar: 'ℏ', hslash: 'ℏ', ell: 'ℓ', wp: '℘', Re: 'ℜ', Im: 'ℑ',
+        aleph: 'ℵ', beth: 'ℶ', gimel: 'ℷ', emptyset: '∅', varnothing: '∅', imath: 'ı', jmath: 'ȷ',
+        top: '⊤', bot: '⊥', Box: '□', triangle: '△', angle: '∠', complement: '∁', mho: '℧',
+        flat: '♭', natural: '♮', sharp: '♯', clubsuit: '♣', diamondsuit: '♢', heartsuit: '♡', spadesuit: '♠'
+    },
+
+    // Binary operators, relations, arrows and punctuation
+    operators: {
+        pm: '±', mp: '∓', times: '×', div: '÷', cdot: '⋅', ast: '∗', star: '⋆', circ: '∘', bullet: '∙',
+        oplus: '⊕', ominus: '⊖', otimes: '⊗', oslash: '⊘', odot: '⊙', dagger: '†', ddagger: '‡', amalg: '⨿',
+        cap: '∩', cup: '∪', sqcap: '⊓', sqcup: '⊔', uplus: '⊎', setminus: '∖', smallsetminus: '∖',
+        wedge: '∧', land: '∧', vee: '∨', lor: '∨', neg: '¬', lnot: '¬', diamond: '⋄', wr: '≀',
+        triangleleft: '◁', triangleright: '▷',
+        leq: '≤', le: '≤', geq: '≥', ge: '≥', leqslant: '⩽', geqslant: '⩾', neq: '≠', ne: '≠', ll: '≪', gg: '≫',
+        lesssim: '≲', gtrsim: '≳', approx: '≈', approxeq: '≊', equiv: '≡', sim: '∼', simeq: '≃', cong: '≅',
+        asymp: '≍', doteq: '≐', propto: '∝', prec: '≺', succ: '≻', preceq: '⪯', succeq: '⪰',
+        subset: '⊂', supset: '⊃', subseteq: '⊆', supseteq: '⊇', subsetneq: '⊊', supsetneq: '⊋',
+        sqsubseteq: '⊑', sqsupseteq: '⊒', in: '∈', notin: '∉', ni: '∋', owns: '∋', perp: '⊥', parallel: '∥',
+        mid: '∣', nmid: '∤', vdash: '⊢', dashv: '⊣', models: '⊨',
+        to: '→', rightarrow: '→', leftarrow: '←', gets: '←', leftrightarrow: '↔',
+        Rightarrow: '⇒', Leftarrow: '⇐', Leftrightarrow: '⇔', longrightarrow: '⟶', longleftarrow: '⟵',
+        longleftrightarrow: '⟷', Longrightarrow: '⟹', Longleftarrow: '⟸', Longleftrightarrow: '⟺',
+        implies: '⟹', impliedby: '⟸', iff: '⟺', mapsto: '↦', longmapsto: '⟼', hookrightarrow: '↪',
+        hookleftarrow: '↩', nearrow: '↗', searrow: '↘', swarrow: '↙', nwarrow: '↖', rightleftharpoons: '⇌',
+        rightharpoonup: '⇀', leftharpoonup: '↼',
+        forall: '∀', exists: '∃', nexists: '∄', therefore: '∴', because: '∵',
+        ldots: '…', dots: '…', cdots: '⋯', vdots: '⋮', ddots: '⋱', prime: '′', colon: ':',
+        '#': '#', '$': '$', '%': '%', '&': '&', '_': '_'
+    },
+
+    // Delimiters, usable on their own or after \left, \right and \big
+    delimiters: {
+        '(': '(', ')': ')', '[': '[', ']': ']', '|': '|', '/': '/', '<': '⟨', '>': '⟩', '.': '',
+        '\\{': '{', '\\}': '}', '\\|': '‖', '\\lbrace': '{', '\\rbrace': '}', '\\lbrack': '[', '\\rbrack': ']',
+        '\\langle': '⟨', '\\rangle': '⟩', '\\lceil': '⌈', '\\rceil': '⌉', '\\lfloor': '⌊', '\\rfloor': '⌋',
+        '\\vert': '|', '\\Vert': '‖', '\\lvert': '|', '\\rvert': '|', '\\lVert': '‖', '\\rVert': '‖',
+        '\\backslash': '\\', '\\uparrow': '↑', '\\downarrow': '↓', '\\updownarrow': '↕',
+        '\\Uparrow': '⇑', '\\Downarrow': '⇓'
+    },
+
+    // Operators a plain character would otherwise stretch
+    fenceCharacters: '()[]{}|‖⟨⟩⌈⌉⌊⌋',
+
+    // Characters TeX sets differently from how they are typed
+    characters: { '-': '−', '*': '∗' },
+
+    // Sums and the like put their limits above and below in display style
+    largeOperators: {
+        sum: '∑', prod: '∏', coprod: '∐', bigcup: '⋃', bigcap: '⋂', bigsqcup: '⨆', bigvee: '⋁',
+        bigwedge: '⋀', bigoplus: '⨁', bigotimes: '⨂', bigodot: '⨀', biguplus: '⨄'
+    },
+
+    integrals: { int: '∫', iint: '∬', iiint: '∭', oint: '∮' },
+
+    functions: ['arccos', 'arcsin', 'arctan', 'arg', 'cos', 'cosh', 'cot', 'coth', 'csc', 'deg', 'dim',
+        'exp', 'hom', 'ker', 'lg', 'ln', 'log', 'sec', 'sin', 'sinh', 'tan', 'tanh'],
+
+    limitFunctions: ['det', 'gcd', 'inf', 'lim', 'liminf', 'limsup', 'max', 'min', 'Pr', 'sup'],
+
+    // [mark, stretches with the base]
+    accents: {
+        hat: ['^', false], widehat: ['^', true], check: ['ˇ', false], widecheck: ['ˇ', true],
+        tilde: ['~', false], widetilde: ['~', true], acute: ['´', false], grave: ['`', false],
+        dot: ['˙', false], ddot: ['¨', false], breve: ['˘', false], mathring: ['˚', false],
+        bar: ['¯', false], overline: ['‾', true], vec: ['→', false], overrightarrow: ['→', true],
+        overleftarrow: ['←', true], overleftrightarrow: ['↔', true]
+    },
+
+    spaces: {
+        ',': '0.1667em', thinspace: '0.1667em', ':': '0.2222em', '>': '0.2222em', medspace: '0.2222em',
+        ';': '0.2778em', thickspace: '0.2778em', '!': '-0.1667em', negthinspace: '-0.1667em',
+        ' ': '0.3333em', enspace: '0.5em', quad: '1em', qquad: '2em'
+    },
+
+    // \big and friends, with l, r and m variants
+    sizes: { big: '1.2em', Big: '1.623em', bigg: '2.047em', Bigg: '2.470em' },
+
+    styles: {
+        displaystyle: ' displaystyle="true" scriptlevel="0"',
+        textstyle: ' displaystyle="false" scriptlevel="0"',
+        scriptstyle: ' displaystyle="false" scriptlevel="1"',
+        scriptscriptstyle: ' displaystyle="false" scriptlevel="2"'
+    },
+
+    fonts: {
+        mathrm: 'normal', mathup: 'normal', mathit: 'italic', mathbf: 'bold', boldsymbol: 'bold-italic',
+        bm: 'bold-italic', mathbb: 'double-struck', mathcal: 'script', mathscr: 'script',
+        mathfrak: 'fraktur', mathsf: 'sans-serif', mathtt: 'monospace'
+    },
+
+    texts: {
+        text: null, textrm: null, textup: null, textnormal: null, mbox: null,
+        textit: 'italic', textbf: 'bold', textsf: 'sans-serif', texttt: 'monospace'
+    },
+
+    // Commands that stand for characters inside \text
+    textEscapes: {
+        '{': '{', '}': '}', '#': '#', '$': '$', '%': '%', '&': '&', '_': '_', ' ': ' ', ',': ' ', ';': ' ',
+        quad: '  ', qquad: '    ', textbackslash: '\\'
+    },
+
+    // First code points of the styled A, a and 0 in Mathematical Alphanumeric Symbols
+    alphabets: {
+        italic: [0x1D434, 0x1D44E, null],
+        bold: [0x1D400, 0x1D41A, 0x1D7CE],
+        'bold-italic': [0x1D468, 0x1D482, null],
+        script: [0x1D49C, 0x1D4B6, null],
+        fraktur: [0x1D504, 0x1D51E, null],
+        'double-struck': [0x1D538, 0x1D552, 0x1D7D8],
+        'sans-serif': [0x1D5A0, 0x1D5BA, 0x1D7E2],
+        monospace: [0x1D670, 0x1D68A, 0x1D7F6]
+    },
+
+    // Letters that were encoded earlier, in Letterlike Symbols, and are holes in the block
+    letterlike: {
+        italic: { h: 'ℎ' },
+        script: { B: 'ℬ', E: 'ℰ', F: 'ℱ', H: 'ℋ', I: 'ℐ', L: 'ℒ', M: 'ℳ', R: 'ℛ', e: 'ℯ', g: 'ℊ', o: 'ℴ' },
+        fraktur: { C: 'ℭ', H: 'ℌ', I: 'ℑ', R: 'ℜ', Z: 'ℨ' },
+        'double-struck': { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' }
+    },
+
+    // Tables: fences around them and attributes for the mtable
+    environments: {
+        matrix: {},
+        smallmatrix: {},
+        pmatrix: { open: '(', close: ')' },
+        bmatrix: { open: '[', close: ']' },
+        Bmatrix: { open: '{', close: '}' },
+        vmatrix: { open: '|', close: '|' },
+        Vmatrix: { open: '‖', close: '‖' },
+        cases: { open: '{', attributes: ' columnalign="left left" columnspacing="1em"' },
+        array: {},
+        aligned: { attributes: ' columnalign="right left right left right left" columnspacing="0em 2em 0em 2em 0em" displaystyle="true"' },
+        align: { attributes: ' columnalign="right left right left right left" columnspacing="0em 2em 0em 2em 0em" displaystyle="true"' },
+        'align*': { attributes: ' columnalign="right left right left right left" columnspacing="0em 2em 0em 2em 0em" displaystyle="true"' },
+        split: { attributes: ' columnalign="right left" columnspacing="0em" displaystyle="true"' },
+        gathered: { attributes: ' displaystyle="true"' },
+        gather: { attributes: ' displaystyle="true"' },
+        'gather*': { attributes: ' displaystyle="true"' },
+        equation: { single: true },
+        'equation*': { single: true }
+    },
+
+    // Tokens that end an expression; whoever started it decides whether they belong there
+    ends: ['}', '&', '\\\\', '\\end', '\\right', '\\middle'],
+
+    render(tex, display = false) {
+        const p = { tokens: this.tokenize(tex), pos: 0, depth: 0, variant: null };
+        const rows = [this.row(this.parseExpression(p))];
+        // Line breaks outside an environment stack the lines, as in gather
+        while (this.peek(p) === '\\\\') {
+            p.pos++;
+            rows.push(this.row(this.parseExpression(p)));
+        }
+        if (this.peek(p) !== undefined) throw new Error(`Unexpected ${this.peek(p)}`);
+
+        const body = rows.length > 1
+            ? `<mtable displaystyle="true">${rows.map(row => `<mtr><mtd>${row}</mtd></mtr>`).join('')}</mtable>`
+            : rows[0];
+        return `<math xmlns="${this.namespace}"${display ? ' display="block"' : ''}><semantics>${body}` +
+            `<annotation encoding="application/x-tex">${this.escapeHtml(tex.trim())}</annotation></semantics></math>`;
+    },
+
+    // Control words, control symbols, single characters and runs of whitespace; comments go
+    tokenize(tex) {
+        const tokens = [];
+        const re = /\\(?:[A-Za-z]+|[^A-Za-z])|%[^\n]*|\s+|[\s\S]/gu;
+        let m;
+        while ((m = re.exec(tex))) {
+            if (m[0][0] === '%') continue;
+            tokens.push(/^\s/.test(m[0]) ? ' ' : m[0]);
+        }
+        return tokens;
+    },
+
+    // Next token, skipping spaces, which math mode ignores
+    peek(p) {
+        while (p.tokens[p.pos] === ' ') p.pos++;
+        return p.tokens[p.pos];
+    },
+
+    next(p) {
+        const token = this.peek(p);
+        p.pos++;
+        return token;
+    },
+
+    expect(p, token) {
+        const found = this.next(p);
+        if (found !== token) throw new Error(found === undefined ? `Missing ${token}` : `Expected ${token} before ${found}`);
+    },
+
+    lookup(table, name) {
+        return Object.prototype.hasOwnProperty.call(table, name) ? table[name] : undefined;
+    },
+
+    // Atoms up to the end of the formula or the group: [{ html, limits }], where limits
+    // is set on operators that take scripts above and below
+    parseExpression(p) {
+        if (++p.depth > this.maxNesting) throw new Error('Formula is nested too deeply');
+        const items = [];
+        let token;
+        while ((token = this.peek(p)) !== undefined && !this.ends.includes(token)) {
+            const style = this.lookup(this.styles, token.slice(1));
+            if (token[0] === '\\' && style) {
+                // A style switch applies to the rest of the group
+                p.pos++;
+                items.push({ html: `<mstyle${style}>${this.row(this.parseExpression(p))}</mstyle>` });
+                break;
+            }
+            if (token === '\\hline' || token === '\\hdashline') {
+                p.pos++;
+                continue;
+            }
+            const base = token === '^' || token === '_' || token === "'" ? { html: '<mrow></mrow>' } : this.parseAtom(p);
+            items.push(this.parseScripts(p, base));
+        }
+        p.depth--;
+        return items;
+    },
+
+    row(items) {
+        return items.length === 1 ? items[0].html : `<mrow>${items.map(item => item.html).join('')}</mrow>`;
+    },
+
+    parseAtom(p, single = false) {
+        if (++p.depth > this.maxNesting) throw new Error('Formula is nested too deeply');
+        const atom = this.parseToken(p, this.next(p), single);
+        p.depth--;
+        return atom;
+    },
+
+    // single keeps a run of digits from being read as one number, as in x^23
+    parseToken(p, token, single) {
+        if (token === undefined) throw new Error('Unexpected end of formula');
+        if (token === '{') {
+            const items = this.parseExpression(p);
+            this.expect(p, '}');
+            return { html: this.row(items) };
+        }
+        if (this.ends.includes(token) || token === '^' || token === '_') throw new Error(`Unexpected ${token}`);
+        if (token[0] === '\\' && token.length > 1) return this.parseCommand(p, token.slice(1));
+
+        if (/^[0-9]$/.test(token)) {
+            let number = this.styled(token, p.variant);
+            while (!single && (/^[0-9]$/.test(p.tokens[p.pos]) ||
+                (p.tokens[p.pos] === '.' && /^[0-9]$/.test(p.tokens[p.pos + 1])))) {
+                number += this.styled(p.tokens[p.pos++], p.variant);
+            }
+            return { html: `<mn>${number}</mn>` };
+        }
+        if (/^\p{L}$/u.test(token)) return { html: this.identifier(token, p.variant) };
+        if (token === '~') return { html: `<mspace width="${this.spaces[' ']}"></mspace>` };
+        const character = this.lookup(this.characters, token) || token;
+        if (/^[\p{P}\p{S}]$/u.test(character) && !'#$%&\\'.includes(character)) {
+            return { html: this.operator(character) };
+        }
+        throw new Error(`Unexpected ${token}`);
+    },
+
+    parseCommand(p, name) {
+        let value;
+        if ((value = this.lookup(this.identifiers, name))) return { html: this.identifier(value, p.variant) };
+        if ((value = this.lookup(this.operators, name))) return { html: this.operator(value) };
+        if ((value = this.lookup(this.delimiters, '\\' + name)) !== undefined) return { html: this.operator(value) };
+        if ((value = this.lookup(this.largeOperators, name))) {
+            return { html: `<mo movablelimits="true">${value}</mo>`, limits: true };
+        }
+        if ((value = this.lookup(this.integrals, name))) return { html: `<mo>${value}</mo>`, limits: false };
+        if (this.functions.includes(name)) return { html: `<mi>${name}</mi>` };
+        if (this.limitFunctions.includes(name)) {
+            const text = name.replace(/^lim(?=inf|sup)/, 'lim ');
+            return { html: `<mo movablelimits="true" form="prefix" lspace="0em" rspace="0.1667em">${text}</mo>`, limits: true };
+        }
+        if ((value = this.lookup(this.spaces, name))) return { html: `<mspace width="${value}"></mspace>` };
+
+        if ((value = this.lookup(this.fonts, name))) {
+            const saved = p.variant;
+            p.variant = value;
+            const html = this.parseArgument(p);
+            p.variant = saved;
+            return { html };
+        }
+        if ((value = this.lookup(this.texts, name)) !== undefined) {
+            const text = [...this.readText(p)].map(c => this.styled(c, value)).join('');
+            return { html: `<mtext>${this.escapeHtml(text.replace(/ /g, '\u00a0'))}</mtext>` };
+        }
+        if ((value = this.lookup(this.accents, name))) {
+            const [mark, stretchy] = value;
+            return { html: `<mover accent="true">${this.parseArgument(p)}<mo stretchy="${stretchy}">${mark}</mo></mover>` };
+        }
+        if ((value = this.lookup(this.sizes, name.replace(/[lrm]$/, '')))) {
+            const delimiter = this.parseDelimiter(p);
+            return { html: `<mo fence="true" stretchy="true" minsize="${value}" maxsize="${value}">${this.escapeHtml(delimiter)}</mo>` };
+        }
+
+        switch (name) {
+            case 'frac':
+            case 'dfrac':
+            case 'tfrac':
+            case 'cfrac': {
+                const html = `<mfrac>${this.parseArgument(p)}${this.parseArgument(p)}</mfrac>`;
+                if (name === 'frac') return { html };
+                return { html: `<mstyle${this.styles[name === 'tfrac' ? 'textstyle' : 'displaystyle']}>${html}</mstyle>` };
+            }
+            case 'binom':
+            case 'dbinom':
+            case 'tbinom': {
+                const html = `<mrow>${this.fence('(', 'prefix')}<mfrac linethickness="0">${this.parseArgument(p)}` +
+                    `${this.parseArgument(p)}</mfrac>${this.fence(')', 'postfix')}</mrow>`;
+                if (name === 'binom') return { html };
+                return { html: `<mstyle${this.styles[name === 'tbinom' ? 'textstyle' : 'displaystyle']}>${html}</mstyle>` };
+            }
+            case 'sqrt': {
+                const index = this.parseOptional(p);
+                const radicand = this.parseArgument(p);
+                return { html: index === null ? `<msqrt>${radicand}</msqrt>` : `<mroot>${radicand}${index}</mroot>` };
+            }
+            case 'overset':
+            case 'stackrel': {
+                const over = this.parseArgument(p);
+                return { html: `<mover>${this.parseArgument(p)}${over}</mover>` };
+            }
+            case 'underset': {
+                const under = this.parseArgument(p);
+                return { html: `<munder>${this.parseArgument(p)}${under}</munder>` };
+            }
+            case 'underline':
+                return { html: `<munder accentunder="true">${this.parseArgument(p)}<mo stretchy="true">_</mo></munder>` };
+            case 'overbrace':
+                return { html: `<mover>${this.parseArgument(p)}<mo stretchy="true">⏞</mo></mover>`, limits: true };
+            case 'underbrace':
+                return { html: `<munder>${this.parseArgument(p)}<mo stretchy="true">⏟</mo></munder>`, limits: true };
+            case 'operatorname': {
+                const text = this.readText(p);
+                const normal = [...text].length === 1 ? ' mathvariant="normal"' : '';
+                return { html: `<mi${normal}>${this.escapeHtml(text)}</mi>` };
+            }
+            case 'not': {
+                // A slash through the relation that follows; NFC turns =, ∈, < and the like
+                // into their negated characters
+                const match = this.parseAtom(p).html.match(/^<mo( [^>]*)?>([^<]+)<\/mo>$/);
+                if (!match) throw new Error('\\not must come before a relation');
+                return { html: `<mo${match[1] || ''}>${(match[2] + '\u0338').normalize('NFC')}</mo>` };
+            }
+            case 'bmod':
+                return { html: '<mo lspace="0.2222em" rspace="0.2222em">mod</mo>' };
+            case 'pmod':
+                return {
+                    html: `<mrow><mspace width="1em"></mspace>${this.operator('(')}<mo rspace="0.3333em">mod</mo>` +
+                        `${this.parseArgument(p)}${this.operator(')')}</mrow>`
+                };
+            case 'left':
+                return { html: this.parseLeftRight(p) };
+            case 'begin': {
+                const environment = this.readText(p);
+                const options = this.lookup(this.environments, environment);
+                if (!options) throw new Error(`Unknown environment ${environment}`);
+                return { html: this.parseEnvironment(p, environment, options) };
+            }
+        }
+        throw new Error(`Unknown command \\${name}`);
+    },
+
+    // Superscripts, subscripts and primes following an atom
+    parseScripts(p, base) {
+        let sub = null;
+        let sup = null;
+        let primes = '';
+        for (;;) {
+            const token = this.peek(p);
+            if (token === "'") {
+                p.pos++;
+                primes += '′';
+            } else if (token === '^' || token === '_') {
+                p.pos++;
+                if ((token === '^' ? sup : sub) !== null) {
+                    throw new Error(`Double ${token === '^' ? 'superscript' : 'subscript'}`);
+                }
+                const script = this.parseArgument(p);
+                if (token === '^') sup = script;
+                else sub = script;
+            } else if ((token === '\\limits' || token === '\\nolimits') && base.limits !== undefined) {
+                p.pos++;
+                const limits = token === '\\limits';
+                base = { html: limits ? base.html.replace(' movablelimits="true"', ' movablelimits="false"') : base.html, limits };
+            } else {
+                break;
+            }
+        }
+
+        if (primes) sup = sup === null ? `<mo>${primes}</mo>` : `<mrow><mo>${primes}</mo>${sup}</mrow>`;
+        if (sub === null && sup === null) return base;
+        const [under, over, both] = base.limits ? ['munder', 'mover', 'munderover'] : ['msub', 'msup', 'msubsup'];
+        if (sup === null) return { html: `<${under}>${base.html}${sub}</${under}>` };
+        if (sub === null) return { html: `<${over}>${base.html}${sup}</${over}>` };
+        return { html: `<${both}>${base.html}${sub}${sup}</${both}>` };
+    },
+
+    // A command or script argument: a {group} or a single token
+    parseArgument(p) {
+        const token = this.peek(p);
+        if (token === undefined || token === '^' || token === '_' || this.ends.includes(token)) {
+            throw new Error('Missing argument');
+        }
+        return this.parseAtom(p, true).html;
+    },
+
+    // [optional argument], parsed on its own so its closing bracket is not an operator
+    parseOptional(p) {
+        if (this.peek(p) !== '[') return null;
+        const start = ++p.pos;
+        let depth = 0;
+        while (p.tokens[p.pos] !== undefined && (p.tokens[p.pos] !== ']' || depth > 0)) {
+            if (p.tokens[p.pos] === '{') depth++;
+            if (p.tokens[p.pos] === '}') depth--;
+            p.pos++;
+        }
+        if (p.tokens[p.pos] === undefined) throw new Error('Missing ]');
+        const inner = { tokens: p.tokens.slice(start, p.pos++), pos: 0, depth: p.depth, variant: p.variant };
+        const items = this.parseExpression(inner);
+        if (this.peek(inner) !== undefined) throw new Error(`Unexpected ${this.peek(inner)}`);
+        return this.row(items);
+    },
+
+    parseDelimiter(p) {
+        const token = this.next(p);
+        const delimiter = token === undefined ? undefined : this.lookup(this.delimiters, token);
+        if (delimiter === undefined) throw new Error(`Missing delimiter${token ? ' before ' + token : ''}`);
+        return delimiter;
+    },
+
+    // \left( ... \middle| ... \right)
+    parseLeftRight(p) {
+        let html = this.fence(this.parseDelimiter(p), 'prefix');
+        for (;;) {
+            html += this.parseExpression(p).map(item => item.html).join('');
+            const token = this.next(p);
+            if (token === '\\middle') {
+                html += this.fence(this.parseDelimiter(p), 'infix');
+            } else if (token === '\\right') {
+                html += this.fence(this.parseDelimiter(p), 'postfix');
+                return `<mrow>${html}</mrow>`;
+            } else {
+                throw new Error('Missing \\right');
+            }
+        }
+    },
+
+    // Cells separated by & and rows by \\, up to the matching \end
+    parseEnvironment(p, name, options) {
+        if (options.single) {
+            const items = this.parseExpression(p);
+            this.parseEnd(p, name);
+            return this.row(items);
+        }
+
+        let attributes = options.attributes || '';
+        if (name === 'array') {
+            const align = { l: 'left', c: 'center', r: 'right' };
+            const columns = [...this.readText(p)].filter(c => align[c]).map(c => align[c]);
+            if (columns.length) attributes = ` columnalign="${columns.join(' ')}"`;
+        }
+
+        const rows = [[]];
+        for (;;) {
+            rows[rows.length - 1].push(this.row(this.parseExpression(p)));
+            const token = this.peek(p);
+            if (token === '&') {
+                p.pos++;
+            } else if (token === '\\\\') {
+                p.pos++;
+                rows.push([]);
+            } else {
+                this.parseEnd(p, name);
+                break;
+            }
+        }
+        // A \\ after the last row does not start another
+        const last = rows[rows.length - 1];
+        if (rows.length > 1 && last.length === 1 && last[0] === '<mrow></mrow>') rows.pop();
+
+        const table = `<mtable${attributes}>` +
+            rows.map(cells => `<mtr>${cells.map(cell => `<mtd>${cell}</mtd>`).join('')}</mtr>`).join('') + '</mtable>';
+        if (!options.open) return table;
+        return `<mrow>${this.fence(options.open, 'prefix')}${table}${this.fence(options.close || '', 'postfix')}</mrow>`;
+    },
+
+    parseEnd(p, name) {
+        if (this.peek(p) !== '\\end') throw new Error(`Missing \\end{${name}}`);
+        p.pos++;
+        const end = this.readText(p);
+        if (end !== name) throw new Error(`\\begin{${name}} ended by \\end{${end}}`);
+    },
+
+    // Raw text of a {...} argument, for \text, \operatorname and environment names
+    readText(p) {
+        this.expect(p, '{');
+        let text = '';
+        let depth = 0;
+        for (;;) {
+            const token = p.tokens[p.pos++];
+            if (token === undefined) throw new Error('Missing }');
+            if (token === '}' && depth === 0) return text;
+            if (token === '{' || token === '}') {
+                depth += token === '{' ? 1 : -1;
+            } else if (token[0] === '\\' && token.length > 1) {
+                const value = this.lookup(this.textEscapes, token.slice(1));
+                if (value === undefined) throw new Error(`Unsupported ${token} in text`);
+                text += value;
+            } else {
+                text += token;
+            }
+        }
+    },
+
+    identifier(ch, variant) {
+        // Upright capital Greek, as TeX sets it
+        if (variant === 'normal' || (!variant && /^[Α-Ω]$/.test(ch))) {
+            return `<mi mathvariant="normal">${this.escapeHtml(ch)}</mi>`;
+        }
+        return `<mi>${this.escapeHtml(this.styled(ch, variant))}</mi>`;
+    },
+
+    operator(ch) {
+        const stretchy = this.fenceCharacters.includes(ch) ? ' stretchy="false"' : '';
+        return `<mo${stretchy}>${this.escapeHtml(ch)}</mo>`;
+    },
+
+    fence(ch, form) {
+        if (!ch) return '';
+        return `<mo fence="true" stretchy="true" form="${form}">${this.escapeHtml(ch)}</mo>`;
+    },
+
+    // A Latin letter or digit in the given alphabet; anything else is left alone
+    styled(ch, variant) {
+        const alphabet = this.alphabets[variant];
+        if (!alphabet) return ch;
+        const special = this.letterlike[variant]?.[ch];
+        if (special) return special;
+        const code = ch.charCodeAt(0);
+        if (ch >= 'A' && ch <= 'Z') return String.fromCodePoint(alphabet[0] + code - 65);
+        if (ch >= 'a' && ch <= 'z') return String.fromCodePoint(alphabet[1] + code - 97);
+        if (ch >= '0' && ch <= '9' && alphabet[2]) return String.fromCodePoint(alphabet[2] + code - 48);
+        return ch;
+    },
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+};
\ No newline at end of file
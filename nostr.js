@@ -2,68 +2,263 @@
 const Nostr = {
     relays: {},
     subscriptions: {},
-    eventHandlers: [],
+    // Verified (id, sig) pairs in least recently used order, capped at maxVerifiedIds
+    verifiedIds: new Map(),
+    maxVerifiedIds: 10000,
+    invalidEvents: {},
+    pendingOks: {},
+    publishTimeout: 10000,
+    eoseTimeout: 8000,
+    messageQueues: {},
+    relayStates: {},
+    // Optional cache that receives every verified event (see store.js)
+    eventStore: null,
+    // Optional callback run with the url whenever a pool relay (re)connects
+    onRelayOpen: null,
+    connectTimeout: 5000,
+    reconnectBaseDelay: 1000,
+    reconnectMaxDelay: 60000,
+    maxReconnectAttempts: 8,
 
-    async connect(relayUrls) {
-        const promises = relayUrls.map(url => this.connectRelay(url));
+    async connect(relayUrls, options = {}) {
+        const promises = relayUrls.map(url => this.connectRelay(url, options));
         await Promise.allSettled(promises);
     },
 
-    async connectRelay(url) {
-        return new Promise((resolve, reject) => {
+    // Relays join the pool that general subscriptions and publishes go to, unless
+    // options.pool is false: then they serve only what is explicitly aimed at them
+    // (a remote signer, a one-off lookup) and are not reconnected when they drop
+    async connectRelay(url, options = {}) {
+        const state = this.getRelayState(url);
+        if (options.pool !== false && !state.wanted) {
+            state.wanted = true;
             if (this.relays[url]?.readyState === WebSocket.OPEN) {
-                resolve(this.relays[url]);
-                return;
+                this.resubscribe(url);
             }
+        }
+        if (this.relays[url]?.readyState === WebSocket.OPEN) {
+            return this.relays[url];
+        }
+
+        if (state.status === 'connecting' && state.promise) {
+            return state.promise;
+        }
+
+        clearTimeout(state.retryTimer);
+        state.retryTimer = null;
+        if (state.status === 'failed') {
+            // An explicit connect after giving up starts a fresh backoff cycle
+            state.attempts = 0;
+        }
+        state.status = 'connecting';
+        state.promise = this.openSocket(url, state);
+        return state.promise;
+    },
 
+    openSocket(url, state) {
+        return new Promise((resolve, reject) => {
             const ws = new WebSocket(url);
+            state.socket = ws;
+
+            const timeout = setTimeout(() => {
+                reject(new Error('Connection timeout'));
+                ws.close();
+            }, this.connectTimeout);
             
             ws.onopen = () => {
+                clearTimeout(timeout);
+                if (state.socket !== ws) {
+                    // Replaced or removed while it was still connecting
+                    ws.close();
+                    reject(new Error('Connection superseded'));
+                    return;
+                }
+
                 console.log('Connected to', url);
                 this.relays[url] = ws;
+                state.status = 'open';
+                state.attempts = 0;
+                state.lastError = null;
+                state.promise = null;
+                this.resubscribe(url, state.disconnectedAt);
+                if (this.onRelayOpen && state.wanted) {
+                    this.onRelayOpen(url);
+                }
                 resolve(ws);
             };
 
             ws.onmessage = (event) => {
+                let data;
                 try {
-                    const data = JSON.parse(event.data);
-                    this.handleMessage(url, data);
+                    data = JSON.parse(event.data);
                 } catch (err) {
                     console.error('Failed to parse message:', err);
+                    return;
                 }
+                // Handle messages from one relay in order, so an EOSE is never
+                // processed before the events that preceded it finish verifying
+                this.messageQueues[url] = (this.messageQueues[url] || Promise.resolve())
+                    .then(() => this.handleMessage(url, data))
+                    .catch(err => console.error('Failed to handle message:', err));
             };
 
             ws.onerror = (error) => {
                 console.error('WebSocket error:', url, error);
+                state.lastError = 'Connection error';
                 reject(error);
             };
 
             ws.onclose = () => {
+                clearTimeout(timeout);
+                reject(new Error('Connection closed'));
+
+                // Sockets replaced by a newer connection or by disconnect() are ignored
+                if (state.socket !== ws) return;
+
                 console.log('Disconnected from', url);
                 delete this.relays[url];
+                state.socket = null;
+                state.promise = null;
+                state.disconnectedAt = Math.floor(Date.now() / 1000);
+                this.failPendingOks(url, 'Connection closed before the relay answered');
+                Object.values(this.subscriptions).forEach(sub => {
+                    this.markRelayClosed(sub, url, 'connection closed');
+                });
+
+                if (state.wanted) {
+                    this.scheduleReconnect(url, state);
+                } else {
+                    state.status = 'closed';
+                }
+            };
+        });
+    },
+
+    getRelayState(url) {
+        if (!this.relayStates[url]) {
+            this.relayStates[url] = {
+                status: 'connecting',
+                attempts: 0,
+                wanted: false,
+                socket: null,
+                promise: null,
+                retryTimer: null,
+                nextRetry: null,
+                lastError: null,
+                disconnectedAt: null
             };
+        }
+        return this.relayStates[url];
+    },
+
+    scheduleReconnect(url, state) {
+        if (state.retryTimer) return;
+
+        if (state.attempts >= this.maxReconnectAttempts) {
+            state.status = 'failed';
+            console.log('Giving up on', url, 'after', state.attempts, 'attempts');
+            return;
+        }
 
-            setTimeout(() => reject(new Error('Connection timeout')), 5000);
+        // Exponential backoff with a little jitter so relays are not hit in lockstep
+        const delay = Math.min(this.reconnectBaseDelay * 2 ** state.attempts, this.reconnectMaxDelay) *
+            (0.8 + Math.random() * 0.4);
+        state.attempts++;
+        state.status = 'backoff';
+        state.nextRetry = Date.now() + delay;
+
+        state.retryTimer = setTimeout(() => {
+            state.retryTimer = null;
+            state.nextRetry = null;
+            if (!state.wanted) return;
+            this.connectRelay(url).catch(() => {});
+        }, delay);
+    },
+
+    resubscribe(url, since) {
+        // Flush queued subscriptions to a relay that just opened: those created while it
+        // was connecting, those it served before dropping, and for a newly added relay
+        // every live subscription it serves
+        const ws = this.relays[url];
+        const pool = this.relayStates[url]?.wanted;
+        Object.values(this.subscriptions).forEach(sub => {
+            if (sub.targets ? !sub.targets.includes(url) : !pool) return;
+            if (!sub.relays.includes(url)) {
+                sub.relays.push(url);
+            }
+
+            delete sub.closed[url];
+            const filters = { ...sub.filters };
+            if (since && sub.eose[url]) {
+                // Stored events up to the disconnect were already delivered
+                filters.since = Math.max(filters.since || 0, since - 60);
+            }
+            ws.send(JSON.stringify(['REQ', sub.id, filters]));
+        });
+    },
+
+    removeRelay(url) {
+        const state = this.relayStates[url];
+        if (!state) return;
+
+        clearTimeout(state.retryTimer);
+        const ws = state.socket;
+        state.socket = null;
+        delete this.relayStates[url];
+        delete this.relays[url];
+
+        if (ws) {
+            if (ws.readyState === WebSocket.OPEN) {
+                Object.keys(this.subscriptions).forEach(subId => {
+                    ws.send(JSON.stringify(['CLOSE', subId]));
+                });
+            }
+            ws.close();
+        }
+
+        this.failPendingOks(url, 'Relay removed');
+        Object.values(this.subscriptions).forEach(sub => {
+            this.markRelayClosed(sub, url, 'relay removed');
         });
     },
 
-    handleMessage(relayUrl, data) {
+    // Per-relay health: [{ url, status, attempts, nextRetry, lastError }]
+    getRelayStates() {
+        return Object.entries(this.relayStates)
+            .filter(([_, state]) => state.wanted)
+            .map(([url, state]) => ({
+                url,
+                status: state.status,
+                attempts: state.attempts,
+                nextRetry: state.nextRetry,
+                lastError: state.lastError
+            }));
+    },
+
+    async handleMessage(relayUrl, data) {
         const [type, ...rest] = data;
 
         switch (type) {
             case 'EVENT':
                 const [subId, event] = rest;
-                console.log('Received EVENT from', relayUrl, 'subId:', subId, 'event kind:', event.kind);
-                this.eventHandlers.forEach(handler => handler(event, relayUrl));
+                console.log('Received EVENT from', relayUrl, 'subId:', subId, 'event kind:', event?.kind);
+                await this.handleEvent(relayUrl, subId, event);
                 break;
             
             case 'EOSE':
                 console.log('End of stored events for subscription:', rest[0], 'from', relayUrl);
+                this.handleEose(relayUrl, rest[0]);
+                break;
+
+            case 'CLOSED':
+                console.log('Subscription', rest[0], 'closed by', relayUrl, ':', rest[1]);
+                this.handleClosed(relayUrl, rest[0], rest[1]);
                 break;
             
             case 'OK':
                 const [eventId, success, message] = rest;
                 console.log('Event publish result:', eventId, success, message);
+                this.resolveOk(relayUrl, eventId, success, message);
                 break;
             
             case 'NOTICE':
@@ -75,33 +270,195 @@ const Nostr = {
         }
     },
 
-    subscribe(filters, onEvent) {
-        const subId = 'sub_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-        
-        this.subscriptions[subId] = { filters, onEvent };
-        
-        if (onEvent) {
-            this.eventHandlers.push((event, relay) => {
-                if (this.matchesFilters(event, filters)) {
-                    onEvent(event, relay);
-                }
-            });
+    async handleEvent(relayUrl, subId, event) {
+        // Events for subscriptions we already closed are simply dropped
+        const sub = this.subscriptions[subId];
+        if (!sub) return;
+
+        if (!await this.verifyEvent(event)) {
+            this.invalidEvents[relayUrl] = (this.invalidEvents[relayUrl] || 0) + 1;
+            console.warn('Dropped invalid event from', relayUrl, event?.id,
+                '(' + this.invalidEvents[relayUrl] + ' so far)');
+            return;
         }
 
-        Object.values(this.relays).forEach(ws => {
-            if (ws.readyState === WebSocket.OPEN) {
+        // The subscription may have been closed while the event was verified;
+        // relays can also send events that do not match what was asked for
+        if (!this.subscriptions[subId] || !this.matchesFilters(event, sub.filters)) return;
+
+        // Deliver each event once per subscription, whichever relay sent it first
+        if (sub.seen.has(event.id)) return;
+        sub.seen.add(event.id);
+
+        // Only events we asked for are cached, so a relay cannot flood the cache
+        if (this.eventStore) {
+            this.eventStore.add(event, relayUrl);
+        }
+
+        if (sub.onEvent) {
+            sub.onEvent(event, relayUrl);
+        }
+    },
+
+    async verifyEvent(event) {
+        if (!event || typeof event !== 'object') return false;
+        if (!/^[0-9a-f]{64}$/.test(event.id) ||
+            !/^[0-9a-f]{64}$/.test(event.pubkey) ||
+            !/^[0-9a-f]{128}$/.test(event.sig)) {
+            return false;
+        }
+        if (!Number.isInteger(event.kind) ||
+            !Number.isInteger(event.created_at) ||
+            typeof event.content !== 'string' ||
+            !Array.isArray(event.tags)) {
+            return false;
+        }
+
+        const id = await this.getEventHash(event);
+        if (id !== event.id) return false;
+
+        // The same event usually arrives from several relays; skip the costly
+        // signature check once an (id, sig) pair has been verified
+        const key = event.id + event.sig;
+        if (this.verifiedIds.has(key)) {
+            // Move it to the most recently used end
+            this.verifiedIds.delete(key);
+            this.verifiedIds.set(key, true);
+            return true;
+        }
+        if (!await Crypto.verify(event.pubkey, event.id, event.sig)) return false;
+
+        this.verifiedIds.set(key, true);
+        if (this.verifiedIds.size > this.maxVerifiedIds) {
+            this.verifiedIds.delete(this.verifiedIds.keys().next().value);
+        }
+        return true;
+    },
+
+    getFlaggedRelays() {
+        return Object.entries(this.invalidEvents)
+            .filter(([_, count]) => count > 0)
+            .map(([url, count]) => ({ url, count }));
+    },
+
+    // Options: relays (send only to these instead of the pool), eoseTimeout (ms to wait
+    // for every relay), autoClose (CLOSE once all relays reached EOSE) and
+    // onEose(relayUrl) for per-relay progress.
+    subscribe(filters, onEvent, options = {}) {
+        const subId = 'sub_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+
+        let resolveDone;
+        const sub = {
+            id: subId,
+            filters,
+            onEvent,
+            targets: options.relays || null,
+            autoClose: !!options.autoClose,
+            relays: [],
+            eose: {},
+            closed: {},
+            seen: new Set(),
+            eoseListeners: options.onEose ? [options.onEose] : [],
+            finished: false,
+            done: new Promise(resolve => { resolveDone = resolve; }),
+
+            onEose: (callback) => {
+                sub.eoseListeners.push(callback);
+                Object.keys(sub.eose).forEach(url => callback(url));
+                return sub;
+            },
+
+            close: () => this.unsubscribe(subId)
+        };
+        sub.resolveDone = resolveDone;
+
+        this.subscriptions[subId] = sub;
+
+        // Send now where the socket is open; relays still connecting get the
+        // REQ from resubscribe() as soon as they open
+        const urls = sub.targets || Object.keys(this.relayStates).filter(url => this.relayStates[url].wanted);
+        urls.forEach(url => {
+            sub.relays.push(url);
+
+            const ws = this.relays[url];
+            if (ws?.readyState === WebSocket.OPEN) {
                 ws.send(JSON.stringify(['REQ', subId, filters]));
+            } else if (this.relayStates[url]?.status !== 'connecting') {
+                // Waiting out a backoff should not hold up the EOSE bookkeeping
+                sub.closed[url] = 'not connected';
             }
         });
 
-        return subId;
+        // Relays that never answer should not hold the subscription open forever
+        sub.timer = setTimeout(() => this.finishSubscription(sub), options.eoseTimeout || this.eoseTimeout);
+        this.checkSubscriptionDone(sub);
+
+        return sub;
+    },
+
+    handleEose(relayUrl, subId) {
+        const sub = this.subscriptions[subId];
+        if (!sub || sub.eose[relayUrl]) return;
+
+        sub.eose[relayUrl] = true;
+        sub.eoseListeners.forEach(callback => callback(relayUrl));
+        this.checkSubscriptionDone(sub);
+    },
+
+    handleClosed(relayUrl, subId, message = '') {
+        const sub = this.subscriptions[subId];
+        if (!sub) return;
+
+        this.markRelayClosed(sub, relayUrl, message);
+
+        // Once every relay has closed it, nothing can arrive for this subscription
+        if (sub.relays.every(url => url in sub.closed)) {
+            delete this.subscriptions[subId];
+        }
+    },
+
+    markRelayClosed(sub, relayUrl, reason) {
+        if (!sub.relays.includes(relayUrl) || relayUrl in sub.closed) return;
+        sub.closed[relayUrl] = reason || 'closed';
+        this.checkSubscriptionDone(sub);
+    },
+
+    checkSubscriptionDone(sub) {
+        const waiting = sub.relays.filter(url => !sub.eose[url] && !(url in sub.closed));
+        if (waiting.length === 0) {
+            this.finishSubscription(sub);
+        }
+    },
+
+    // Resolves sub.done with { eose, closed, pending, cancelled }; pending lists relays that
+    // never answered, cancelled is set when we closed the subscription before that
+    finishSubscription(sub, cancelled = false) {
+        if (sub.finished) return;
+        sub.finished = true;
+        clearTimeout(sub.timer);
+
+        sub.resolveDone({
+            eose: Object.keys(sub.eose),
+            closed: { ...sub.closed },
+            pending: sub.relays.filter(url => !sub.eose[url] && !(url in sub.closed)),
+            cancelled
+        });
+
+        if (sub.autoClose) {
+            this.unsubscribe(sub.id);
+        }
     },
 
     unsubscribe(subId) {
+        const sub = this.subscriptions[subId];
+        if (!sub) return;
+
         delete this.subscriptions[subId];
+        this.finishSubscription(sub, true);
         
-        Object.values(this.relays).forEach(ws => {
-            if (ws.readyState === WebSocket.OPEN) {
+        sub.relays.forEach(url => {
+            const ws = this.relays[url];
+            if (ws?.readyState === WebSocket.OPEN) {
                 ws.send(JSON.stringify(['CLOSE', subId]));
             }
         });
@@ -131,30 +488,78 @@ const Nostr = {
         return true;
     },
 
-    async publish(event) {
+    // Returns { [relayUrl]: Promise<{ url, status, prefix, message }> } where status is
+    // 'accepted', 'rejected', 'timeout' or 'disconnected'
+    publish(event, relayUrls = null, timeout = this.publishTimeout) {
         const results = {};
-        const promises = [];
 
-        Object.entries(this.relays).forEach(([url, ws]) => {
-            if (ws.readyState === WebSocket.OPEN) {
-                promises.push(
-                    new Promise((resolve) => {
-                        ws.send(JSON.stringify(['EVENT', event]));
-                        results[url] = 'sent';
-                        resolve();
-                    })
-                );
-            } else {
-                results[url] = 'disconnected';
+        // The pool, or only the given relays
+        const targets = Object.entries(this.relays)
+            .filter(([url]) => relayUrls ? relayUrls.includes(url) : this.relayStates[url]?.wanted);
+
+        targets.forEach(([url, ws]) => {
+            if (ws.readyState !== WebSocket.OPEN) {
+                results[url] = Promise.resolve({
+                    url, status: 'disconnected', prefix: null, message: 'Relay is not connected'
+                });
+                return;
             }
+
+            results[url] = new Promise((resolve) => {
+                const key = event.id + '|' + url;
+                const timer = setTimeout(() => {
+                    delete this.pendingOks[key];
+                    resolve({ url, status: 'timeout', prefix: null, message: 'No OK received in time' });
+                }, timeout);
+
+                this.pendingOks[key] = { url, resolve, timer };
+                ws.send(JSON.stringify(['EVENT', event]));
+            });
         });
 
-        await Promise.all(promises);
         return results;
     },
 
-    async createEvent(kind, content, tags = [], privateKey) {
-        const pubkey = Crypto.getPublicKey(privateKey);
+    resolveOk(relayUrl, eventId, success, message = '') {
+        const key = eventId + '|' + relayUrl;
+        const pending = this.pendingOks[key];
+        if (!pending) return;
+
+        clearTimeout(pending.timer);
+        delete this.pendingOks[key];
+        pending.resolve({
+            url: relayUrl,
+            status: success ? 'accepted' : 'rejected',
+            prefix: this.parseOkPrefix(message),
+            message: message || ''
+        });
+    },
+
+    parseOkPrefix(message) {
+        // NIP-01 machine-readable prefixes, e.g. "duplicate:", "blocked:", "rate-limited:"
+        const match = /^([a-z-]+):/.exec(message || '');
+        return match ? match[1] : null;
+    },
+
+    failPendingOks(relayUrl, message) {
+        Object.entries(this.pendingOks).forEach(([key, pending]) => {
+            if (pending.url !== relayUrl) return;
+            clearTimeout(pending.timer);
+            delete this.pendingOks[key];
+            pending.resolve({ url: relayUrl, status: 'disconnected', prefix: null, message });
+        });
+    },
+
+    async createEvent(kind, content, tags = [], signer) {
+        // A bare private key is still accepted for the local signer
+        if (typeof signer === 'string') {
+            signer = Signer.local(signer);
+        }
+        if (!signer) {
+            throw new Error('No signer configured');
+        }
+
+        const pubkey = await signer.getPublicKey();
         const created_at = Math.floor(Date.now() / 1000);
 
         const event = {
@@ -165,7 +570,11 @@ const Nostr = {
             pubkey
         };
 
-        // Create event ID
+        return signer.signEvent(event);
+    },
+
+    async getEventHash(event) {
+        // NIP-01 event ID: sha256 of the canonical serialization
         const serialized = JSON.stringify([
             0,
             event.pubkey,
@@ -175,29 +584,30 @@ const Nostr = {
             event.content
         ]);
 
-        const id = await Crypto.sha256Hex(serialized);
-        event.id = id;
-
-        // Sign event
-        event.sig = await Crypto.sign(privateKey, id);
-
-        return event;
+        return Crypto.sha256Hex(serialized);
     },
 
-    getConnectedRelays() {
+    // Open relays among relayUrls, or in the pool when none are given
+    getConnectedRelays(relayUrls = null) {
         return Object.entries(this.relays)
-            .filter(([_, ws]) => ws.readyState === WebSocket.OPEN)
+            .filter(([url, ws]) => ws.readyState === WebSocket.OPEN &&
+                (relayUrls ? relayUrls.includes(url) : this.relayStates[url]?.wanted))
             .map(([url]) => url);
     },
 
     disconnect() {
-        Object.values(this.relays).forEach(ws => {
-            if (ws.readyState === WebSocket.OPEN) {
+        Object.entries(this.relayStates).forEach(([url, state]) => {
+            clearTimeout(state.retryTimer);
+            const ws = state.socket;
+            state.socket = null;
+            if (ws) {
                 ws.close();
+                this.failPendingOks(url, 'Disconnected');
             }
         });
+        this.relayStates = {};
         this.relays = {};
+        Object.values(this.subscriptions).forEach(sub => this.finishSubscription(sub, true));
         this.subscriptions = {};
-        this.eventHandlers = [];
     }
 };
\ No newline at end of file
@@ -0,0 +1,220 @@
+// Allowlist sanitizer for rendered article HTML. Everything the renderers produce goes
+// through here before it reaches innerHTML, so a renderer bug cannot become script.
+const Sanitizer = {
+    // Allowed elements and the attributes each may carry besides the global ones
+    elements: {
+        a: ['href', 'title', 'target', 'rel', 'data-target'],
+        abbr: ['title'],
+        b: [],
+        blockquote: ['cite'],
+        br: [],
+        caption: [],
+        cite: [],
+        code: [],
+        col: ['span', 'width'],
+        colgroup: ['span', 'width'],
+        dd: [],
+        del: [],
+        details: ['open'],
+        div: [],
+        dl: [],
+        dt: [],
+        em: [],
+        figcaption: [],
+        figure: [],
+        footer: [],
+        h1: [],
+        h2: [],
+        h3: [],
+        h4: [],
+        h5: [],
+        h6: [],
+        hr: [],
+        i: [],
+        img: ['src', 'alt', 'title', 'width', 'height'],
+        input: ['type', 'checked', 'disabled'],
+        ins: [],
+        kbd: [],
+        li: ['value'],
+        mark: [],
+        ol: ['start', 'reversed', 'type'],
+        p: [],
+        pre: [],
+        q: ['cite'],
+        s: [],
+        samp: [],
+        section: [],
+        small: [],
+        span: [],
+        strong: [],
+        sub: [],
+        summary: [],
+        sup: [],
+        table: ['width'],
+        tbody: [],
+        td: ['align', 'colspan', 'rowspan'],
+        tfoot: [],
+        th: ['align', 'colspan', 'rowspan', 'scope'],
+        thead: [],
+        tr: [],
+        u: [],
+        ul: [],
+        var: []
+    },
+
+    // MathML the formula converter produces; allowed only in the MathML namespace
+    mathElements: {
+        math: ['display'],
+        semantics: [],
+        annotation: ['encoding'],
+        mrow: [],
+        mi: ['mathvariant'],
+        mn: [],
+        mo: ['fence', 'form', 'stretchy', 'movablelimits', 'lspace', 'rspace', 'minsize', 'maxsize'],
+        mtext: [],
+        mspace: ['width'],
+        msub: [],
+        msup: [],
+        msubsup: [],
+        munder: ['accentunder'],
+        mover: ['accent'],
+        munderover: [],
+        mfrac: ['linethickness'],
+        msqrt: [],
+        mroot: [],
+        mstyle: ['displaystyle', 'scriptlevel'],
+        mtable: ['columnalign', 'columnspacing', 'displaystyle'],
+        mtr: [],
+        mtd: []
+    },
+
+    mathNamespace: 'http://www.w3.org/1998/Math/MathML',
+
+    globalAttributes: ['class', 'id', 'title', 'lang', 'dir'],
+
+    // Removed together with their content; any other unknown element is unwrapped
+    dropElements: ['script', 'style', 'template', 'iframe', 'frame', 'frameset', 'object', 'embed',
+        'applet', 'noscript', 'noembed', 'noframes', 'textarea', 'select', 'option', 'button',
+        'form', 'title', 'head', 'meta', 'link', 'base', 'svg', 'audio', 'video', 'canvas'],
+
+    // Schemes allowed in URL attributes; relative URLs and fragments are always fine
+    urlSchemes: {
+        href: ['http', 'https', 'mailto', 'nostr'],
+        src: ['http', 'https'],
+        cite: ['http', 'https']
+    },
+
+    // Content ids are namespaced so articles cannot clobber the app's own elements
+    idPrefix: 'content-',
+
+    sanitize(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        this.cleanChildren(doc.body);
+        return doc.body.innerHTML;
+    },
+
+    cleanChildren(parent) {
+        Array.from(parent.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) return;
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                node.remove();
+                return;
+            }
+
+            const tag = node.localName;
+            if (node.namespaceURI === this.mathNamespace) {
+                // Unknown MathML goes with its content: unwrapping it could leave markup
+                // that parses differently the next time round
+                if (Object.prototype.hasOwnProperty.call(this.mathElements, tag)) {
+                    this.cleanAttributes(node, tag);
+                    this.cleanChildren(node);
+                } else {
+                    node.remove();
+                }
+                return;
+            }
+            // Formulas hold no HTML
+            if (parent.namespaceURI === this.mathNamespace) {
+                node.remove();
+                return;
+            }
+            if (!Object.prototype.hasOwnProperty.call(this.elements, tag) ||
+                node.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+                if (this.dropElements.includes(tag)) {
+                    node.remove();
+                } else {
+                    // Keep the text of harmless unknown markup
+                    this.cleanChildren(node);
+                    node.replaceWith(...node.childNodes);
+                }
+                return;
+            }
+
+            this.cleanAttributes(node, tag);
+            this.cleanChildren(node);
+        });
+    },
+
+    cleanAttributes(element, tag) {
+        const allowed = element.namespaceURI === this.mathNamespace ? this.mathElements[tag] : this.elements[tag];
+        Array.from(element.attributes).forEach(attr => {
+            const name = attr.name.toLowerCase();
+            if (!this.globalAttributes.includes(name) && !allowed.includes(name)) {
+                element.removeAttribute(attr.name);
+                return;
+            }
+
+            if (this.urlSchemes[name]) {
+                const url = this.cleanURL(attr.value, name, tag);
+                if (url === null) {
+                    element.removeAttribute(attr.name);
+                } else {
+                    element.setAttribute(name, url);
+                }
+            } else if (name === 'id') {
+                element.setAttribute('id', this.prefixId(attr.value));
+            }
+        });
+
+        if (tag === 'a' && element.hasAttribute('target')) {
+            if (element.getAttribute('target') === '_blank') {
+                element.setAttribute('rel', 'noopener noreferrer');
+            } else {
+                element.removeAttribute('target');
+            }
+        }
+
+        // Only the read-only checkboxes of task lists
+        if (tag === 'input') {
+            if (element.getAttribute('type') !== 'checkbox') {
+                element.remove();
+                return;
+            }
+            element.setAttribute('disabled', '');
+        }
+    },
+
+    cleanURL(value, attribute, tag) {
+        // Browsers ignore control characters and whitespace when reading the scheme
+        const url = value.trim();
+        const scheme = url.replace(/[\u0000- \u007f-\u009f]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+
+        if (scheme) {
+            const name = scheme[1].toLowerCase();
+            if (tag === 'img' && attribute === 'src' && name === 'data') {
+                return /^data:image\/(?:png|gif|jpeg|webp)[;,]/i.test(url) ? url : null;
+            }
+            return this.urlSchemes[attribute].includes(name) ? url : null;
+        }
+
+        // Same-page anchors follow the id prefix; #/ paths are app routes
+        if (url.startsWith('#') && !url.startsWith('#/') && url.length > 1) {
+            return '#' + this.prefixId(url.slice(1));
+        }
+        return url;
+    },
+
+    prefixId(id) {
+        return id.startsWith(this.idPrefix) ? id : this.idPrefix + id;
+    }
+};
\ No newline at end of file
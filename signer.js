@@ -0,0 +1,302 @@
+// Event signers: every backend exposes getPublicKey() and signEvent(template)
+const Signer = {
+    local(privateKey) {
+        return {
+            type: 'local',
+
+            async getPublicKey() {
+                return Crypto.getPublicKey(privateKey);
+            },
+
+            async signEvent(template) {
+                const event = { ...template, pubkey: Crypto.getPublicKey(privateKey) };
+                event.id = await Nostr.getEventHash(event);
+                event.sig = await Crypto.sign(privateKey, event.id);
+                return event;
+            }
+        };
+    },
+
+    nip07() {
+        const getExtension = () => {
+            if (!this.isNip07Available()) {
+                throw new Error('No NIP-07 browser extension found');
+            }
+            return window.nostr;
+        };
+
+        return {
+            type: 'nip07',
+
+            async getPublicKey() {
+                return getExtension().getPublicKey();
+            },
+
+            async signEvent(template) {
+                const { kind, created_at, tags, content } = template;
+                const event = await getExtension().signEvent({ kind, created_at, tags, content });
+
+                // Never trust the extension blindly, it may hand back a different event
+                if (!await Nostr.verifyEvent(event) ||
+                    event.kind !== kind ||
+                    event.content !== content ||
+                    (template.pubkey && event.pubkey !== template.pubkey)) {
+                    throw new Error('Extension returned an invalid signed event');
+                }
+                return event;
+            }
+        };
+    },
+
+    // NIP-46 remote signer ("bunker") reached over its own relays, which stay out of the
+    // pool the app reads and publishes articles through.
+    // clientKey is a local keypair used only to talk to the bunker.
+    nip46(uri, clientKey, options = {}) {
+        const target = this.parseConnectURI(uri);
+        const timeout = options.timeout || 30000;
+        const clientPubkey = Crypto.getPublicKey(clientKey);
+        const clientSigner = this.local(clientKey);
+        const pending = {};
+
+        let remotePubkey = target.type === 'bunker' ? target.pubkey : null;
+        let useNip04 = false;
+        let subscription = null;
+        let connecting = null;
+        let userPubkey = null;
+        let onSignerConnected = null;
+
+        const withTimeout = (promise, label) => {
+            let timer;
+            return Promise.race([
+                promise,
+                new Promise((_, reject) => {
+                    timer = setTimeout(() => reject(new Error(`Remote signer timed out (${label})`)), timeout);
+                })
+            ]).finally(() => clearTimeout(timer));
+        };
+
+        const decrypt = async (event) => {
+            // Older bunkers still answer with NIP-04, so follow their lead
+            if (Nip04.isPayload(event.content)) {
+                useNip04 = true;
+                return Nip04.decrypt(clientKey, event.pubkey, event.content);
+            }
+            const conversationKey = await Nip44.getConversationKey(clientKey, event.pubkey);
+            return Nip44.decrypt(conversationKey, event.content);
+        };
+
+        const encrypt = async (text) => {
+            if (useNip04) {
+                return Nip04.encrypt(clientKey, remotePubkey, text);
+            }
+            const conversationKey = await Nip44.getConversationKey(clientKey, remotePubkey);
+            return Nip44.encrypt(conversationKey, text);
+        };
+
+        const handleResponse = async (event) => {
+            if (remotePubkey && event.pubkey !== remotePubkey) return;
+
+            let message;
+            try {
+                message = JSON.parse(await decrypt(event));
+            } catch (err) {
+                console.warn('Ignoring undecryptable NIP-46 message from', event.pubkey);
+                return;
+            }
+
+            // nostrconnect:// flow: the signer introduces itself by echoing our secret
+            if (!remotePubkey) {
+                if (message.result === target.secret && onSignerConnected) {
+                    remotePubkey = event.pubkey;
+                    onSignerConnected();
+                }
+                return;
+            }
+
+            const request = pending[message.id];
+            if (!request) return;
+
+            if (message.result === 'auth_url') {
+                // The bunker wants the user to approve in a browser; keep waiting
+                (options.onAuthUrl || (url => window.open(url, '_blank')))(message.error);
+                return;
+            }
+
+            delete pending[message.id];
+            if (message.error) {
+                request.reject(new Error(message.error));
+            } else {
+                request.resolve(message.result);
+            }
+        };
+
+        const listen = async () => {
+            await Nostr.connect(target.relays, { pool: false });
+            if (subscription && Nostr.subscriptions[subscription.id]) return;
+
+            subscription = Nostr.subscribe({
+                kinds: [24133],
+                '#p': [clientPubkey],
+                since: Math.floor(Date.now() / 1000) - 10
+            }, handleResponse, { relays: target.relays });
+        };
+
+        const request = async (method, params = []) => {
+            await listen();
+
+            const id = Crypto.bytesToHex(Crypto.randomBytes(16));
+            const event = await clientSigner.signEvent({
+                kind: 24133,
+                created_at: Math.floor(Date.now() / 1000),
+                tags: [['p', remotePubkey]],
+                content: await encrypt(JSON.stringify({ id, method, params }))
+            });
+
+            const response = new Promise((resolve, reject) => {
+                pending[id] = { resolve, reject };
+            });
+
+            if (Nostr.getConnectedRelays(target.relays).length === 0) {
+                delete pending[id];
+                throw new Error('None of the remote signer relays are connected');
+            }
+            Nostr.publish(event, target.relays);
+
+            return withTimeout(response, method).finally(() => delete pending[id]);
+        };
+
+        // Older bunkers only read NIP-04 and never answer a NIP-44 request, so a
+        // connect that goes unanswered is sent once more in NIP-04
+        const connectBunker = async () => {
+            const params = [remotePubkey, target.secret || ''];
+            try {
+                await request('connect', params);
+            } catch (err) {
+                if (useNip04 || !/timed out/.test(err.message)) throw err;
+                useNip04 = true;
+                try {
+                    await request('connect', params);
+                } catch (retryErr) {
+                    useNip04 = false;
+                    throw retryErr;
+                }
+            }
+        };
+
+        const connect = () => {
+            if (!connecting) {
+                connecting = (async () => {
+                    if (target.type === 'bunker') {
+                        await connectBunker();
+                    } else {
+                        await listen();
+                        await withTimeout(new Promise(resolve => {
+                            onSignerConnected = resolve;
+                        }), 'connect');
+                    }
+                })();
+                // Allow a fresh attempt after a failure
+                connecting.catch(() => { connecting = null; });
+            }
+            return connecting;
+        };
+
+        return {
+            type: 'nip46',
+            clientPubkey,
+
+            connect,
+
+            getRemotePubkey() {
+                return remotePubkey;
+            },
+
+            // bunker:// URI to reconnect later without the one-time secret
+            getBunkerURI() {
+                const query = target.relays.map(r => 'relay=' + encodeURIComponent(r)).join('&');
+                return `bunker://${remotePubkey}?${query}`;
+            },
+
+            async getPublicKey() {
+                if (!userPubkey) {
+                    await connect();
+                    userPubkey = await request('get_public_key');
+                }
+                return userPubkey;
+            },
+
+            async signEvent(template) {
+                await connect();
+                const { kind, created_at, tags, content } = template;
+                const result = await request('sign_event', [
+                    JSON.stringify({ kind, created_at, tags, content, pubkey: template.pubkey })
+                ]);
+                const event = JSON.parse(result);
+
+                if (!await Nostr.verifyEvent(event) ||
+                    event.kind !== kind ||
+                    event.content !== content ||
+                    (template.pubkey && event.pubkey !== template.pubkey)) {
+                    throw new Error('Remote signer returned an invalid signed event');
+                }
+                return event;
+            },
+
+            close() {
+                if (subscription) subscription.close();
+                subscription = null;
+                Object.values(pending).forEach(p => p.reject(new Error('Remote signer closed')));
+            }
+        };
+    },
+
+    parseConnectURI(uri) {
+        let url;
+        try {
+            url = new URL(uri.trim());
+        } catch (err) {
+            throw new Error('Invalid remote signer URI');
+        }
+
+        const type = url.protocol.replace(':', '');
+        if (type !== 'bunker' && type !== 'nostrconnect') {
+            throw new Error('Remote signer URI must start with bunker:// or nostrconnect://');
+        }
+
+        // For bunker:// this is the signer's key, for nostrconnect:// our client key
+        const pubkey = (url.hostname || url.pathname.replace(/^\/+/, '')).toLowerCase();
+        if (!/^[0-9a-f]{64}$/.test(pubkey)) {
+            throw new Error('Remote signer URI has an invalid public key');
+        }
+
+        const relays = url.searchParams.getAll('relay');
+        if (relays.length === 0) {
+            throw new Error('Remote signer URI has no relay');
+        }
+
+        return {
+            type,
+            pubkey,
+            relays,
+            secret: url.searchParams.get('secret')
+        };
+    },
+
+    createNostrConnectURI(clientKey, relays, appName = 'Nostipedia') {
+        const secret = Crypto.bytesToHex(Crypto.randomBytes(8));
+        const query = relays.map(r => 'relay=' + encodeURIComponent(r))
+            .concat([
+                'secret=' + secret,
+                'perms=' + encodeURIComponent('sign_event:30818,get_public_key'),
+                'name=' + encodeURIComponent(appName)
+            ])
+            .join('&');
+        return `nostrconnect://${Crypto.getPublicKey(clientKey)}?${query}`;
+    },
+
+    isNip07Available() {
+        return typeof window !== 'undefined' &&
+            typeof window.nostr?.getPublicKey === 'function' &&
+            typeof window.nostr?.signEvent === 'function';
+    }
+};
\ No newline at end of file
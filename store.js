@@ -0,0 +1,276 @@
+// Persistent event cache backed by IndexedDB
+const EventStore = {
+    dbName: 'nostipedia',
+    dbVersion: 2,
+    maxEvents: 5000,
+    maxBytes: 25 * 1024 * 1024,
+    db: null,
+    ready: null,
+    queue: [],
+    flushTimer: null,
+    known: new Set(),
+    writesSincePrune: 0,
+
+    open() {
+        if (this.ready) return this.ready;
+
+        this.ready = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                console.warn('IndexedDB not available, event cache disabled');
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (event.oldVersion < 1) {
+                    const events = db.createObjectStore('events', { keyPath: 'id' });
+                    events.createIndex('kind', 'kind');
+                    events.createIndex('pubkey', 'pubkey');
+                    events.createIndex('d', 'd');
+                    events.createIndex('t', 't', { multiEntry: true });
+                    events.createIndex('lastAccess', 'lastAccess');
+                    // When each filter last completed against the relays, so refreshes can use since
+                    db.createObjectStore('syncs');
+                }
+                if (event.oldVersion < 2) {
+                    // Signed events that could not reach any relay yet
+                    db.createObjectStore('outbox', { keyPath: 'id' });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+                this.prune();
+            };
+
+            request.onerror = () => {
+                console.error('Failed to open event cache:', request.error);
+                resolve(null);
+            };
+        });
+
+        return this.ready;
+    },
+
+    promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    toRecord(event, relay) {
+        return {
+            id: event.id,
+            event,
+            // Where the event was first received from, for relay hints in tags
+            relay,
+            kind: event.kind,
+            pubkey: event.pubkey,
+            created_at: event.created_at,
+            d: event.tags.find(t => t[0] === 'd')?.[1] ?? '',
+            t: event.tags.filter(t => t[0] === 't').map(t => t[1]),
+            size: JSON.stringify(event).length,
+            lastAccess: Date.now()
+        };
+    },
+
+    add(event, relay = '') {
+        // Ephemeral events (NIP-46 requests and the like) are never worth keeping
+        if (event.kind >= 20000 && event.kind < 30000) return;
+        if (this.known.has(event.id)) return;
+        this.known.add(event.id);
+
+        this.queue.push({ event, relay });
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), 250);
+        }
+    },
+
+    async flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        const db = await this.open();
+        const batch = this.queue;
+        this.queue = [];
+        if (!db || batch.length === 0) return;
+
+        const tx = db.transaction('events', 'readwrite');
+        const store = tx.objectStore('events');
+        batch.forEach(({ event, relay }) => {
+            const request = store.add(this.toRecord(event, relay));
+            // Already cached: keep the stored copy and its access time
+            request.onerror = (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+            };
+        });
+
+        await new Promise(resolve => {
+            tx.oncomplete = resolve;
+            tx.onerror = resolve;
+            tx.onabort = resolve;
+        });
+
+        this.writesSincePrune += batch.length;
+        if (this.writesSincePrune >= 200) {
+            this.prune();
+        }
+    },
+
+    // Cached events matching a NIP-01 filter, newest first
+    async query(filter) {
+        const db = await this.open();
+        if (!db) return [];
+        await this.flush();
+
+        const store = db.transaction('events').objectStore('events');
+        let records;
+
+        if (filter.ids) {
+            records = await Promise.all(filter.ids.map(id => this.promisify(store.get(id))));
+            records = records.filter(Boolean);
+        } else if (filter['#d']) {
+            records = (await Promise.all(filter['#d'].map(d =>
+                this.promisify(store.index('d').getAll(d))))).flat();
+        } else if (filter['#t']) {
+            records = (await Promise.all(filter['#t'].map(t =>
+                this.promisify(store.index('t').getAll(t))))).flat();
+        } else if (filter.authors) {
+            records = (await Promise.all(filter.authors.map(pubkey =>
+                this.promisify(store.index('pubkey').getAll(pubkey))))).flat();
+        } else if (filter.kinds) {
+            records = (await Promise.all(filter.kinds.map(kind =>
+                this.promisify(store.index('kind').getAll(kind))))).flat();
+        } else {
+            records = await this.promisify(store.getAll());
+        }
+
+        const events = records
+            .map(r => r.event)
+            .filter(event => Nostr.matchesFilters(event, filter))
+            .sort((a, b) => b.created_at - a.created_at);
+
+        return filter.limit ? events.slice(0, filter.limit) : events;
+    },
+
+    // The relay an event was first received from, or '' when unknown
+    async getRelay(id) {
+        const db = await this.open();
+        if (!db) return '';
+        await this.flush();
+
+        const record = await this.promisify(db.transaction('events').objectStore('events').get(id));
+        return record?.relay || '';
+    },
+
+    // Mark events as recently read so eviction keeps them longest
+    async touch(ids) {
+        const db = await this.open();
+        if (!db || ids.length === 0) return;
+
+        const store = db.transaction('events', 'readwrite').objectStore('events');
+        const now = Date.now();
+        ids.forEach(id => {
+            const request = store.get(id);
+            request.onsuccess = () => {
+                if (request.result) {
+                    store.put({ ...request.result, lastAccess: now });
+                }
+            };
+        });
+    },
+
+    async getSyncTime(key) {
+        const db = await this.open();
+        if (!db) return null;
+        return (await this.promisify(db.transaction('syncs').objectStore('syncs').get(key))) || null;
+    },
+
+    async setSyncTime(key, timestamp) {
+        const db = await this.open();
+        if (!db) return;
+        await this.promisify(db.transaction('syncs', 'readwrite').objectStore('syncs').put(timestamp, key));
+    },
+
+    // entry: { event, queuedAt, attempts, acceptedBy, rejectedBy }; put again to update it
+    async addToOutbox(entry) {
+        const db = await this.open();
+        if (!db) return;
+        await this.promisify(db.transaction('outbox', 'readwrite').objectStore('outbox')
+            .put({ id: entry.event.id, ...entry }));
+    },
+
+    async getOutbox() {
+        const db = await this.open();
+        if (!db) return [];
+        const records = await this.promisify(db.transaction('outbox').objectStore('outbox').getAll());
+        // Records queued before relay results were kept have neither list
+        return records
+            .sort((a, b) => a.queuedAt - b.queuedAt)
+            .map(({ id, ...entry }) => ({ attempts: 0, acceptedBy: [], rejectedBy: [], ...entry }));
+    },
+
+    async removeFromOutbox(id) {
+        const db = await this.open();
+        if (!db) return;
+        await this.promisify(db.transaction('outbox', 'readwrite').objectStore('outbox').delete(id));
+    },
+
+    // Evict least recently used events until both the count and size caps hold
+    async prune() {
+        this.writesSincePrune = 0;
+        const db = await this.open();
+        if (!db) return;
+
+        const store = db.transaction('events').objectStore('events');
+        const count = await this.promisify(store.count());
+        const records = await this.promisify(store.index('lastAccess').getAll());
+        let bytes = records.reduce((sum, r) => sum + r.size, 0);
+
+        if (count <= this.maxEvents && bytes <= this.maxBytes) return;
+
+        const evict = [];
+        let remaining = count;
+        for (const record of records) {
+            if (remaining <= this.maxEvents && bytes <= this.maxBytes) break;
+            evict.push(record.id);
+            remaining--;
+            bytes -= record.size;
+        }
+
+        const writeStore = db.transaction('events', 'readwrite').objectStore('events');
+        evict.forEach(id => {
+            writeStore.delete(id);
+            this.known.delete(id);
+        });
+        console.log('Evicted', evict.length, 'cached events');
+    },
+
+    async stats() {
+        const db = await this.open();
+        if (!db) return { count: 0, bytes: 0 };
+
+        const records = await this.promisify(db.transaction('events').objectStore('events').getAll());
+        return {
+            count: records.length,
+            bytes: records.reduce((sum, r) => sum + r.size, 0)
+        };
+    },
+
+    async clear() {
+        const db = await this.open();
+        this.queue = [];
+        this.known.clear();
+        if (!db) return;
+
+        const tx = db.transaction(['events', 'syncs'], 'readwrite');
+        tx.objectStore('events').clear();
+        tx.objectStore('syncs').clear();
+        await new Promise(resolve => { tx.oncomplete = resolve; });
+    }
+};
\ No newline at end of file
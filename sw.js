@@ -0,0 +1,69 @@
+// Service worker: keeps the app shell cached so Nostipedia starts without a network.
+// Bump CACHE_NAME whenever a file is added to or removed from SHELL_FILES.
+const CACHE_NAME = 'nostipedia-shell-v5';
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'crypto.js',
+    'nostr.js',
+    'signer.js',
+    'store.js',
+    'diff.js',
+    'mathml.js',
+    'markdown.js',
+    'sanitize.js',
+    'asciidoc.js',
+    'app.js',
+    'favicon.ico'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Serve from cache straight away and refresh the cached copy in the background
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(caches.open(CACHE_NAME).then(async (cache) => {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        const network = fetch(request)
+            .then(response => {
+                if (response.ok) {
+                    cache.put(request, response.clone());
+                }
+                return response;
+            })
+            .catch(() => null);
+
+        if (cached) {
+            event.waitUntil(network);
+            return cached;
+        }
+
+        const response = await network;
+        if (response) return response;
+
+        // Offline and never seen this page: fall back to the shell
+        if (request.mode === 'navigate') {
+            return cache.match('index.html');
+        }
+        return Response.error();
+    }));
+});
\ No newline at end of file
@@ -0,0 +1,130 @@
+// Outbox retries and nostr link views in app.js against mock relays
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+const { createNetwork } = require('./mock-relay');
+
+// Stand-ins for the elements views write to, kept by id
+function createDocument() {
+    const elements = {};
+    return {
+        readyState: 'loading',
+        addEventListener() {},
+        getElementById: id => elements[id] ||
+            (elements[id] = { classList: { add() {}, remove() {}, toggle() {} }, style: {}, innerHTML: '' })
+    };
+}
+
+function setup() {
+    let scope;
+    const network = createNetwork((event, filter) => scope.Nostr.matchesFilters(event, filter));
+    // The outbox is kept in memory instead of IndexedDB
+    const EventStore = {
+        add() {},
+        async getOutbox() { return []; },
+        async addToOutbox() {},
+        async removeFromOutbox() {}
+    };
+    const document = createDocument();
+    scope = load(['crypto.js', 'nostr.js', 'signer.js', 'app.js'], ['Crypto', 'Bech32', 'Nostr', 'Signer', 'app'], {
+        console: { ...console, log() {} },
+        crypto: globalThis.crypto,
+        TextEncoder,
+        setTimeout,
+        clearTimeout,
+        WebSocket: network.WebSocket,
+        EventStore,
+        alert() {},
+        // Still loading, so app.init() is left to the test
+        document,
+        window: { addEventListener() {} }
+    });
+    scope.Nostr.onRelayOpen = () => scope.app.flushOutbox();
+    return { ...scope, network, document };
+}
+
+async function waitFor(check, timeout = 2000) {
+    const start = Date.now();
+    while (!check()) {
+        if (Date.now() - start > timeout) throw new Error('Timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+async function queueArticle({ app, Signer, Crypto }) {
+    const event = await Signer.local(Crypto.generatePrivateKey()).signEvent({
+        kind: 30818, created_at: 1700000000, tags: [['d', 'nostr']], content: 'Article'
+    });
+    app.outbox[event.id] = app.outboxEntry(event);
+    return app.outbox[event.id];
+}
+
+test('a relay that opens during a flush still gets the queued events', async (t) => {
+    const scope = setup();
+    const { app, Nostr, network } = scope;
+    t.after(() => Nostr.disconnect());
+
+    const silent = 'wss://silent.example';
+    const late = 'wss://late.example';
+    network.relay(silent).silent = true;
+    Nostr.publishTimeout = 200;
+    app.relayUrls = [silent, late];
+    const entry = await queueArticle(scope);
+
+    await Nostr.connect([silent]);
+    await waitFor(() => app.flushingOutbox);
+    // Opens while the flush waits on the silent relay's OK
+    await Nostr.connect([late]);
+    assert.strictEqual(network.relay(late).events.length, 0);
+
+    await waitFor(() => entry.acceptedBy.includes(late));
+    assert.strictEqual(network.relay(late).events[0].id, entry.event.id);
+    assert.ok(app.outbox[entry.event.id], 'kept until the silent relay answers');
+    await waitFor(() => !app.flushingOutbox);
+});
+
+test('coming back online reconnects relays that gave up and flushes the outbox', async (t) => {
+    const scope = setup();
+    const { app, Nostr, network } = scope;
+    t.after(() => Nostr.disconnect());
+
+    const url = 'wss://relay.example';
+    app.relayUrls = [url];
+    Nostr.maxReconnectAttempts = 0;
+    network.relay(url).refuse = true;
+    await Nostr.connect([url]);
+    await waitFor(() => Nostr.relayStates[url].status === 'failed');
+
+    const entry = await queueArticle(scope);
+    network.relay(url).refuse = false;
+    await app.onOnline();
+
+    await waitFor(() => !app.outbox[entry.event.id]);
+    assert.deepStrictEqual([...entry.acceptedBy], [url]);
+    assert.strictEqual(network.relay(url).events[0].id, entry.event.id);
+});
+
+
+test('nostr links that cannot be opened replace the previous view', async (t) => {
+    const { app, Nostr, Bech32, Crypto, document } = setup();
+    t.after(() => Nostr.disconnect());
+    const panel = document.getElementById('article1');
+    const previous = { close() { previous.closed = true; } };
+
+    for (const [link, heading] of [
+        [Bech32.encodePrivkey(Crypto.generatePrivateKey()), 'Private key link'],
+        ['npub1notbech32', 'Invalid nostr link']
+    ]) {
+        panel.innerHTML = '<h1>Previous article</h1>';
+        previous.closed = false;
+        app.viewSubscriptions = [previous];
+        app.panelVersions = { article1: { title: 'Previous', id: null } };
+        app.currentSearch = 'Previous';
+
+        await app.loadNostrEntity(link);
+        assert.match(panel.innerHTML, new RegExp(`<h2>${heading}</h2>`));
+        assert.ok(previous.closed);
+        assert.deepStrictEqual({ ...app.panelVersions }, {});
+        assert.strictEqual(app.currentSearch, null);
+    }
+});
@@ -0,0 +1,19 @@
+// AsciiDoc fixtures: each test/fixtures/asciidoc/NAME.adoc renders to NAME.html.
+// escaping.adoc feeds <script>, & and quotes through every inline and block path.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { load } = require('./load');
+
+const { AsciiDoc } = load(['mathml.js', 'asciidoc.js'], ['AsciiDoc']);
+const fixtures = path.join(__dirname, 'fixtures', 'asciidoc');
+
+for (const file of fs.readdirSync(fixtures).filter(name => name.endsWith('.adoc'))) {
+    const name = file.replace(/\.adoc$/, '');
+    test(name, () => {
+        const input = fs.readFileSync(path.join(fixtures, file), 'utf8');
+        const expected = fs.readFileSync(path.join(fixtures, name + '.html'), 'utf8');
+        assert.strictEqual(AsciiDoc.parse(input) + '\n', expected);
+    });
+}
\ No newline at end of file
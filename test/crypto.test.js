@@ -0,0 +1,108 @@
+// BIP-340 Schnorr test vectors for Crypto.sign and Crypto.verify
+// https://github.com/bitcoin/bips/blob/master/bip-0340/test-vectors.csv
+// and the NIP-49 ncryptsec example
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const { Crypto, Bech32, Nip49 } = load(['crypto.js'], ['Crypto', 'Bech32', 'Nip49'], { crypto: globalThis.crypto, TextEncoder });
+
+const zero = '0000000000000000000000000000000000000000000000000000000000000000';
+const ones = 'FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF';
+const message = '243F6A8885A308D313198A2E03707344A4093822299F31D0082EFA98EC4E6C89';
+const pubkey = 'DFF1D77F2A671C5F36183726DB2341BE58FEAE1DA2DECED843240F7B502BA659';
+
+// [index, secret key, public key, aux rand, message, signature]
+const signing = [
+    [0, '0000000000000000000000000000000000000000000000000000000000000003',
+        'F9308A019258C31049344F85F89D5229B531C845836F99B08601F113BCE036F9', zero, zero,
+        'E907831F80848D1069A5371B402410364BDF1C5F8307B0084C55F1CE2DCA821525F66A4A85EA8B71E482A74F382D2CE5EBEEE8FDB2172F477DF4900D310536C0'],
+    [1, 'B7E151628AED2A6ABF7158809CF4F3C762E7160F38B4DA56A784D9045190CFEF', pubkey,
+        '0000000000000000000000000000000000000000000000000000000000000001', message,
+        '6896BD60EEAE296DB48A229FF71DFE071BDE413E6D43F917DC8DCF8C78DE33418906D11AC976ABCCB20B091292BFF4EA897EFCB639EA871CFA95F6DE339E4B0A'],
+    [2, 'C90FDAA22168C234C4C6628B80DC1CD129024E088A67CC74020BBEA63B14E5C9',
+        'DD308AFEC5777E13121FA72B9CC1B7CC0139715309B086C960E18FD969774EB8',
+        'C87AA53824B4D7AE2EB035A2B5BBBCCC080E76CDC6D1692C4B0B62D798E6D906',
+        '7E2D58D8B3BCDF1ABADEC7829054F90DDA9805AAB56C77333024B9D0A508B75C',
+        '5831AAEED7B44BB74E5EAB94BA9D4294C49BCF2A60728D8B4C200F50DD313C1BAB745879A5AD954A72C45A91C3A51D3C7ADEA98D82F8481E0E1E03674A6F3FB7'],
+    [3, '0B432B2677937381AEF05BB02A66ECD012773062CF3FA2549E44F58ED2401710',
+        '25D1DFF95105F5253C4022F628A996AD3A0D95FBF21D468A1B33F8C160D8F517', ones, ones,
+        '7EB0509757E246F19449885651611CB965ECC1A187DD51B64FDA1EDC9637D5EC97582B9CB13DB3933705B32BA982AF5AF25FD78881EBB32771FC5922EFC66EA3']
+];
+
+// [index, public key, message, signature, reason]
+const invalid = [
+    [5, 'EEFDEA4CDB677750A420FEE807EACF21EB9898AE79B9768766E4FAA04A2D4A34', message,
+        '6CFF5C3BA86C69EA4B7376F31A9BCB4F74C1976089B2D9963DA2E5543E17776969E89B4C5564D00349106B8497785DD7D1D713A8AE82B32FA79D5F7FC407D39B',
+        'public key not on the curve'],
+    [6, pubkey, message,
+        'FFF97BD5755EEEA420453A14355235D382F6472F8568A18B2F057A14602975563CC27944640AC607CD107AE10923D9EF7A73C643E166BE5EBEAFA34B1AC553E2',
+        'has_even_y(R) is false'],
+    [7, pubkey, message,
+        '1FA62E331EDBC21C394792D2AB1100A7B432B013DF3F6FF4F99FCB33E0E1515F28890B3EDB6E7189B630448B515CE4F8622A954CFE545735AAEA5134FCCDB2BD',
+        'negated message'],
+    [8, pubkey, message,
+        '6CFF5C3BA86C69EA4B7376F31A9BCB4F74C1976089B2D9963DA2E5543E177769961764B3AA9B2FFCB6EF947B6887A226E8D7C93E00C5ED0C1834FF0D0C2E6DA6',
+        'negated s value'],
+    [9, pubkey, message,
+        '0000000000000000000000000000000000000000000000000000000000000000123DDA8328AF9C23A94C1FEECFD123BA4FB73476F0D594DCB65C6425BD186051',
+        'sG - eP is infinite (x(inf) taken as 0)'],
+    [10, pubkey, message,
+        '00000000000000000000000000000000000000000000000000000000000000017615FBAF5AE28864013C099742DEADB4DBA87F11AC6754F93780D5A1837CF197',
+        'sG - eP is infinite (x(inf) taken as 1)'],
+    [11, pubkey, message,
+        '4A298DACAE57395A15D0795DDBFD1DCB564DA82B0F269BC70A74F8220429BA1D69E89B4C5564D00349106B8497785DD7D1D713A8AE82B32FA79D5F7FC407D39B',
+        'sig[0:32] is not an X coordinate on the curve'],
+    [12, pubkey, message,
+        'FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEFFFFFC2F69E89B4C5564D00349106B8497785DD7D1D713A8AE82B32FA79D5F7FC407D39B',
+        'sig[0:32] is equal to the field size'],
+    [13, pubkey, message,
+        '6CFF5C3BA86C69EA4B7376F31A9BCB4F74C1976089B2D9963DA2E5543E177769FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141',
+        'sig[32:64] is equal to the curve order'],
+    [14, 'FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEFFFFFC30', message,
+        '6CFF5C3BA86C69EA4B7376F31A9BCB4F74C1976089B2D9963DA2E5543E17776969E89B4C5564D00349106B8497785DD7D1D713A8AE82B32FA79D5F7FC407D39B',
+        'public key exceeds the field size']
+];
+
+const hex = value => value.toLowerCase();
+
+for (const [index, secretKey, publicKey, auxRand, msg, signature] of signing) {
+    test(`vector ${index}: sign and verify`, async () => {
+        assert.strictEqual(Crypto.getPublicKey(hex(secretKey)), hex(publicKey));
+        assert.strictEqual(await Crypto.sign(hex(secretKey), hex(msg), hex(auxRand)), hex(signature));
+        assert.strictEqual(await Crypto.verify(hex(publicKey), hex(msg), hex(signature)), true);
+    });
+}
+
+test('vector 4: verify only', async () => {
+    assert.strictEqual(await Crypto.verify(
+        'd69c3509bb99e412e68b0fe8544e72837dfa30746d8be2aa65975f29d22dc7b9',
+        '4df3c3f68fcc83b27e9d42c90431a72499f17875c81a599b566c9889b9696703',
+        '00000000000000000000003b78ce563f89a0ed9414f5aa28ad0d96d6795f9c6376afb1548af603b3eb45c9f8207dee1060cb71c04e80f593060b07d28308d7f4'
+    ), true);
+});
+
+for (const [index, publicKey, msg, signature, reason] of invalid) {
+    test(`vector ${index}: rejects, ${reason}`, async () => {
+        assert.strictEqual(await Crypto.verify(hex(publicKey), hex(msg), hex(signature)), false);
+    });
+}
+
+const ncryptsec = 'ncryptsec1qgg9947rlpvqu76pj5ecreduf9jxhselq2nae2kghhvd5g7dgjtcxfqtd67p9m0w57lspw8gsq6yphnm8623nsl8' +
+    'xn9j4jdzz84zm3frztj3z7s35vpzmqf6ksu8r89qk5z2zxfmu5gv8th8wclt0h4p';
+
+test('NIP-49: decrypts the example ncryptsec', async () => {
+    assert.strictEqual(await Nip49.decrypt(ncryptsec, 'nostr'),
+        '3501454135014541350145413501453fefb02227e449e57cf4d3a3ce05378683');
+});
+
+test('NIP-49: rejects a logN outside 16-22 before running scrypt', async () => {
+    const withLogN = (logN) => {
+        const payload = Bech32.decodeNcryptsec(ncryptsec);
+        payload[1] = logN;
+        return Bech32.encodeNcryptsec(payload);
+    };
+    for (const logN of [0, 15, 23, 31, 255]) {
+        await assert.rejects(Nip49.decrypt(withLogN(logN), 'nostr'), /Unsupported ncryptsec strength/);
+    }
+});
\ No newline at end of file
@@ -0,0 +1,118 @@
+// Line diffs behind the compare and history views
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const { Diff } = load(['diff.js'], ['Diff']);
+
+// Values from the VM context, as plain objects of this realm
+const plain = value => JSON.parse(JSON.stringify(value));
+
+// Applying the edit script to a must give b
+function apply(a, ops) {
+    const result = [];
+    let i = 0;
+    ops.forEach(op => {
+        if (op.type === 'insert') {
+            result.push(...op.items);
+            return;
+        }
+        assert.deepStrictEqual(plain(op.items), a.slice(i, i + op.items.length));
+        if (op.type === 'equal') result.push(...op.items);
+        i += op.items.length;
+    });
+    assert.strictEqual(i, a.length);
+    return result;
+}
+
+test('inserts, deletes and replaces lines', () => {
+    assert.deepStrictEqual(plain(Diff.diff(['a', 'c'], ['a', 'b', 'c'])), [
+        { type: 'equal', items: ['a'] },
+        { type: 'insert', items: ['b'] },
+        { type: 'equal', items: ['c'] }
+    ]);
+    assert.deepStrictEqual(plain(Diff.diff(['a', 'b', 'c'], ['a', 'c'])), [
+        { type: 'equal', items: ['a'] },
+        { type: 'delete', items: ['b'] },
+        { type: 'equal', items: ['c'] }
+    ]);
+    assert.deepStrictEqual(plain(Diff.diff(['a', 'b', 'c'], ['a', 'x', 'c'])), [
+        { type: 'equal', items: ['a'] },
+        { type: 'delete', items: ['b'] },
+        { type: 'insert', items: ['x'] },
+        { type: 'equal', items: ['c'] }
+    ]);
+    assert.deepStrictEqual(plain(Diff.diff([], [])), []);
+    assert.deepStrictEqual(plain(Diff.diff([], ['a'])), [{ type: 'insert', items: ['a'] }]);
+});
+
+test('edit scripts are minimal and rebuild the new text', () => {
+    const pairs = [
+        ['abcabba', 'cbabac'],
+        ['the quick brown fox', 'a quick brown dog jumps'],
+        ['xxxxyyyy', 'yyyyxxxx'],
+        ['', 'new'],
+        ['old', '']
+    ];
+    pairs.forEach(([a, b]) => {
+        const ops = Diff.diff([...a], [...b]);
+        assert.deepStrictEqual(apply([...a], ops), [...b]);
+        // Adjacent ops of the same type are merged
+        ops.forEach((op, i) => assert.notStrictEqual(op.type, ops[i + 1]?.type));
+    });
+    // The textbook example from Myers' paper needs five edits
+    const edits = Diff.diff([...'abcabba'], [...'cbabac'])
+        .filter(op => op.type !== 'equal')
+        .reduce((sum, op) => sum + op.items.length, 0);
+    assert.strictEqual(edits, 5);
+});
+
+test('gives up on the shortest script past maxEdits', () => {
+    const saved = Diff.maxEdits;
+    Diff.maxEdits = 2;
+    try {
+        assert.deepStrictEqual(plain(Diff.diff([...'abcd'], [...'wxyz'])), [
+            { type: 'delete', items: [...'abcd'] },
+            { type: 'insert', items: [...'wxyz'] }
+        ]);
+    } finally {
+        Diff.maxEdits = saved;
+    }
+});
+
+test('line rows pair removed lines with the lines that replace them', () => {
+    const rows = Diff.lineRows('one\ntwo\nthree\nfour', 'one\nTWO\nfour\nfive');
+    assert.deepStrictEqual(plain(rows), [
+        { type: 'equal', oldLine: 'one', newLine: 'one' },
+        { type: 'change', oldLine: 'two', newLine: 'TWO' },
+        { type: 'change', oldLine: 'three' },
+        { type: 'equal', oldLine: 'four', newLine: 'four' },
+        { type: 'insert', newLine: 'five' }
+    ]);
+
+    assert.deepStrictEqual(plain(Diff.lineRows('a\nb', 'a')), [
+        { type: 'equal', oldLine: 'a', newLine: 'a' },
+        { type: 'delete', oldLine: 'b' }
+    ]);
+    // Windows line endings are not a change
+    assert.ok(Diff.lineRows('a\r\nb', 'a\nb').every(row => row.type === 'equal'));
+});
+
+test('counts added and removed lines', () => {
+    assert.deepStrictEqual(plain(Diff.stats('a\nb\nc', 'a\nx\nc\nd')), { added: 2, removed: 1 });
+    assert.deepStrictEqual(plain(Diff.stats('same', 'same')), { added: 0, removed: 0 });
+});
+
+test('collapses long unchanged runs away from changes', () => {
+    const lines = n => Array.from({ length: n }, (_, i) => 'line ' + i);
+    const old = lines(20);
+    const changed = [...old];
+    changed[10] = 'edited';
+
+    const rows = plain(Diff.collapse(Diff.lineRows(old.join('\n'), changed.join('\n'))));
+    assert.deepStrictEqual(rows.map(row => row.type), [
+        'skip', 'equal', 'equal', 'equal', 'change', 'equal', 'equal', 'equal', 'skip'
+    ]);
+    assert.strictEqual(rows[0].count, 7);
+    assert.strictEqual(rows[8].count, 6);
+});
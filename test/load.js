@@ -0,0 +1,19 @@
+// Loads the browser scripts into a VM context, the way index.html does, so the
+// DOM-free modules can be tested under Node
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const root = path.join(__dirname, '..');
+
+// files: scripts in load order, names: globals to return, globals: extra context
+function load(files, names, globals = {}) {
+    const context = vm.createContext({ console, ...globals });
+    for (const file of files) {
+        const source = fs.readFileSync(path.join(root, file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    }
+    return vm.runInContext(`({ ${names.join(', ')} })`, context);
+}
+
+module.exports = { load };
\ No newline at end of file
@@ -0,0 +1,164 @@
+// CommonMark and GFM spec examples for Markdown.parse
+const test = require('node:test');
+const assert = require('node:assert');
+const spec = require('commonmark-spec');
+const { load } = require('./load');
+
+const { Markdown } = load(['mathml.js', 'markdown.js'], ['Markdown']);
+
+// The spec files write tabs as → so they stay visible
+const tabs = text => text.replace(/→/g, '\t');
+
+// Void elements are written as <br> rather than <br />
+const normalize = html => html.replace(/(<(?:br|hr|img)\b[^>]*?) \/>/g, '$1>');
+
+// Intentional deviations, by example. Raw HTML is escaped unless options.html is
+// set, so the CommonMark examples run with html: true.
+const wikilinks = 'wikilinks: [[...]] links to the article of that name';
+const deviations = {
+    'CommonMark 548': wikilinks,
+    'CommonMark 559': wikilinks,
+    'CommonMark 590': wikilinks,
+    'CommonMark 608': 'autolinks: bare URLs are linked (GFM autolink extension)',
+    'CommonMark 611': 'autolinks: bare URLs are linked (GFM autolink extension)',
+    'GFM 279': 'task lists: items carry classes for styling',
+    'GFM 628': 'autolinks: only http(s) and www. links are extended',
+    'GFM 629': 'autolinks: email addresses are not linked',
+    'GFM 630': 'autolinks: email addresses are not linked',
+    'GFM 631': 'autolinks: email addresses are not linked'
+};
+
+for (const example of spec.tests) {
+    const name = `CommonMark ${example.number}`;
+    test(`${name} (${example.section})`, { skip: deviations[name] }, () => {
+        const html = Markdown.parse(tabs(example.markdown), { html: true });
+        assert.strictEqual(html, normalize(tabs(example.html)));
+    });
+}
+
+// GitHub Flavored Markdown extension examples
+const gfm = [
+    [198, '| foo | bar |\n| --- | --- |\n| baz | bim |\n',
+        '<table>\n<thead>\n<tr>\n<th>foo</th>\n<th>bar</th>\n</tr>\n</thead>\n<tbody>\n<tr>\n<td>baz</td>\n<td>bim</td>\n</tr>\n</tbody>\n</table>\n'],
+    [199, '| abc | defghi |\n:-: | -----------:\nbar | baz\n',
+        '<table>\n<thead>\n<tr>\n<th align="center">abc</th>\n<th align="right">defghi</th>\n</tr>\n</thead>\n<tbody>\n<tr>\n<td align="center">bar</td>\n<td align="right">baz</td>\n</tr>\n</tbody>\n</table>\n'],
+    [200, '| f\\|oo  |\n| ------ |\n| b `\\|` az |\n| b **\\|** im |\n',
+        '<table>\n<thead>\n<tr>\n<th>f|oo</th>\n</tr>\n</thead>\n<tbody>\n<tr>\n<td>b <code>|</code> az</td>\n</tr>\n<tr>\n<td>b <strong>|</strong> im</td>\n</tr>\n</tbody>\n</table>\n'],
+    [201, '| abc | def |\n| --- | --- |\n| bar | baz |\n> bar\n',
+        '<table>\n<thead>\n<tr>\n<th>abc</th>\n<th>def</th>\n</tr>\n</thead>\n<tbody>\n<tr>\n<td>bar</td>\n<td>baz</td>\n</tr>\n</tbody>\n</table>\n<blockquote>\n<p>bar</p>\n</blockquote>\n'],
+    [202, '| abc | def |\n| --- | --- |\n| bar | baz |\nbar\n\nbar\n',
+        '<table>\n<thead>\n<tr>\n<th>abc</th>\n<th>def</th>\n</tr>\n</thead>\n<tbody>\n<tr>\n<td>bar</td>\n<td>baz</td>\n</tr>\n<tr>\n<td>bar</td>\n<td></td>\n</tr>\n</tbody>\n</table>\n<p>bar</p>\n'],
+    [203, '| abc | def |\n| --- |\n| bar |\n',
+        '<p>| abc | def |\n| --- |\n| bar |</p>\n'],
+    [204, '| abc | def |\n| --- | --- |\n| bar |\n| bar | baz | boo |\n',
+        '<table>\n<thead>\n<tr>\n<th>abc</th>\n<th>def</th>\n</tr>\n</thead>\n<tbody>\n<tr>\n<td>bar</td>\n<td></td>\n</tr>\n<tr>\n<td>bar</td>\n<td>baz</td>\n</tr>\n</tbody>\n</table>\n'],
+    [205, '| abc | def |\n| --- | --- |\n',
+        '<table>\n<thead>\n<tr>\n<th>abc</th>\n<th>def</th>\n</tr>\n</thead>\n</table>\n'],
+    [279, '- [ ] foo\n- [x] bar\n',
+        '<ul>\n<li><input disabled="" type="checkbox"> foo</li>\n<li><input checked="" disabled="" type="checkbox"> bar</li>\n</ul>\n'],
+    [491, '~~Hi~~ Hello, ~there~ world!\n',
+        '<p><del>Hi</del> Hello, <del>there</del> world!</p>\n'],
+    [492, 'This ~~has a\n\nnew paragraph~~.\n',
+        '<p>This ~~has a</p>\n<p>new paragraph~~.</p>\n'],
+    [493, 'This will ~~~not~~~ strike.\n',
+        '<p>This will ~~~not~~~ strike.</p>\n'],
+    [621, 'www.commonmark.org\n',
+        '<p><a href="http://www.commonmark.org">www.commonmark.org</a></p>\n'],
+    [622, 'Visit www.commonmark.org/help for more information.\n',
+        '<p>Visit <a href="http://www.commonmark.org/help">www.commonmark.org/help</a> for more information.</p>\n'],
+    [623, 'Visit www.commonmark.org.\n\nVisit www.commonmark.org/a.b.\n',
+        '<p>Visit <a href="http://www.commonmark.org">www.commonmark.org</a>.</p>\n<p>Visit <a href="http://www.commonmark.org/a.b">www.commonmark.org/a.b</a>.</p>\n'],
+    [624, 'www.google.com/search?q=Markup+(business)\n\nwww.google.com/search?q=Markup+(business)))\n\n(www.google.com/search?q=Markup+(business))\n\n(www.google.com/search?q=Markup+(business)\n',
+        '<p><a href="http://www.google.com/search?q=Markup+(business)">www.google.com/search?q=Markup+(business)</a></p>\n<p><a href="http://www.google.com/search?q=Markup+(business)">www.google.com/search?q=Markup+(business)</a>))</p>\n<p>(<a href="http://www.google.com/search?q=Markup+(business)">www.google.com/search?q=Markup+(business)</a>)</p>\n<p>(<a href="http://www.google.com/search?q=Markup+(business)">www.google.com/search?q=Markup+(business)</a></p>\n'],
+    [625, 'www.google.com/search?q=(business))+ok\n',
+        '<p><a href="http://www.google.com/search?q=(business))+ok">www.google.com/search?q=(business))+ok</a></p>\n'],
+    [626, 'www.google.com/search?q=commonmark&hl=en\n\nwww.google.com/search?q=commonmark&hl;\n',
+        '<p><a href="http://www.google.com/search?q=commonmark&amp;hl=en">www.google.com/search?q=commonmark&amp;hl=en</a></p>\n<p><a href="http://www.google.com/search?q=commonmark">www.google.com/search?q=commonmark</a>&amp;hl;</p>\n'],
+    [627, 'www.commonmark.org/he<lp\n',
+        '<p><a href="http://www.commonmark.org/he">www.commonmark.org/he</a>&lt;lp</p>\n'],
+    [628, 'http://commonmark.org\n\n(Visit https://encrypted.google.com/search?q=Markup+(business))\n\nAnonymous FTP is available at ftp://foo.bar.baz.\n',
+        '<p><a href="http://commonmark.org">http://commonmark.org</a></p>\n<p>(Visit <a href="https://encrypted.google.com/search?q=Markup+(business)">https://encrypted.google.com/search?q=Markup+(business)</a>)</p>\n<p>Anonymous FTP is available at <a href="ftp://foo.bar.baz">ftp://foo.bar.baz</a>.</p>\n'],
+    [629, 'foo@bar.baz\n',
+        '<p><a href="mailto:foo@bar.baz">foo@bar.baz</a></p>\n'],
+    [630, 'hello@mail+xyz.example isn\'t valid, but hello+xyz@mail.example is.\n',
+        '<p>hello@mail+xyz.example isn\'t valid, but <a href="mailto:hello+xyz@mail.example">hello+xyz@mail.example</a> is.</p>\n'],
+    [631, 'a.b-c_d@a.b\n\na.b-c_d@a.b.\n\na.b-c_d@a.b-\n\na.b-c_d@a.b_\n',
+        '<p><a href="mailto:a.b-c_d@a.b">a.b-c_d@a.b</a></p>\n<p><a href="mailto:a.b-c_d@a.b">a.b-c_d@a.b</a>.</p>\n<p>a.b-c_d@a.b-</p>\n<p>a.b-c_d@a.b_</p>\n']
+];
+
+for (const [number, markdown, expected] of gfm) {
+    const name = `GFM ${number}`;
+    test(name, { skip: deviations[name] }, () => {
+        assert.strictEqual(Markdown.parse(markdown), normalize(expected));
+    });
+}
+
+
+// The footnote example from the cmark-gfm extension spec. The markup is this repo's:
+// a References heading and plain backrefs instead of cmark-gfm's data- attributes.
+const backref = n => `<a href="#fnref-${n}" class="footnote-backref">\u21a9</a>`;
+const ref = n => `<sup class="footnote-ref"><a href="#fn-${n}" id="fnref-${n}">${n}</a></sup>`;
+
+test('GFM footnotes', () => {
+    const markdown = 'This is some text![^1]. Other text.[^footnote].\n\n' +
+        'Here\'s a thing[^other-note].\n\n' +
+        'And another thing[^codeblock-note].\n\n' +
+        'This doesn\'t have a referent[^nope].\n\n\n' +
+        '[^other-note]:       no code block here (spaces are stripped away)\n\n' +
+        '[^codeblock-note]:\n        this is now a code block (8 spaces indentation)\n\n' +
+        '[^1]: Some *bolded* footnote definition.\n\n' +
+        'Hi!\n\n' +
+        '[^footnote]:\n    > Blockquotes can be in a footnote.\n\n' +
+        '        as well as code blocks\n\n' +
+        '    or, naturally, simple paragraphs.\n\n' +
+        '[^unused]: This is unused.\n';
+    assert.strictEqual(Markdown.parse(markdown),
+        `<p>This is some text!${ref(1)}. Other text.${ref(2)}.</p>\n` +
+        `<p>Here's a thing${ref(3)}.</p>\n` +
+        `<p>And another thing${ref(4)}.</p>\n` +
+        '<p>This doesn\'t have a referent[^nope].</p>\n' +
+        '<p>Hi!</p>\n' +
+        '<section class="footnotes">\n<h2 class="footnotes-title">References</h2>\n<ol>\n' +
+        `<li id="fn-1">\n<p>Some <em>bolded</em> footnote definition. ${backref(1)}</p>\n</li>\n` +
+        '<li id="fn-2">\n<blockquote>\n<p>Blockquotes can be in a footnote.</p>\n</blockquote>\n' +
+        '<pre><code>as well as code blocks\n</code></pre>\n' +
+        `<p>or, naturally, simple paragraphs. ${backref(2)}</p>\n</li>\n` +
+        `<li id="fn-3">\n<p>no code block here (spaces are stripped away) ${backref(3)}</p>\n</li>\n` +
+        '<li id="fn-4">\n<pre><code>this is now a code block (8 spaces indentation)\n</code></pre>\n' +
+        `<p>${backref(4)}</p>\n</li>\n` +
+        '</ol>\n</section>\n');
+});
+
+test('footnotes referenced twice get a backref per reference', () => {
+    assert.strictEqual(Markdown.parse('One[^a], two[^A].\n\n[^a]: Note.\n'),
+        `<p>One${ref(1)}, two<sup class="footnote-ref"><a href="#fn-1" id="fnref-1-2">1</a></sup>.</p>\n` +
+        '<section class="footnotes">\n<h2 class="footnotes-title">References</h2>\n<ol>\n' +
+        `<li id="fn-1">\n<p>Note. ${backref(1)} <a href="#fnref-1-2" class="footnote-backref">\u21a9</a></p>\n</li>\n` +
+        '</ol>\n</section>\n');
+});
+
+test('{cn} marks a claim that needs a source', () => {
+    const cn = '<sup class="citation-needed" title="This claim needs a reliable source">[citation needed]</sup>';
+    assert.strictEqual(Markdown.parse('Nostr is popular{cn}. Or {CN}.\n'), `<p>Nostr is popular${cn}. Or ${cn}.</p>\n`);
+    assert.strictEqual(Markdown.parse('`{cn}` in code\n'), '<p><code>{cn}</code> in code</p>\n');
+});
+
+test('raw HTML is escaped by default', () => {
+    assert.strictEqual(Markdown.parse('<div onclick="x()">\n'), '<p>&lt;div onclick=&quot;x()&quot;&gt;</p>\n');
+    assert.strictEqual(Markdown.parse('a <img src=x onerror=y> b\n'), '<p>a &lt;img src=x onerror=y&gt; b</p>\n');
+});
+
+// Tabs count to the next multiple of four columns wherever indentation matters
+test('tabs expand to tab stops of 4', () => {
+    assert.strictEqual(Markdown.parse('\tfoo\tbaz\t\tbim\n'), '<pre><code>foo\tbaz\t\tbim\n</code></pre>\n');
+    assert.strictEqual(Markdown.parse('#\tFoo\n'), '<h1>Foo</h1>\n');
+    assert.strictEqual(Markdown.parse('-\t\tfoo\n'), '<ul>\n<li>\n<pre><code>  foo\n</code></pre>\n</li>\n</ul>\n');
+    assert.strictEqual(Markdown.parse('  - foo\n\n\tbar\n'), '<ul>\n<li>\n<p>foo</p>\n<p>bar</p>\n</li>\n</ul>\n');
+    assert.strictEqual(Markdown.parse(' - foo\n   - bar\n\t - baz\n'),
+        '<ul>\n<li>foo\n<ul>\n<li>bar\n<ul>\n<li>baz</li>\n</ul>\n</li>\n</ul>\n</li>\n</ul>\n');
+    assert.strictEqual(Markdown.parse('>\t\tfoo\n'), '<blockquote>\n<pre><code>  foo\n</code></pre>\n</blockquote>\n');
+});
+
+test('a tab character reference decodes to a tab', () => {
+    assert.strictEqual(Markdown.parse('&#9;foo\n'), '<p>\tfoo</p>\n');
+});
\ No newline at end of file
@@ -0,0 +1,45 @@
+// TeX to MathML, and the source fallback for formulas the converter cannot read
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+
+const { MathML, Markdown, AsciiDoc } = load(['mathml.js', 'markdown.js', 'asciidoc.js'], ['MathML', 'Markdown', 'AsciiDoc']);
+
+const math = (body, tex, display = false) =>
+    `<math xmlns="http://www.w3.org/1998/Math/MathML"${display ? ' display="block"' : ''}><semantics>${body}` +
+    `<annotation encoding="application/x-tex">${tex}</annotation></semantics></math>`;
+
+test('renders supported TeX as MathML', () => {
+    assert.strictEqual(MathML.render('x^2'), math('<msup><mi>x</mi><mn>2</mn></msup>', 'x^2'));
+    assert.strictEqual(MathML.render('\\frac{a}{b}'), math('<mfrac><mi>a</mi><mi>b</mi></mfrac>', '\\frac{a}{b}'));
+    assert.strictEqual(MathML.render('\\sqrt{x+1}'),
+        math('<msqrt><mrow><mi>x</mi><mo>+</mo><mn>1</mn></mrow></msqrt>', '\\sqrt{x+1}'));
+    assert.strictEqual(MathML.render('\\alpha_i'), math('<msub><mi>α</mi><mi>i</mi></msub>', '\\alpha_i'));
+    assert.strictEqual(MathML.render('E = mc^2', true),
+        math('<mrow><mi>E</mi><mo>=</mo><mi>m</mi><msup><mi>c</mi><mn>2</mn></msup></mrow>', 'E = mc^2', true));
+    // The annotation keeps the source, escaped
+    assert.ok(MathML.render('a<b').includes('<annotation encoding="application/x-tex">a&lt;b</annotation>'));
+});
+
+test('rejects TeX it cannot convert', () => {
+    assert.throws(() => MathML.render('\\unknown{x}'), /Unknown command \\unknown/);
+    assert.throws(() => MathML.render('\\frac{a}'), /Missing argument/);
+    assert.throws(() => MathML.render('{x'), /Missing \}/);
+    assert.throws(() => MathML.render('x}'), /Unexpected \}/);
+    assert.throws(() => MathML.render('{'.repeat(1000)), /nested too deeply/);
+});
+
+test('unsupported TeX in Markdown falls back to its escaped source', () => {
+    assert.strictEqual(Markdown.parse('Inline $\\foo<script>$ here.\n', { math: true }),
+        '<p>Inline <code class="math-source" title="Unknown command \\foo">\\foo&lt;script&gt;</code> here.</p>\n');
+    assert.strictEqual(Markdown.parse('$$\n\\frac{1}{<b>\n$$\n', { math: true }),
+        '<div class="math-display"><pre><code class="math-source" title="Missing }">\\frac{1}{&lt;b&gt;\n</code></pre></div>\n');
+    assert.strictEqual(Markdown.parse('Inline $x^2$.\n', { math: true }),
+        `<p>Inline ${math('<msup><mi>x</mi><mn>2</mn></msup>', 'x^2')}.</p>\n`);
+});
+
+test('unsupported TeX in AsciiDoc falls back to its escaped source', () => {
+    assert.strictEqual(AsciiDoc.parse('stem:[\\foo<b>] and stem:[x^2]\n'),
+        '<p><code class="math-source" title="Unknown command \\foo">\\foo&lt;b&gt;</code> and ' +
+        `${math('<msup><mi>x</mi><mn>2</mn></msup>', 'x^2')}</p>`);
+});
@@ -0,0 +1,114 @@
+// In-memory relays and a WebSocket class that talks to them, so nostr.js and signer.js
+// can be tested without a network
+function createNetwork(matches) {
+    const relays = {};
+
+    // Options a test can flip on a relay: refuse (connections fail), silent (no OKs) and
+    // closeReason (answer every REQ with CLOSED instead of stored events)
+    const relay = (url) => {
+        if (!relays[url]) {
+            relays[url] = {
+                url,
+                events: [],
+                received: [],
+                sockets: new Set(),
+                listeners: [],
+                refuse: false,
+                silent: false,
+                closeReason: null,
+
+                // Store an event and hand it to every matching subscription
+                publish(event) {
+                    this.events.push(event);
+                    this.listeners.forEach(listener => listener(event));
+                    this.sockets.forEach(socket => {
+                        Object.entries(socket.subs).forEach(([id, filters]) => {
+                            if (filters.some(filter => matches(event, filter))) {
+                                socket.deliver(['EVENT', id, event]);
+                            }
+                        });
+                    });
+                },
+
+                requests() {
+                    return this.received.filter(([type]) => type === 'REQ');
+                }
+            };
+        }
+        return relays[url];
+    };
+
+    class MockWebSocket {
+        constructor(url) {
+            this.url = url;
+            this.relay = relay(url);
+            this.readyState = MockWebSocket.CONNECTING;
+            this.subs = {};
+
+            setTimeout(() => {
+                if (this.relay.refuse) {
+                    this.readyState = MockWebSocket.CLOSED;
+                    if (this.onerror) this.onerror(new Error('Connection refused'));
+                    if (this.onclose) this.onclose();
+                    return;
+                }
+                this.readyState = MockWebSocket.OPEN;
+                this.relay.sockets.add(this);
+                if (this.onopen) this.onopen();
+            });
+        }
+
+        send(data) {
+            if (this.readyState !== MockWebSocket.OPEN) {
+                throw new Error('WebSocket is not open');
+            }
+            const message = JSON.parse(data);
+            this.relay.received.push(message);
+
+            const [type, ...rest] = message;
+            if (type === 'REQ') {
+                const [id, ...filters] = rest;
+                if (this.relay.closeReason) {
+                    this.deliver(['CLOSED', id, this.relay.closeReason]);
+                    return;
+                }
+                this.subs[id] = filters;
+                this.relay.events
+                    .filter(event => filters.some(filter => matches(event, filter)))
+                    .forEach(event => this.deliver(['EVENT', id, event]));
+                this.deliver(['EOSE', id]);
+            } else if (type === 'CLOSE') {
+                delete this.subs[rest[0]];
+            } else if (type === 'EVENT') {
+                if (!this.relay.silent) this.deliver(['OK', rest[0].id, true, '']);
+                this.relay.publish(rest[0]);
+            }
+        }
+
+        deliver(message) {
+            setTimeout(() => {
+                if (this.readyState === MockWebSocket.OPEN && this.onmessage) {
+                    this.onmessage({ data: JSON.stringify(message) });
+                }
+            });
+        }
+
+        close() {
+            if (this.readyState === MockWebSocket.CLOSED) return;
+            this.readyState = MockWebSocket.CLOSED;
+            this.relay.sockets.delete(this);
+            setTimeout(() => {
+                if (this.onclose) this.onclose();
+            });
+        }
+    }
+
+    MockWebSocket.CONNECTING = 0;
+    MockWebSocket.OPEN = 1;
+    MockWebSocket.CLOSING = 2;
+    MockWebSocket.CLOSED = 3;
+
+    return { relays, relay, WebSocket: MockWebSocket };
+}
+
+module.exports = { createNetwork };
\ No newline at end of file
@@ -0,0 +1,71 @@
+// A NIP-46 bunker answering on a mock relay. Modes: 'ok' answers every request,
+// 'silent' never answers, 'auth' first asks for approval with an auth_url, 'nip04'
+// only reads NIP-04 requests. Replies use the encryption of the request.
+function createBunker(scope, relay, mode = 'ok') {
+    const { Crypto, Nip04, Nip44, Signer } = scope;
+    const bunkerKey = Crypto.generatePrivateKey();
+    const userKey = Crypto.generatePrivateKey();
+    const bunkerSigner = Signer.local(bunkerKey);
+    const userSigner = Signer.local(userKey);
+
+    const bunker = {
+        mode,
+        pubkey: Crypto.getPublicKey(bunkerKey),
+        userPubkey: Crypto.getPublicKey(userKey),
+        authUrl: 'https://bunker.example/approve',
+        requests: [],
+
+        uri(secret = '') {
+            return `bunker://${bunker.pubkey}?relay=${encodeURIComponent(relay.url)}` +
+                (secret ? '&secret=' + secret : '');
+        },
+
+        async handle(request) {
+            switch (request.method) {
+                case 'connect':
+                    return { result: 'ack' };
+                case 'get_public_key':
+                    return { result: bunker.userPubkey };
+                case 'sign_event': {
+                    const event = await userSigner.signEvent(JSON.parse(request.params[0]));
+                    return { result: JSON.stringify(event) };
+                }
+                default:
+                    return { error: 'unsupported method ' + request.method };
+            }
+        }
+    };
+
+    relay.listeners.push(async (event) => {
+        if (event.kind !== 24133 || !event.tags.some(t => t[0] === 'p' && t[1] === bunker.pubkey)) return;
+
+        const nip04 = Nip04.isPayload(event.content);
+        if (bunker.mode === 'nip04' && !nip04) return;
+        const conversationKey = await Nip44.getConversationKey(bunkerKey, event.pubkey);
+        const request = JSON.parse(nip04
+            ? await Nip04.decrypt(bunkerKey, event.pubkey, event.content)
+            : await Nip44.decrypt(conversationKey, event.content));
+        bunker.requests.push({ ...request, nip04 });
+        if (bunker.mode === 'silent') return;
+
+        const reply = async (message) => {
+            relay.publish(await bunkerSigner.signEvent({
+                kind: 24133,
+                created_at: Math.floor(Date.now() / 1000),
+                tags: [['p', event.pubkey]],
+                content: nip04
+                    ? await Nip04.encrypt(bunkerKey, event.pubkey, JSON.stringify({ id: request.id, ...message }))
+                    : await Nip44.encrypt(conversationKey, JSON.stringify({ id: request.id, ...message }))
+            }));
+        };
+
+        if (bunker.mode === 'auth') {
+            await reply({ result: 'auth_url', error: bunker.authUrl });
+        }
+        await reply(await bunker.handle(request));
+    });
+
+    return bunker;
+}
+
+module.exports = { createBunker };
\ No newline at end of file
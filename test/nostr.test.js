@@ -0,0 +1,307 @@
+// Relay pool behaviour of nostr.js against mock relays
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+const { createNetwork } = require('./mock-relay');
+
+function setup() {
+    let scope;
+    const network = createNetwork((event, filter) => scope.Nostr.matchesFilters(event, filter));
+    scope = load(['crypto.js', 'nostr.js', 'signer.js'], ['Crypto', 'Nostr', 'Signer'], {
+        // Relay chatter is logged at console.log
+        console: { ...console, log() {} },
+        crypto: globalThis.crypto,
+        TextEncoder,
+        setTimeout,
+        clearTimeout,
+        WebSocket: network.WebSocket
+    });
+    return { ...scope, network };
+}
+
+test('relays outside the pool only get what is aimed at them', async (t) => {
+    const { Nostr, network } = setup();
+    t.after(() => Nostr.disconnect());
+
+    await Nostr.connect(['wss://pool.example']);
+    await Nostr.connect(['wss://hint.example'], { pool: false });
+
+    const general = Nostr.subscribe({ kinds: [30818] }, () => {});
+    const lookup = Nostr.subscribe({ kinds: [30818] }, () => {}, { relays: ['wss://hint.example'] });
+    await Promise.all([general.done, lookup.done]);
+
+    assert.deepStrictEqual([...general.relays], ['wss://pool.example']);
+    assert.deepStrictEqual([...lookup.relays], ['wss://hint.example']);
+    assert.deepStrictEqual([...network.relay('wss://hint.example').requests().map(([, id]) => id)], [lookup.id]);
+    assert.deepStrictEqual([...Nostr.getRelayStates().map(r => r.url)], ['wss://pool.example']);
+
+    // A relay later added to the pool picks up the live general subscriptions
+    await Nostr.connectRelay('wss://hint.example');
+    assert.ok(network.relay('wss://hint.example').requests().some(([, id]) => id === general.id));
+});
+
+test('an unreachable relay outside the pool does not hold up a lookup', async (t) => {
+    const { Nostr, network } = setup();
+    t.after(() => Nostr.disconnect());
+
+    network.relay('wss://down.example').refuse = true;
+    await Nostr.connect(['wss://down.example'], { pool: false });
+
+    const sub = Nostr.subscribe({ ids: ['0'.repeat(64)] }, () => {}, { relays: ['wss://down.example'] });
+    const result = await sub.done;
+    assert.deepStrictEqual({ ...result.closed }, { 'wss://down.example': 'not connected' });
+    assert.strictEqual(Nostr.relayStates['wss://down.example'].retryTimer, null);
+});
+
+test('removing a lookup relay closes it', async (t) => {
+    const { Nostr, network } = setup();
+    t.after(() => Nostr.disconnect());
+
+    await Nostr.connect(['wss://hint.example'], { pool: false });
+    Nostr.removeRelay('wss://hint.example');
+    assert.strictEqual(network.relay('wss://hint.example').sockets.size, 0);
+    assert.deepStrictEqual([...Nostr.getConnectedRelays(['wss://hint.example'])], []);
+});
+
+test('the verified signature cache stays within its cap', async () => {
+    const { Nostr, Signer, Crypto } = setup();
+    Nostr.maxVerifiedIds = 3;
+
+    const signer = Signer.local(Crypto.generatePrivateKey());
+    const events = [];
+    for (let i = 0; i < 5; i++) {
+        events.push(await signer.signEvent({ kind: 1, created_at: 1700000000 + i, tags: [], content: String(i) }));
+    }
+    const key = event => event.id + event.sig;
+
+    for (const event of events.slice(0, 3)) {
+        assert.ok(await Nostr.verifyEvent(event));
+    }
+    // A hit makes the first event the most recently used
+    assert.ok(await Nostr.verifyEvent(events[0]));
+    assert.ok(await Nostr.verifyEvent(events[3]));
+    assert.ok(await Nostr.verifyEvent(events[4]));
+
+    assert.strictEqual(Nostr.verifiedIds.size, 3);
+    assert.deepStrictEqual([...Nostr.verifiedIds.keys()], [events[0], events[3], events[4]].map(key));
+});
+
+async function signedNote(Signer, Crypto, content, kind = 1) {
+    return Signer.local(Crypto.generatePrivateKey()).signEvent({
+        kind, created_at: 1700000000, tags: [], content
+    });
+}
+
+test('events with a forged id or signature are dropped and the relay flagged', async (t) => {
+    const { Nostr, Signer, Crypto, network } = setup();
+    t.after(() => Nostr.disconnect());
+    const url = 'wss://pool.example';
+    await Nostr.connect([url]);
+
+    const received = [];
+    const sub = Nostr.subscribe({ kinds: [1] }, event => received.push(event.content));
+    await sub.done;
+
+    const valid = await signedNote(Signer, Crypto, 'valid');
+    const forgedId = { ...await signedNote(Signer, Crypto, 'original'), content: 'tampered' };
+    const signed = await signedNote(Signer, Crypto, 'forged sig');
+    const forgedSig = { ...signed, sig: (signed.sig[0] === '0' ? '1' : '0') + signed.sig.slice(1) };
+
+    network.relay(url).publish(forgedId);
+    network.relay(url).publish(forgedSig);
+    network.relay(url).publish(valid);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.deepStrictEqual(received, ['valid']);
+    assert.deepStrictEqual([...Nostr.getFlaggedRelays().map(r => ({ ...r }))], [{ url, count: 2 }]);
+});
+
+test('only events matching a subscription are cached', async (t) => {
+    const { Nostr, Signer, Crypto, network } = setup();
+    t.after(() => Nostr.disconnect());
+    const url = 'wss://pool.example';
+    const cached = [];
+    Nostr.eventStore = { add: (event, relay) => cached.push([event.content, relay]) };
+    await Nostr.connect([url]);
+
+    const sub = Nostr.subscribe({ kinds: [30818] }, () => {});
+    await sub.done;
+
+    // Pushed by the relay although it matches nothing we asked for
+    const socket = [...network.relay(url).sockets][0];
+    socket.deliver(['EVENT', sub.id, await signedNote(Signer, Crypto, 'unasked')]);
+    const article = await signedNote(Signer, Crypto, 'article', 30818);
+    socket.deliver(['EVENT', sub.id, article]);
+    socket.deliver(['EVENT', sub.id, article]);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.deepStrictEqual(cached, [['article', url]]);
+});
+
+
+async function waitFor(check, timeout = 2000) {
+    const start = Date.now();
+    while (!check()) {
+        if (Date.now() - start > timeout) throw new Error('Timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+test('a dropped relay backs off, reconnects and replays REQs since the disconnect', async (t) => {
+    const { Nostr, network } = setup();
+    t.after(() => Nostr.disconnect());
+    const url = 'wss://pool.example';
+    Nostr.reconnectBaseDelay = 20;
+    await Nostr.connect([url]);
+
+    const sub = Nostr.subscribe({ kinds: [1], since: 1000 }, () => {});
+    await sub.done;
+    [...network.relay(url).sockets][0].close();
+
+    const state = Nostr.relayStates[url];
+    await waitFor(() => state.status === 'backoff');
+    assert.strictEqual(state.attempts, 1);
+    await waitFor(() => state.status === 'open');
+    assert.strictEqual(state.attempts, 0);
+
+    const replayed = network.relay(url).requests().filter(([, id]) => id === sub.id);
+    assert.strictEqual(replayed.length, 2);
+    assert.strictEqual(replayed[1][2].since, state.disconnectedAt - 60);
+    assert.deepStrictEqual(replayed[1][2].kinds, [1]);
+});
+
+test('a relay that keeps refusing ends up failed until connected again', async (t) => {
+    const { Nostr, network } = setup();
+    t.after(() => Nostr.disconnect());
+    const url = 'wss://pool.example';
+    Nostr.reconnectBaseDelay = 5;
+    Nostr.maxReconnectAttempts = 2;
+    await Nostr.connect([url]);
+
+    network.relay(url).refuse = true;
+    [...network.relay(url).sockets][0].close();
+    const state = Nostr.relayStates[url];
+    await waitFor(() => state.status === 'failed');
+    assert.strictEqual(state.attempts, 2);
+    assert.strictEqual(state.retryTimer, null);
+
+    network.relay(url).refuse = false;
+    await Nostr.connect([url]);
+    assert.strictEqual(state.status, 'open');
+});
+
+test('a socket that opens after its relay was removed is closed', async (t) => {
+    const { Nostr, network } = setup();
+    t.after(() => Nostr.disconnect());
+    const url = 'wss://pool.example';
+
+    const connecting = Nostr.connectRelay(url);
+    Nostr.removeRelay(url);
+    await assert.rejects(connecting, /superseded/);
+    await waitFor(() => network.relay(url).sockets.size === 0);
+    assert.deepStrictEqual([...Nostr.getConnectedRelays()], []);
+});
+
+
+test('publish reports accepted, rejected, timeout and disconnected relays', async (t) => {
+    const { Nostr, Signer, Crypto, network } = setup();
+    t.after(() => Nostr.disconnect());
+    const [ok, blocked, slow, dropped] = ['ok', 'blocked', 'slow', 'dropped'].map(name => `wss://${name}.example`);
+    [blocked, slow, dropped].forEach(url => { network.relay(url).silent = true; });
+    await Nostr.connect([ok, blocked, slow, dropped]);
+
+    const event = await signedNote(Signer, Crypto, 'note');
+    const results = Nostr.publish(event, null, 100);
+    [...network.relay(blocked).sockets][0].deliver(['OK', event.id, false, 'blocked: no spam here']);
+    [...network.relay(dropped).sockets][0].close();
+
+    const byUrl = {};
+    for (const result of await Promise.all(Object.values(results))) {
+        byUrl[result.url] = [result.status, result.prefix];
+    }
+    assert.deepStrictEqual(byUrl, {
+        [ok]: ['accepted', null],
+        [blocked]: ['rejected', 'blocked'],
+        [slow]: ['timeout', null],
+        [dropped]: ['disconnected', null]
+    });
+    assert.deepStrictEqual({ ...Nostr.pendingOks }, {});
+});
+
+test('OK messages are parsed for their machine-readable prefix', () => {
+    const { Nostr } = setup();
+    assert.strictEqual(Nostr.parseOkPrefix('duplicate: already have this event'), 'duplicate');
+    assert.strictEqual(Nostr.parseOkPrefix('rate-limited: slow down'), 'rate-limited');
+    assert.strictEqual(Nostr.parseOkPrefix('auth-required:'), 'auth-required');
+    assert.strictEqual(Nostr.parseOkPrefix('Blocked: not a prefix'), null);
+    assert.strictEqual(Nostr.parseOkPrefix('no prefix'), null);
+    assert.strictEqual(Nostr.parseOkPrefix(''), null);
+    assert.strictEqual(Nostr.parseOkPrefix(undefined), null);
+});
+
+test('subscriptions report EOSE per relay and CLOSED reasons', async (t) => {
+    const { Nostr, network } = setup();
+    t.after(() => Nostr.disconnect());
+    const [open, closing] = ['wss://open.example', 'wss://closing.example'];
+    network.relay(closing).closeReason = 'auth-required: sign in first';
+    await Nostr.connect([open, closing]);
+
+    const progress = [];
+    const sub = Nostr.subscribe({ kinds: [1] }, () => {}, { onEose: url => progress.push(url) });
+    const result = await sub.done;
+
+    assert.deepStrictEqual(progress, [open]);
+    assert.deepStrictEqual([...result.eose], [open]);
+    assert.deepStrictEqual({ ...result.closed }, { [closing]: 'auth-required: sign in first' });
+    assert.deepStrictEqual([...result.pending], []);
+    assert.strictEqual(result.cancelled, false);
+
+    // A listener added later hears about relays that already finished
+    const late = [];
+    sub.onEose(url => late.push(url));
+    assert.deepStrictEqual(late, [open]);
+    assert.ok(Nostr.subscriptions[sub.id], 'still live on the open relay');
+});
+
+test('a subscription every relay CLOSED is dropped', async (t) => {
+    const { Nostr, network } = setup();
+    t.after(() => Nostr.disconnect());
+    const url = 'wss://closing.example';
+    network.relay(url).closeReason = 'restricted: members only';
+    await Nostr.connect([url]);
+
+    const sub = Nostr.subscribe({ kinds: [1] }, () => {});
+    const result = await sub.done;
+    assert.deepStrictEqual({ ...result.closed }, { [url]: 'restricted: members only' });
+    assert.strictEqual(Nostr.subscriptions[sub.id], undefined);
+});
+
+test('auto-close subscriptions send CLOSE once every relay reached EOSE', async (t) => {
+    const { Nostr, network } = setup();
+    t.after(() => Nostr.disconnect());
+    const urls = ['wss://one.example', 'wss://two.example'];
+    await Nostr.connect(urls);
+
+    const sub = Nostr.subscribe({ kinds: [1] }, () => {}, { autoClose: true });
+    const result = await sub.done;
+    assert.deepStrictEqual([...result.eose].sort(), urls);
+    assert.strictEqual(result.cancelled, false);
+    assert.strictEqual(Nostr.subscriptions[sub.id], undefined);
+    urls.forEach(url => {
+        assert.ok(network.relay(url).received.some(([type, id]) => type === 'CLOSE' && id === sub.id));
+    });
+});
+
+test('a relay that never sends EOSE is reported as pending after the timeout', async (t) => {
+    const { Nostr, network } = setup();
+    t.after(() => Nostr.disconnect());
+    const url = 'wss://mute.example';
+    await Nostr.connect([url]);
+    // Swallow the REQ so neither EOSE nor CLOSED comes back
+    [...network.relay(url).sockets][0].send = () => {};
+
+    const sub = Nostr.subscribe({ kinds: [1] }, () => {}, { eoseTimeout: 50 });
+    const result = await sub.done;
+    assert.deepStrictEqual([...result.pending], [url]);
+    assert.deepStrictEqual([...result.eose], []);
+});
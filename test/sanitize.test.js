@@ -0,0 +1,142 @@
+// XSS regression corpus for Sanitizer.sanitize
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const { load } = require('./load');
+
+const { window } = new JSDOM('<!doctype html><body></body>');
+const { Sanitizer, Markdown, AsciiDoc } = load(
+    ['mathml.js', 'markdown.js', 'sanitize.js', 'asciidoc.js'],
+    ['Sanitizer', 'Markdown', 'AsciiDoc'],
+    { DOMParser: window.DOMParser, Node: window.Node }
+);
+
+const corpus = [
+    // Script and event handlers
+    '<script>alert(1)</script>',
+    '<img src=x onerror=alert(1)>',
+    '<p onclick="alert(1)" ONMOUSEOVER="alert(1)">x</p>',
+    '<a href="#/wiki/foo" onclick="alert(1)">w</a>',
+    '<custom-el onmouseover="alert(1)">keep <b onfocus="alert(1)">bold</b></custom-el>',
+    '<details open ontoggle="alert(1)"><summary>s</summary></details>',
+    '<table><tr><td colspan="2" onclick="alert(1)">c</td></tr></table>',
+    '<div style="background:url(javascript:alert(1))">s</div>',
+    '<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>',
+    '<template><img src=x onerror=alert(1)></template>',
+    '<!-- --><img src=x onerror=alert(1)> -->',
+    '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+    '<object data="javascript:alert(1)"></object><embed src="javascript:alert(1)">',
+    '<form action="javascript:alert(1)"><button formaction="javascript:alert(1)">b</button></form>',
+    '<meta http-equiv="refresh" content="0;url=javascript:alert(1)"><base href="https://evil/">',
+    '<input type="text" onfocus="alert(1)" autofocus><input type="image" src="x" onerror="alert(1)">',
+
+    // javascript: and data: URLs
+    '<a href="javascript:alert(1)">x</a>',
+    '<a href="JaVaScRiPt:alert(1)">x</a>',
+    '<a href=" jav&#x09;ascript:alert(1)">x</a>',
+    '<a href="java\u0000script:alert(1)">x</a>',
+    '<a href="&#106;avascript&#58;alert(1)">x</a>',
+    '<a href="vbscript:msgbox(1)">x</a>',
+    '<a href="data:text/html,<script>alert(1)</script>">x</a>',
+    '<a href="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">x</a>',
+    '<img src="javascript:alert(1)">',
+    '<img src="data:image/svg+xml,<svg onload=alert(1)>">',
+    '<img src="data:text/html,<script>alert(1)</script>">',
+    '<blockquote cite="javascript:alert(1)">q</blockquote>',
+    '<q cite="data:text/html,x">q</q>',
+
+    // SVG and MathML namespace tricks
+    '<svg><script>alert(1)</script></svg>',
+    '<svg onload="alert(1)"><a xlink:href="javascript:alert(1)"><text>x</text></a></svg>',
+    '<svg><foreignObject><img src=x onerror=alert(1)></foreignObject></svg>',
+    '<svg></p><style><a id="</style><img src=1 onerror=alert(1)>">',
+    '<math><mi xlink:href="javascript:alert(1)">x</mi></math>',
+    '<math><maction actiontype="statusline" xlink:href="javascript:alert(1)">x</maction></math>',
+    '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)></style></mglyph></table></mtext></math>',
+    '<math><mi><img src=x onerror=alert(1)></mi></math>',
+    '<math href="javascript:alert(1)"><mi>x</mi></math>',
+    '<math><semantics><annotation-xml encoding="text/html"><img src=x onerror=alert(1)></annotation-xml></semantics></math>',
+    '<math><style><img src=x onerror=alert(1)></style></math>',
+    '<form><math><mtext></form><form><mglyph><style></math><img src onerror=alert(1)>',
+
+    // Clobbering the app's ids and the content- prefix
+    '<p id="articlesContainer">clobber</p>',
+    '<img name="getElementById" id="wikilinkSuggestions">',
+    '<a id="content-" name="content">x</a>',
+    '<h2 id=" content-x">x</h2>',
+    '<a href="#articleContentInput">x</a>',
+    '<a href="#%63ontent-x">x</a>'
+];
+
+// Every surviving element, attribute and URL must be on the allowlist
+function assertClean(html) {
+    const doc = new window.DOMParser().parseFromString(html, 'text/html');
+    for (const element of doc.body.querySelectorAll('*')) {
+        const tag = element.localName;
+        const math = element.namespaceURI === Sanitizer.mathNamespace;
+        const allowed = math ? Sanitizer.mathElements[tag] : Sanitizer.elements[tag];
+        assert.ok(allowed, `element <${tag}> in ${html}`);
+        if (!math) assert.strictEqual(element.namespaceURI, 'http://www.w3.org/1999/xhtml', html);
+
+        for (const attr of element.attributes) {
+            const name = attr.name.toLowerCase();
+            assert.ok(!name.startsWith('on'), `handler ${name} in ${html}`);
+            assert.ok(Sanitizer.globalAttributes.includes(name) || allowed.includes(name),
+                `attribute ${name} on <${tag}> in ${html}`);
+            if (name === 'id') assert.ok(attr.value.startsWith(Sanitizer.idPrefix), `id ${attr.value} in ${html}`);
+            if (Sanitizer.urlSchemes[name]) {
+                const scheme = attr.value.replace(/[\u0000- \u007f-\u009f]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+                if (scheme && !(tag === 'img' && /^data:image\/(?:png|gif|jpeg|webp)[;,]/i.test(attr.value))) {
+                    assert.ok(Sanitizer.urlSchemes[name].includes(scheme[1].toLowerCase()), `${name}=${attr.value} in ${html}`);
+                }
+                if (name === 'href' && attr.value.startsWith('#') && !attr.value.startsWith('#/')) {
+                    assert.ok(attr.value.startsWith('#' + Sanitizer.idPrefix), `fragment ${attr.value} in ${html}`);
+                }
+            }
+        }
+    }
+}
+
+for (const input of corpus) {
+    test(`sanitizes ${JSON.stringify(input)}`, () => {
+        const output = Sanitizer.sanitize(input);
+        assertClean(output);
+        // Sanitizing is stable: a second pass finds nothing left to remove
+        assert.strictEqual(Sanitizer.sanitize(output), output);
+    });
+}
+
+test('renderer output passes through the same allowlist', () => {
+    const markdown = [
+        '[x](javascript:alert(1))',
+        '![a" onerror="alert(1)](x.png)',
+        '[[foo"><script>alert(1)</script>|bar<img src=x onerror=alert(1)>]]',
+        '<img src=x onerror=alert(1)>',
+        '## <a id="articlesContainer">h</a>',
+        '$\\href{javascript:alert(1)}{x}$ and $$\\text{<img src=x onerror=alert(1)>}$$'
+    ];
+    for (const text of markdown) {
+        assertClean(Sanitizer.sanitize(Markdown.parse(text, { html: true, math: true })));
+    }
+    const asciidoc = [
+        'link:javascript:alert(1)[x]',
+        'image::javascript:alert(1)[x]',
+        '[[articlesContainer]]\n== Heading',
+        '++++\n<img src=x onerror=alert(1)>\n++++',
+        'stem:[\\text{<script>alert(1)</script>}]'
+    ];
+    for (const text of asciidoc) {
+        assertClean(Sanitizer.sanitize(AsciiDoc.parse(text)));
+    }
+});
+
+test('keeps safe markup', () => {
+    assert.strictEqual(Sanitizer.sanitize('<a href="https://x" target="_blank">t</a>'),
+        '<a href="https://x" target="_blank" rel="noopener noreferrer">t</a>');
+    assert.strictEqual(Sanitizer.sanitize('<a href="#/wiki/foo">w</a>'), '<a href="#/wiki/foo">w</a>');
+    assert.strictEqual(Sanitizer.sanitize('<a href="#fn-1">f</a><sup id="fn-1">1</sup>'),
+        '<a href="#content-fn-1">f</a><sup id="content-fn-1">1</sup>');
+    assert.strictEqual(Sanitizer.sanitize('<img src="data:image/png;base64,AAAA" alt="a">'),
+        '<img src="data:image/png;base64,AAAA" alt="a">');
+    assert.strictEqual(Sanitizer.sanitize('<input type="checkbox" checked>'), '<input type="checkbox" checked="" disabled="">');
+});
\ No newline at end of file
@@ -0,0 +1,129 @@
+// NIP-46 remote signer against a mock relay and bunker
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./load');
+const { createNetwork } = require('./mock-relay');
+const { createBunker } = require('./mock-signer');
+
+const appRelay = 'wss://app.example';
+const bunkerRelay = 'wss://bunker.example';
+
+// A fresh Nostr client per test, wired to its own mock network
+function setup(mode) {
+    let scope;
+    const network = createNetwork((event, filter) => scope.Nostr.matchesFilters(event, filter));
+    scope = load(['crypto.js', 'nostr.js', 'signer.js'], ['Crypto', 'Nip04', 'Nip44', 'Nostr', 'Signer'], {
+        // Relay chatter is logged at console.log
+        console: { ...console, log() {} },
+        crypto: globalThis.crypto,
+        TextEncoder,
+        TextDecoder,
+        URL,
+        btoa,
+        atob,
+        setTimeout,
+        clearTimeout,
+        WebSocket: network.WebSocket,
+        window: {}
+    });
+    const bunker = createBunker(scope, network.relay(bunkerRelay), mode);
+    return { ...scope, network, bunker };
+}
+
+test('connects and signs events through the bunker', async (t) => {
+    const { Nostr, Signer, Crypto, bunker } = setup('ok');
+    const signer = Signer.nip46(bunker.uri('s3cret'), Crypto.generatePrivateKey(), { timeout: 2000 });
+    t.after(() => { signer.close(); Nostr.disconnect(); });
+
+    await signer.connect();
+    assert.deepStrictEqual(bunker.requests[0].params, [bunker.pubkey, 's3cret']);
+    assert.strictEqual(await signer.getPublicKey(), bunker.userPubkey);
+
+    const event = await signer.signEvent({
+        kind: 30818, created_at: 1700000000, tags: [['d', 'nostr']], content: 'Article', pubkey: bunker.userPubkey
+    });
+    assert.strictEqual(event.pubkey, bunker.userPubkey);
+    assert.strictEqual(event.content, 'Article');
+    assert.ok(await Nostr.verifyEvent(event));
+    assert.deepStrictEqual([...bunker.requests.map(r => r.method)], ['connect', 'get_public_key', 'sign_event']);
+});
+
+test('keeps the bunker relays out of the pool', async (t) => {
+    const { Nostr, Signer, Crypto, bunker, network } = setup('ok');
+    const signer = Signer.nip46(bunker.uri(), Crypto.generatePrivateKey(), { timeout: 2000 });
+    t.after(() => { signer.close(); Nostr.disconnect(); });
+
+    await Nostr.connect([appRelay]);
+    await signer.connect();
+
+    assert.deepStrictEqual([...Nostr.getRelayStates().map(r => r.url)], [appRelay]);
+    assert.deepStrictEqual([...Nostr.getConnectedRelays()], [appRelay]);
+    assert.deepStrictEqual([...Nostr.getConnectedRelays([bunkerRelay])], [bunkerRelay]);
+
+    // Article lookups and publishes go to the pool only
+    const sub = Nostr.subscribe({ kinds: [30818] }, () => {});
+    await sub.done;
+    assert.ok(network.relay(appRelay).requests().some(([, id]) => id === sub.id));
+    assert.ok(!network.relay(bunkerRelay).requests().some(([, id]) => id === sub.id));
+
+    const article = await Signer.local(Crypto.generatePrivateKey()).signEvent({
+        kind: 30818, created_at: 1700000000, tags: [['d', 'nostr']], content: 'Article'
+    });
+    assert.deepStrictEqual(Object.keys(Nostr.publish(article)), [appRelay]);
+
+    // and the signer's own subscription only to its relay
+    assert.ok(!network.relay(appRelay).requests().some(([, , filter]) => filter.kinds.includes(24133)));
+    assert.ok(network.relay(bunkerRelay).requests().some(([, , filter]) => filter.kinds.includes(24133)));
+});
+
+test('times out when the bunker never answers', async (t) => {
+    const { Nostr, Signer, Crypto, bunker } = setup('silent');
+    const signer = Signer.nip46(bunker.uri(), Crypto.generatePrivateKey(), { timeout: 100 });
+    t.after(() => { signer.close(); Nostr.disconnect(); });
+
+    await assert.rejects(signer.connect(), /Remote signer timed out \(connect\)/);
+    // Once in NIP-44, then once more in NIP-04
+    assert.deepStrictEqual(bunker.requests.map(r => r.nip04), [false, true]);
+
+    // A failed connect can be retried
+    bunker.mode = 'ok';
+    await signer.connect();
+});
+
+test('reports an auth_url and keeps waiting for the answer', async (t) => {
+    const { Nostr, Signer, Crypto, bunker } = setup('auth');
+    const authUrls = [];
+    const signer = Signer.nip46(bunker.uri(), Crypto.generatePrivateKey(), {
+        timeout: 2000,
+        onAuthUrl: url => authUrls.push(url)
+    });
+    t.after(() => { signer.close(); Nostr.disconnect(); });
+
+    const event = await signer.signEvent({ kind: 30818, created_at: 1700000000, tags: [], content: 'x' });
+    assert.strictEqual(event.pubkey, bunker.userPubkey);
+    assert.deepStrictEqual(authUrls, [bunker.authUrl, bunker.authUrl]);
+});
+
+test('rejects with the error the bunker sends', async (t) => {
+    const { Nostr, Signer, Crypto, bunker } = setup('ok');
+    bunker.handle = async () => ({ error: 'permission denied' });
+    const signer = Signer.nip46(bunker.uri(), Crypto.generatePrivateKey(), { timeout: 2000 });
+    t.after(() => { signer.close(); Nostr.disconnect(); });
+
+    await assert.rejects(signer.connect(), /permission denied/);
+});
+
+test('falls back to NIP-04 for a bunker that only reads NIP-04', async (t) => {
+    const { Nostr, Signer, Crypto, bunker } = setup('nip04');
+    const signer = Signer.nip46(bunker.uri('s3cret'), Crypto.generatePrivateKey(), { timeout: 200 });
+    t.after(() => { signer.close(); Nostr.disconnect(); });
+
+    await signer.connect();
+    assert.strictEqual(await signer.getPublicKey(), bunker.userPubkey);
+    const event = await signer.signEvent({ kind: 30818, created_at: 1700000000, tags: [], content: 'x' });
+    assert.strictEqual(event.pubkey, bunker.userPubkey);
+
+    // The unreadable NIP-44 connect is never seen; everything after it is NIP-04
+    assert.deepStrictEqual(bunker.requests.map(r => [r.method, r.nip04]),
+        [['connect', true], ['get_public_key', true], ['sign_event', true]]);
+});
\ No newline at end of file